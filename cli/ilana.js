@@ -2,8 +2,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const Database = require('../database/connection');
 const MigrationRunner = require('../orm/MigrationRunner');
+const Encrypter = require('../orm/Encrypter');
+const { EncryptedCast } = require('../orm/CustomCasts');
+const { DecryptException } = require('../orm/Errors');
 
 // Default database configuration
 const defaultConfig = {
@@ -131,6 +135,14 @@ const config = {
   // Set to true (or use process.env.NODE_ENV === 'development') to log all SQL queries
   logging: false,
 
+  // App key for EncryptedCast. To rotate it, move the old key to previousKeys,
+  // set a new one and run \`ilana key:rotate\`
+  encryption: {
+    key: process.env.APP_KEY,
+    previousKeys: (process.env.APP_PREVIOUS_KEYS || '').split(',').filter(Boolean),
+    indexKey: process.env.APP_INDEX_KEY
+  },
+
   connections: {
     sqlite: {
       client: 'sqlite3',
@@ -193,6 +205,14 @@ const config = {
   // Set to true (or use process.env.NODE_ENV === 'development') to log all SQL queries
   logging: false,
 
+  // App key for EncryptedCast. To rotate it, move the old key to previousKeys,
+  // set a new one and run \`ilana key:rotate\`
+  encryption: {
+    key: process.env.APP_KEY,
+    previousKeys: (process.env.APP_PREVIOUS_KEYS || '').split(',').filter(Boolean),
+    indexKey: process.env.APP_INDEX_KEY
+  },
+
   connections: {
     sqlite: {
       client: 'sqlite3',
@@ -318,9 +338,9 @@ function getPivotModelTemplate(className, tableName) {
   const isESModule = isESModuleProject();
 
   if (isTypeScriptProject()) {
-    return `import Model from 'ilana-orm/orm/Model';
+    return `import Pivot from 'ilana-orm/orm/Pivot';
 
-export default class ${className} extends Model {
+export default class ${className} extends Pivot {
   protected static table = '${tableName}';
   protected static fillable: string[] = [];
 }
@@ -328,9 +348,9 @@ export default class ${className} extends Model {
   }
 
   if (isESModule) {
-    return `import Model from 'ilana-orm/orm/Model';
+    return `import Pivot from 'ilana-orm/orm/Pivot';
 
-class ${className} extends Model {
+class ${className} extends Pivot {
   static table = '${tableName}';
   static fillable = [];
 }
@@ -339,9 +359,9 @@ export default ${className};
 `;
   }
 
-  return `const Model = require('ilana-orm/orm/Model');
+  return `const Pivot = require('ilana-orm/orm/Pivot');
 
-class ${className} extends Model {
+class ${className} extends Pivot {
   static table = '${tableName}';
   static fillable = [];
 }
@@ -684,9 +704,12 @@ const RELATION_RETURN_MAP = {
   belongsTo: (r) => `${r} | null`,
   belongsToMany: (r) => `${r}[]`,
   hasManyThrough: (r) => `${r}[]`,
+  hasOneThrough: (r) => `${r} | null`,
   morphTo: () => 'any',
   morphOne: () => 'any | null',
   morphMany: () => 'any[]',
+  morphToMany: (r) => `${r}[]`,
+  morphedByMany: (r) => `${r}[]`,
 };
 
 // Parse migration files to extract column definitions for a given table name
@@ -760,10 +783,15 @@ function parseModelFile(content, fileName) {
 
   const castsMatch = content.match(/(?:static\s+)?casts\s*=\s*\{([^}]*)\}/s);
   const casts = {};
+  // Casts given as a class or enum (status: OrderStatus), by identifier
+  const classCasts = {};
   if (castsMatch) {
     for (const [, key, val] of castsMatch[1].matchAll(/['"]?(\w+)['"]?\s*:\s*['"](\w+)['"]/g)) {
       casts[key] = val;
     }
+    for (const [, key, val] of castsMatch[1].matchAll(/['"]?(\w+)['"]?\s*:\s*([A-Za-z_$][\w$]*)\s*(?=,|$)/gm)) {
+      classCasts[key] = val;
+    }
   }
 
   const pkMatch = content.match(/static\s+primaryKey\s*=\s*['"]([^'"]+)['"]/);
@@ -783,7 +811,7 @@ function parseModelFile(content, fileName) {
   const deletedAtCol = content.match(/static\s+deletedAt\s*=\s*['"]([^'"]+)['"]/)?.[1] || 'deleted_at';
 
   const relations = [];
-  const relRegex = /(\w+)\s*\(\s*\)\s*\{[\s\S]*?return\s+this\.(hasOne|hasMany|belongsTo|belongsToMany|hasManyThrough|morphTo|morphOne|morphMany)\s*\(\s*['"]?(\w*?)['"]?[,)]/g;
+  const relRegex = /(\w+)\s*\(\s*\)\s*\{[\s\S]*?return\s+this\.(hasOneThrough|hasOne|hasMany|belongsTo|belongsToMany|hasManyThrough|morphToMany|morphedByMany|morphTo|morphOne|morphMany)\s*\(\s*['"]?(\w*?)['"]?[,)]/g;
   let m;
   while ((m = relRegex.exec(content)) !== null) {
     const [, methodName, relationType, relatedModel] = m;
@@ -792,11 +820,45 @@ function parseModelFile(content, fileName) {
     }
   }
 
-  return { className, table, fillable, casts, primaryKey, keyType, timestamps, softDeletes, createdAtCol, updatedAtCol, deletedAtCol, relations };
+  return { className, table, fillable, casts, classCasts, primaryKey, keyType, timestamps, softDeletes, createdAtCol, updatedAtCol, deletedAtCol, relations };
+}
+
+// Enum.define() calls in a source file, as TypeScript unions: { OrderStatus: "'pending' | 'paid'" }
+function parseEnumDefinitions(content) {
+  const enums = {};
+  const defineRegex = /(?:const|let|var)\s+(\w+)\s*=\s*Enum\.define\(\s*['"][^'"]*['"]\s*,\s*(\{[^}]*\}|\[[^\]]*\])/g;
+  for (const [, name, cases] of content.matchAll(defineRegex)) {
+    // Object cases list { NAME: value }; array cases list the values themselves
+    const valueRegex = cases.startsWith('{') ? /:\s*(['"][^'"]*['"]|-?\d+)/g : /(['"][^'"]*['"]|-?\d+)/g;
+    const values = [...cases.matchAll(valueRegex)]
+      .map(([, value]) => /^['"]/.test(value) ? `'${value.slice(1, -1)}'` : value);
+    if (values.length) enums[name] = values.join(' | ');
+  }
+  return enums;
+}
+
+// Enums a model file can see: the ones it defines and the ones defined in files it
+// imports by relative path. A default import also registers the enum under its local name.
+function findEnumDefinitions(content, filePath) {
+  const enums = {};
+  const importRegex = /(?:import\s+(?:(\w+)|\{[^}]*\})\s+from\s+|(?:const|let|var)\s+(?:(\w+)|\{[^}]*\})\s*=\s*require\(\s*)['"](\.{1,2}\/[^'"]+)['"]/g;
+  for (const [, importName, requireName, specifier] of content.matchAll(importRegex)) {
+    const base = path.resolve(path.dirname(filePath), specifier);
+    const resolved = [base, base.replace(/\.js$/, '.ts'), ...['.ts', '.js', '.mjs', '/index.ts', '/index.js'].map(ext => base + ext)]
+      .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    if (!resolved) continue;
+
+    const imported = parseEnumDefinitions(fs.readFileSync(resolved, 'utf8'));
+    Object.assign(enums, imported);
+    const localName = importName || requireName;
+    const names = Object.keys(imported);
+    if (localName && names.length === 1) enums[localName] = imported[names[0]];
+  }
+  return Object.assign(enums, parseEnumDefinitions(content));
 }
 
-function generateModelTypes(model, migrationColumns = {}) {
-  const { className, fillable, casts, primaryKey, keyType, timestamps, softDeletes, createdAtCol, updatedAtCol, deletedAtCol, relations } = model;
+function generateModelTypes(model, migrationColumns = {}, enumTypes = {}) {
+  const { className, fillable, casts, classCasts = {}, primaryKey, keyType, timestamps, softDeletes, createdAtCol, updatedAtCol, deletedAtCol, relations } = model;
 
   const relatedModels = [...new Set(
     relations.map(r => r.relatedModel).filter(r => r && r !== 'any')
@@ -809,11 +871,20 @@ function generateModelTypes(model, migrationColumns = {}) {
 
   // All columns known from migrations, minus pk and timestamp cols (handled separately)
   const tsColNames = [primaryKey, createdAtCol, updatedAtCol, deletedAtCol];
-  const allCols = new Set([...fillable, ...Object.keys(migrationColumns)]);
+  // Enum casts hydrate to cases of the enum, typed by its values
+  const enumCols = Object.fromEntries(
+    Object.entries(classCasts).filter(([, name]) => enumTypes[name]).map(([col, name]) => [col, enumTypes[name]])
+  );
+  const allCols = new Set([...fillable, ...Object.keys(migrationColumns), ...Object.keys(enumCols)]);
 
   for (const col of allCols) {
     if (tsColNames.includes(col)) continue;
 
+    if (enumCols[col]) {
+      fields.push(`  ${col}?: Enum<${enumCols[col]}>;`);
+      continue;
+    }
+
     // Cast takes priority over migration inference
     if (casts[col]) {
       const tsType = CAST_TYPE_MAP[casts[col]] || 'any';
@@ -845,18 +916,16 @@ function generateModelTypes(model, migrationColumns = {}) {
   }
 
   const relationMethods = relations.map(({ methodName, relationType }) => {
-    const map = { hasOne: 'HasOne', hasMany: 'HasMany', belongsTo: 'BelongsTo', belongsToMany: 'BelongsToMany', hasManyThrough: 'HasManyThrough', morphTo: 'MorphTo', morphOne: 'MorphOne', morphMany: 'MorphMany' };
+    const map = { hasOne: 'HasOne', hasMany: 'HasMany', belongsTo: 'BelongsTo', belongsToMany: 'BelongsToMany', hasManyThrough: 'HasManyThrough', hasOneThrough: 'HasOneThrough', morphTo: 'MorphTo', morphOne: 'MorphOne', morphMany: 'MorphMany', morphToMany: 'MorphToMany', morphedByMany: 'MorphToMany' };
     return `  ${methodName}(): ${map[relationType] || 'any'};`;
   });
 
   const usedRelTypes = [...new Set(relations.map(r => {
-    const map = { hasOne: 'HasOne', hasMany: 'HasMany', belongsTo: 'BelongsTo', belongsToMany: 'BelongsToMany', hasManyThrough: 'HasManyThrough', morphTo: 'MorphTo', morphOne: 'MorphOne', morphMany: 'MorphMany' };
+    const map = { hasOne: 'HasOne', hasMany: 'HasMany', belongsTo: 'BelongsTo', belongsToMany: 'BelongsToMany', hasManyThrough: 'HasManyThrough', hasOneThrough: 'HasOneThrough', morphTo: 'MorphTo', morphOne: 'MorphOne', morphMany: 'MorphMany', morphToMany: 'MorphToMany', morphedByMany: 'MorphToMany' };
     return map[r.relationType];
   }).filter(Boolean))];
 
-  const coreImports = usedRelTypes.length
-    ? `import { Model, ${usedRelTypes.join(', ')} } from 'ilana-orm';`
-    : `import { Model } from 'ilana-orm';`;
+  const coreImports = `import { ${['Model', ...(Object.keys(enumCols).length ? ['Enum'] : []), ...usedRelTypes].join(', ')} } from 'ilana-orm';`;
 
   return `// Auto-generated by \`npx ilana types\` — do not edit manually
 ${coreImports}
@@ -898,7 +967,8 @@ async function generateTypes(outDir) {
     const content = fs.readFileSync(path.join(modelsDir, file), 'utf8');
     const model = parseModelFile(content, file);
     const migrationColumns = parseMigrationsForTable(model.table, migrationsDir);
-    const dts = generateModelTypes(model, migrationColumns);
+    const enumTypes = findEnumDefinitions(content, path.join(modelsDir, file));
+    const dts = generateModelTypes(model, migrationColumns, enumTypes);
     const outFile = path.join(outputDir, `${model.className}.d.ts`);
     fs.writeFileSync(outFile, dts);
     console.log(`  Generated: ${path.relative(process.cwd(), outFile)}`);
@@ -913,6 +983,97 @@ async function generateTypes(outDir) {
   console.log(`\n✓ ${classNames.length} model type${classNames.length !== 1 ? 's' : ''} generated in ${outDir}/`);
 }
 
+// ─── Key rotation ─────────────────────────────────────────────────────────────
+
+// Model classes exported by the files in the models directory
+async function loadModelClasses() {
+  const structure = getProjectStructure();
+  const modelsDir = path.join(process.cwd(), structure.modelsDir);
+  if (!fs.existsSync(modelsDir)) return [];
+
+  const modelFiles = fs.readdirSync(modelsDir)
+    .filter(f => f.endsWith('.js') || f.endsWith('.ts') || f.endsWith('.mjs'))
+    .filter(f => !f.endsWith('.d.ts'))
+    .sort();
+
+  const classes = [];
+  for (const file of modelFiles) {
+    const filepath = path.join(modelsDir, file);
+    const exported = file.endsWith('.mjs') || isESModuleProject()
+      ? await import(pathToFileURL(filepath).href)
+      : require(filepath);
+    for (const value of [exported.default || exported, ...Object.values(exported)]) {
+      if (typeof value === 'function' && typeof value.getTableName === 'function' && !classes.includes(value)) {
+        classes.push(value);
+      }
+    }
+  }
+  return classes;
+}
+
+// Re-encrypt every EncryptedCast column of a model with the current key, walking the
+// table by primary key in chunks. Values already on the current key are skipped, so an
+// interrupted rotation can simply be run again. With `legacy`, values that no key can
+// decrypt are treated as the base64 written by EncryptedCast before it encrypted.
+// Blind indexes of searchable columns are rewritten with the values.
+async function rotateEncryptedColumns(ModelClass, { chunkSize = 500, legacy = false } = {}) {
+  const model = new ModelClass();
+  const casts = {};
+  for (const column of Object.keys(model.casts || {})) {
+    const cast = model.getCast(column);
+    if (cast instanceof EncryptedCast) casts[column] = cast;
+  }
+  const columns = Object.keys(casts);
+  if (!columns.length) return 0;
+
+  const pk = ModelClass.primaryKey || 'id';
+  let lastKey;
+  let rotated = 0;
+
+  for (;;) {
+    const query = ModelClass.withoutGlobalScopes().withTrashed()
+      .select(pk, ...columns)
+      .orderBy(pk)
+      .limit(chunkSize);
+    if (lastKey !== undefined) query.where(pk, '>', lastKey);
+    const rows = await query.values();
+
+    for (const row of rows) {
+      const changes = {};
+      let count = 0;
+      for (const column of columns) {
+        const value = row[column];
+        const encrypter = casts[column].getEncrypter();
+        if (value === null || value === undefined || encrypter.isCurrent(value)) continue;
+
+        let plaintext;
+        if (encrypter.isEncrypted(value)) {
+          plaintext = encrypter.decrypt(value);
+        } else if (legacy) {
+          plaintext = Buffer.from(value, 'base64').toString('utf8');
+        } else {
+          throw new DecryptException(
+            `${ModelClass.getTableName()}.${column} of ${pk} ${row[pk]} could not be decrypted with the current or any previous key.`
+          );
+        }
+        changes[column] = encrypter.encrypt(plaintext);
+        if (casts[column].isSearchable) changes[casts[column].getIndexColumn(column)] = encrypter.hash(plaintext);
+        count++;
+      }
+
+      if (count) {
+        await ModelClass.withoutGlobalScopes().where(pk, row[pk]).update(changes);
+        rotated += count;
+      }
+    }
+
+    if (rows.length < chunkSize) break;
+    lastKey = rows[rows.length - 1][pk];
+  }
+
+  return rotated;
+}
+
 // ─── Commands ─────────────────────────────────────────────────────────────────
 
 const commands = {
@@ -947,7 +1108,11 @@ const commands = {
     // Create .env file if it doesn't exist
     const envPath = '.env';
     if (!fs.existsSync(envPath)) {
-      const envTemplate = `# Database Configuration
+      const envTemplate = `# Encryption keys for EncryptedCast and searchable blind indexes
+APP_KEY=${Encrypter.generateKey()}
+APP_INDEX_KEY=${Encrypter.generateKey()}
+
+# Database Configuration
 DB_CONNECTION=mysql
 DB_HOST=localhost
 DB_PORT=3306
@@ -1012,6 +1177,12 @@ DB_TIMEZONE=UTC
     runner.generateMigration(name, tableName, isCreate);
   },
 
+  async 'make:audits-table'() {
+    await initializeDatabase();
+    const runner = new MigrationRunner();
+    runner.generateMigration('create_audits_table', 'audits', true, runner.getAuditsMigrationTemplate());
+  },
+
   async 'make:factory'(name) {
     if (!name) {
       console.error('Factory name is required');
@@ -1371,6 +1542,35 @@ DB_TIMEZONE=UTC
     console.log(`Created cast: ${structure.castsDir}/${fileName}`);
   },
 
+  async 'key:rotate'(...args) {
+    await initializeDatabase();
+
+    let chunkSize = 500;
+    let modelName;
+    let legacy = false;
+    for (const arg of args) {
+      if (arg.startsWith('--chunk=')) chunkSize = parseInt(arg.split('=')[1], 10);
+      else if (arg.startsWith('--model=')) modelName = arg.split('=')[1];
+      else if (arg === '--legacy') legacy = true;
+    }
+
+    const models = (await loadModelClasses()).filter(m => !modelName || m.name === modelName);
+    if (models.length === 0) {
+      console.log(modelName ? `Model not found: ${modelName}` : 'No models found');
+      process.exit(0);
+    }
+
+    let total = 0;
+    for (const ModelClass of models) {
+      const rotated = await rotateEncryptedColumns(ModelClass, { chunkSize, legacy });
+      if (rotated) console.log(`Rotated: ${ModelClass.name} (${rotated} value${rotated !== 1 ? 's' : ''})`);
+      total += rotated;
+    }
+
+    console.log(`Key rotation completed: ${total} value${total !== 1 ? 's' : ''} re-encrypted`);
+    process.exit(0);
+  },
+
   help() {
     console.log(`
 Ilana ORM CLI
@@ -1391,6 +1591,7 @@ Available commands:
   make:seeder <name>           Create a new seeder
   make:observer <name>         Create a new observer
   make:cast <name>             Create a new cast
+  make:audits-table            Create the migration for the audits table
   
   migrate [connection]         Run all pending migrations
   migrate:rollback [steps]     Rollback the last batch of migrations
@@ -1408,6 +1609,11 @@ Available commands:
   types [--out=dir]            Generate TypeScript types for all models
                                Default output: types/
 
+  key:rotate [options]         Re-encrypt encrypted cast columns with the current key
+    --model=<name>             Only rotate one model
+    --chunk=<size>             Rows per chunk (default 500)
+    --legacy                   Encrypt values stored as base64 by older versions
+
   help                         Show this help message
 
 Examples:
@@ -1428,6 +1634,7 @@ Examples:
   ilana db:wipe
   ilana types
   ilana types --out=src/types
+  ilana key:rotate --chunk=1000
 `);
   }
 };
@@ -1476,4 +1683,6 @@ if (require.main === module) {
 }
 
 module.exports = commands;
-module.exports._templates = { getModelTemplate, getPivotModelTemplate };
\ No newline at end of file
+module.exports._templates = { getModelTemplate, getPivotModelTemplate };
+module.exports._rotateEncryptedColumns = rotateEncryptedColumns;
+module.exports._types = { parseModelFile, findEnumDefinitions, generateModelTypes };
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Async-context storage used to scope state (transactions, request scopes) to
+// the current async call chain instead of a process-wide static.
+//
+// Uses AsyncLocalStorage where available: Node.js, Bun, Deno, and edge runtimes
+// that expose it on globalThis (Vercel Edge, Cloudflare Workers with nodejs_compat).
+// Elsewhere it falls back to a synchronous stack, which is correct for sequential
+// code but cannot isolate concurrent async call chains.
+
+function resolveAsyncLocalStorage() {
+  if (typeof globalThis.AsyncLocalStorage === 'function') {
+    return globalThis.AsyncLocalStorage;
+  }
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    try {
+      return require('async_hooks').AsyncLocalStorage;
+    } catch (_) { /* not available in this runtime */ }
+  }
+  return null;
+}
+
+class FallbackStorage {
+  constructor() {
+    this._store = undefined;
+  }
+
+  run(store, callback) {
+    const previous = this._store;
+    this._store = store;
+    let result;
+    try {
+      result = callback();
+    } catch (error) {
+      this._store = previous;
+      throw error;
+    }
+    if (result && typeof result.then === 'function') {
+      return Promise.resolve(result).finally(() => { this._store = previous; });
+    }
+    this._store = previous;
+    return result;
+  }
+
+  getStore() {
+    return this._store;
+  }
+}
+
+class AsyncContext {
+  constructor() {
+    const Storage = resolveAsyncLocalStorage();
+    this.isolated = !!Storage;
+    this.storage = Storage ? new Storage() : new FallbackStorage();
+  }
+
+  run(store, callback) {
+    return this.storage.run(store, callback);
+  }
+
+  get() {
+    return this.storage.getStore();
+  }
+}
+
+module.exports = AsyncContext;
@@ -5,7 +5,8 @@ const Database = require('./connection');
  */
 class DB {
   /**
-   * Execute a database transaction with automatic retry for deadlocks
+   * Execute a database transaction with automatic retry for deadlocks.
+   * Nested calls on the same connection run inside a savepoint of the outer transaction.
    * @param {Function} callback - Transaction callback function
    * @param {number} attempts - Number of retry attempts (default: 1)
    * @param {string} connection - Connection name (optional)
@@ -15,6 +16,92 @@ class DB {
     return Database.transaction(callback, attempts, connection);
   }
 
+  /**
+   * Run a callback after the outermost transaction commits (immediately if none is active)
+   * @param {Function} callback - Callback to run
+   * @returns {Promise<any>}
+   */
+  static async afterCommit(callback) {
+    return Database.afterCommit(callback);
+  }
+
+  /**
+   * Run a callback if the current transaction or savepoint rolls back
+   * @param {Function} callback - Callback to run
+   * @returns {void}
+   */
+  static afterRollback(callback) {
+    return Database.afterRollback(callback);
+  }
+
+  /**
+   * Run a callback in a request scope (e.g. once per HTTP request in middleware).
+   * With `sticky` read/write connections, reads stay on the primary after a write.
+   * @param {Function} callback - Callback to run inside the scope
+   * @returns {any}
+   */
+  static scope(callback) {
+    return Database.scope(callback);
+  }
+
+  /**
+   * Listen to every executed query
+   * @param {Function} listener - Receives { sql, bindings, durationMs, connection, model }
+   * @returns {Function} Call to stop listening
+   */
+  static listen(listener) {
+    return Database.listen(listener);
+  }
+
+  /**
+   * Start recording executed queries (for test assertions)
+   */
+  static enableQueryLog() {
+    Database.enableQueryLog();
+  }
+
+  /**
+   * Stop recording executed queries and discard the log
+   */
+  static disableQueryLog() {
+    Database.disableQueryLog();
+  }
+
+  /**
+   * Get the recorded queries
+   * @returns {Array<{sql: string, bindings: any[], durationMs: number, connection: string, model: string|null}>}
+   */
+  static getQueryLog() {
+    return Database.getQueryLog();
+  }
+
+  /**
+   * Clear the recorded queries without disabling the log
+   */
+  static flushQueryLog() {
+    Database.flushQueryLog();
+  }
+
+  /**
+   * Run a callback and throw if it executes more than `max` queries
+   * @param {number} max - Maximum number of queries allowed
+   * @param {Function} callback - Async code to measure
+   * @returns {Promise<any>} The callback's result
+   */
+  static async expectQueryCount(max, callback) {
+    return Database.expectQueryCount(max, callback);
+  }
+
+  /**
+   * Subscribe to a database event: 'query' or 'slow-query'
+   * @param {string} event - Event name
+   * @param {Function} listener - Receives the query event
+   * @returns {Function} Call to unsubscribe
+   */
+  static on(event, listener) {
+    return Database.on(event, listener);
+  }
+
   /**
    * Begin a database transaction manually
    * @param {string} connection - Connection name (optional)
@@ -60,7 +147,8 @@ class DB {
    * @returns {Promise<any>}
    */
   static raw(sql, bindings = [], connection = null) {
-    const db = connection ? Database.connection(connection) : Database.getInstance();
+    const db = Database.transactionFor(connection)
+      || (connection ? Database.connection(connection) : Database.getInstance());
     return db.raw(sql, bindings);
   }
 
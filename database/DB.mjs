@@ -30,8 +30,23 @@ class DB {
     return Database.delete(table, where, connection);
   }
 
-  static transaction(callback, connection) {
-    return Database.transaction(callback, connection);
+  static transaction(callback, attempts = 1, connection = null) {
+    return Database.transaction(callback, attempts, connection);
+  }
+
+  // Runs after the outermost transaction commits (immediately if none is active)
+  static afterCommit(callback) {
+    return Database.afterCommit(callback);
+  }
+
+  // Runs if the current transaction or savepoint rolls back
+  static afterRollback(callback) {
+    return Database.afterRollback(callback);
+  }
+
+  // Request scope for sticky read/write connections: reads stay on the primary after a write
+  static scope(callback) {
+    return Database.scope(callback);
   }
 
   static beginTransaction(connection) {
@@ -113,28 +128,39 @@ class DB {
   }
 
   // Utility methods
-  static listen(event, callback) {
-    return Database.listen(event, callback);
+  // Listen to every executed query; returns a function that stops listening
+  static listen(listener) {
+    return Database.listen(listener);
+  }
+
+  // Subscribe to 'query' or 'slow-query'; returns a function that unsubscribes
+  static on(event, listener) {
+    return Database.on(event, listener);
   }
 
-  static unlisten(event, callback) {
-    return Database.unlisten(event, callback);
+  // Run a callback and throw if it executes more than `max` queries
+  static expectQueryCount(max, callback) {
+    return Database.expectQueryCount(max, callback);
   }
 
+  // Start recording executed queries (for test assertions)
   static enableQueryLog() {
-    return Database.enableQueryLog();
+    Database.enableQueryLog();
   }
 
+  // Stop recording executed queries and discard the log
   static disableQueryLog() {
-    return Database.disableQueryLog();
+    Database.disableQueryLog();
   }
 
+  // Recorded queries: { sql, bindings, durationMs, connection, model }
   static getQueryLog() {
     return Database.getQueryLog();
   }
 
+  // Clear the recorded queries without disabling the log
   static flushQueryLog() {
-    return Database.flushQueryLog();
+    Database.flushQueryLog();
   }
 
   static pretend(callback, connection) {
@@ -0,0 +1,111 @@
+// Result cache behind QueryBuilder.remember().
+//
+// Entries are tagged by table. Each tag has a version stored in the cache store;
+// writing to a table replaces its version, which makes every entry recorded under
+// the old version a miss. This works for any store that can get and set keys,
+// so entries can be shared between processes through Redis or Memcached.
+//
+// Store interface (all methods may be async):
+//   get(key)                 → value, or undefined on a miss
+//   set(key, value, ttlSecs) → ttlSecs of 0 means no expiry
+//   delete(key)
+//   flush()                  → optional, clears every entry
+
+class MemoryStore {
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds = 0) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async flush() {
+    this.entries.clear();
+  }
+}
+
+class QueryCache {
+  static store = new MemoryStore();
+  static prefix = 'ilana:';
+
+  // Replace the cache store, e.g. with a Redis adapter
+  static useStore(store) {
+    this.store = store;
+  }
+
+  static _newVersion() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  static async _tagVersions(tags) {
+    const versions = {};
+    for (const tag of tags) {
+      const key = `${this.prefix}tag:${tag}`;
+      let version = await this.store.get(key);
+      // A missing version (never set, or evicted) gets a fresh one so that
+      // entries recorded under an older version can never match again
+      if (version === undefined || version === null) {
+        version = this._newVersion();
+        await this.store.set(key, version, 0);
+      }
+      versions[tag] = version;
+    }
+    return versions;
+  }
+
+  // Return the cached value for key, or run callback and cache its result for ttl seconds
+  static async remember(key, ttlSeconds, tags, callback) {
+    const versions = await this._tagVersions(tags);
+    const entry = await this.store.get(this.prefix + key);
+    if (entry && tags.every(tag => entry.tags?.[tag] === versions[tag])) {
+      return entry.value;
+    }
+
+    const value = await callback();
+    await this.store.set(this.prefix + key, { value, tags: versions }, ttlSeconds);
+    return value;
+  }
+
+  // Invalidate every entry tagged with any of the given tables
+  static async flushTags(...tags) {
+    for (const tag of tags.flat()) {
+      await this.store.set(`${this.prefix}tag:${tag}`, this._newVersion(), 0);
+    }
+  }
+
+  static async forget(key) {
+    await this.store.delete(this.prefix + key);
+  }
+
+  static async flush() {
+    if (typeof this.store.flush === 'function') await this.store.flush();
+  }
+}
+
+module.exports = { QueryCache, MemoryStore };
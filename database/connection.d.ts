@@ -1,10 +1,27 @@
 import { Knex } from 'knex';
 
+export interface ConnectionConfig extends Knex.Config {
+  read?: Record<string, any> | Record<string, any>[];
+  write?: Record<string, any>;
+  sticky?: boolean;
+}
+
 export interface DatabaseConfig {
   default: string;
   logging?: boolean;
+  /** Emit 'slow-query' for queries taking at least this many milliseconds */
+  slowQueryThreshold?: number;
+  /** Attach the EXPLAIN plan of slow SELECT queries to the 'slow-query' event */
+  explainSlowQueries?: boolean;
+  /** App key for EncryptedCast; previousKeys still decrypt until `ilana key:rotate` runs */
+  encryption?: {
+    key: string | Uint8Array;
+    previousKeys?: Array<string | Uint8Array>;
+    /** HMAC key for blind indexes; derived from `key` when omitted */
+    indexKey?: string | Uint8Array;
+  };
   connections: {
-    [name: string]: Knex.Config;
+    [name: string]: ConnectionConfig;
   };
   migrations?: {
     directory?: string;
@@ -15,6 +32,17 @@ export interface DatabaseConfig {
   };
 }
 
+export interface QueryEvent {
+  sql: string;
+  bindings: any[];
+  durationMs: number;
+  connection: string;
+  model: string | null;
+  error?: Error;
+  /** EXPLAIN output, on 'slow-query' events when explainSlowQueries is enabled */
+  plan?: any[] | null;
+}
+
 export interface Transaction extends Knex.Transaction {
   commit(): Promise<void>;
   rollback(): Promise<void>;
@@ -22,27 +50,43 @@ export interface Transaction extends Knex.Transaction {
 
 export default class Database {
   static connections: Map<string, Knex>;
+  static readConnections: Map<string, { replicas: Knex[]; sticky: boolean }>;
   static config: DatabaseConfig;
   static defaultConnection: string;
   static instance: Knex;
-  private static _currentTransaction: Knex.Transaction | null;
+
+  static slowQueryThreshold: number | null;
+  static explainSlowQueries: boolean;
 
   static configure(config: DatabaseConfig): void;
+  static listen(listener: (event: QueryEvent) => void): () => void;
+  static on(event: 'query' | 'slow-query', listener: (event: QueryEvent) => void): () => void;
+  static enableQueryLog(): void;
+  static disableQueryLog(): void;
+  static getQueryLog(): QueryEvent[];
+  static flushQueryLog(): void;
+  static expectQueryCount<T>(max: number, callback: () => Promise<T> | T): Promise<T>;
   static enableLogging(): void;
   static disableLogging(): void;
   static connection(name?: string): Knex;
   static getDefaultConnection(): string;
   static hasConnection(name: string): boolean;
   static getInstance(): Knex;
+  static readConnection(name?: string): Knex;
+  static forRead(builder: Knex.QueryBuilder, name?: string): Knex.QueryBuilder;
+  static scope<T>(callback: () => T): T;
   static transaction<T>(
     callback: (trx: Knex.Transaction) => Promise<T>,
     attempts?: number,
     connection?: string
   ): Promise<T>;
+  static afterCommit(callback: () => any): Promise<any>;
+  static afterRollback(callback: () => any): void;
   static beginTransaction(connection?: string): Promise<Transaction>;
   static commit(trx: Knex.Transaction): Promise<void>;
   static rollback(trx: Knex.Transaction): Promise<void>;
   static getCurrentTransaction(): Knex.Transaction | null;
+  static transactionFor(connectionName?: string): Knex.Transaction | null;
   static table(tableName: string, connectionName?: string): Knex.QueryBuilder;
   static raw(sql: string, bindings?: any[]): Knex.Raw;
 }
\ No newline at end of file
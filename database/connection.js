@@ -1,9 +1,17 @@
 const knex = require('knex');
+const AsyncContext = require('./AsyncContext');
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
 
 class Database {
   static connections = new Map();
-  static _currentTransaction = null;
+  static readConnections = new Map();
+  static _transactions = new AsyncContext();
+  static _scopes = new AsyncContext();
   static _logging = false;
+  static _listeners = new Map();
+  static _queryLog = null;
+  static _queryCounters = new AsyncContext();
 
   static enableLogging() {
     this._logging = true;
@@ -25,52 +33,89 @@ class Database {
     console.log(`\x1b[36m[IlanaORM]\x1b[0m ${bound}${time}`);
   }
 
+  // Subscribe to a Database event ('query', 'slow-query'); returns an unsubscribe function
+  static on(event, listener) {
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(listener);
+    return () => this._listeners.get(event).delete(listener);
+  }
+
+  // Receive { sql, bindings, durationMs, connection, model } for every executed query
+  static listen(listener) {
+    return this.on('query', listener);
+  }
+
+  // Record executed queries for test assertions
+  static enableQueryLog() {
+    if (!this._queryLog) this._queryLog = [];
+  }
+
+  static disableQueryLog() {
+    this._queryLog = null;
+  }
+
+  static getQueryLog() {
+    return this._queryLog ? [...this._queryLog] : [];
+  }
+
+  static flushQueryLog() {
+    if (this._queryLog) this._queryLog.length = 0;
+  }
+
+  // Run callback and throw if its async call chain executed more than `max` queries
+  static async expectQueryCount(max, callback) {
+    const counter = { queries: [], parent: this._queryCounters.get() };
+    const result = await this._queryCounters.run(counter, callback);
+    if (counter.queries.length > max) {
+      const list = counter.queries.map((q, i) => `  ${i + 1}. ${q.sql}`).join('\n');
+      throw new Error(`Expected at most ${max} queries, but ${counter.queries.length} were executed:\n${list}`);
+    }
+    return result;
+  }
+
+  static _emit(event, payload) {
+    for (const listener of this._listeners.get(event) || []) {
+      try {
+        listener(payload);
+      } catch (error) {
+        // A failing listener must not break the query that triggered it
+        console.error(`\x1b[36m[IlanaORM]\x1b[0m ${event} listener failed:`, error);
+      }
+    }
+  }
+
   static configure(config) {
     this.config = config;
     this.defaultConnection = config.default;
     if (config.logging) this._logging = true;
+    this.slowQueryThreshold = config.slowQueryThreshold ?? null;
+    this.explainSlowQueries = !!config.explainSlowQueries;
 
     // Initialize all configured connections
     for (const [name, connConfig] of Object.entries(config.connections)) {
-      try {
-        const connection = knex({
-          ...connConfig,
-          migrations: config.migrations || {
-            directory: './migrations',
-            tableName: 'migrations'
-          },
-          seeds: config.seeds || {
-            directory: './seeds'
-          }
-        });
-
-        // Attach query logger
-        connection.on('query', (query) => {
-          this._queryStart = Date.now();
-          this._pendingQuery = query.sql;
-          this._pendingBindings = [...(query.bindings || [])];
-        });
-        connection.on('query-response', (response, query) => {
-          const ms = Date.now() - (this._queryStart || Date.now());
-          this._log(query.sql, [...(query.bindings || [])], ms);
-        });
-        connection.on('query-error', (error, query) => {
-          if (this._logging) {
-            console.error(`\x1b[36m[IlanaORM]\x1b[0m \x1b[31mERROR\x1b[0m ${query.sql}`);
-          }
-        });
-
-        this.connections.set(name, connection);
-      } catch (error) {
-        if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(connConfig.client)) {
-          const driverMap = { pg: 'pg', mysql2: 'mysql2', sqlite3: 'sqlite3' };
-          const driver = driverMap[connConfig.client] || connConfig.client;
-          throw new Error(
-            `Database driver '${driver}' not installed. Install it with: npm install ${driver}`
-          );
-        }
-        throw error;
+      const { read, write, sticky, ...baseConfig } = connConfig;
+
+      if (!read && !write) {
+        this.connections.set(name, this._createKnex(name, connConfig, config));
+        continue;
       }
+
+      // Read/write split: `read` and `write` hold host overrides merged over `connection`
+      const withHost = (overrides) => ({
+        ...baseConfig,
+        connection: { ...(baseConfig.connection || {}), ...(overrides || {}) }
+      });
+      const primary = this._createKnex(name, withHost(write), config);
+      primary.on('query', (query) => {
+        if (this._isWriteQuery(query)) this._recordWrite(name);
+      });
+      this.connections.set(name, primary);
+
+      const replicas = (Array.isArray(read) ? read : [read]).filter(Boolean);
+      this.readConnections.set(name, {
+        replicas: replicas.map(host => this._createKnex(name, withHost(host), config)),
+        sticky: !!sticky
+      });
     }
     
     // Set default instance after all connections are created
@@ -83,6 +128,138 @@ class Database {
     }
   }
 
+  static _createKnex(name, connConfig, config) {
+    try {
+      const connection = knex({
+        ...connConfig,
+        migrations: config.migrations || {
+          directory: './migrations',
+          tableName: 'migrations'
+        },
+        seeds: config.seeds || {
+          directory: './seeds'
+        }
+      });
+
+      // Time each query by knex's per-query uid so concurrent queries never share a clock
+      const started = new Map();
+      connection.on('query', (query) => {
+        started.set(query.__knexQueryUid, now());
+      });
+      connection.on('query-response', (response, query) => {
+        this._queryFinished(name, connection, query, started);
+      });
+      connection.on('query-error', (error, query) => {
+        if (this._logging) {
+          console.error(`\x1b[36m[IlanaORM]\x1b[0m \x1b[31mERROR\x1b[0m ${query.sql}`);
+        }
+        this._queryFinished(name, connection, query, started, error);
+      });
+
+      return connection;
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(connConfig.client)) {
+        const driverMap = { pg: 'pg', mysql2: 'mysql2', sqlite3: 'sqlite3' };
+        const driver = driverMap[connConfig.client] || connConfig.client;
+        throw new Error(
+          `Database driver '${driver}' not installed. Install it with: npm install ${driver}`
+        );
+      }
+      throw error;
+    }
+  }
+
+  static _queryFinished(name, knexInstance, query, started, error) {
+    const start = started.get(query.__knexQueryUid);
+    started.delete(query.__knexQueryUid);
+    const durationMs = start === undefined ? 0 : Math.round((now() - start) * 100) / 100;
+    const context = query.queryContext || {};
+    // EXPLAIN statements issued for a slow query are internal and never reported
+    if (context.explain) return;
+
+    if (!error) this._log(query.sql, [...(query.bindings || [])], Math.round(durationMs));
+
+    const event = {
+      sql: query.sql,
+      bindings: query.bindings || [],
+      durationMs,
+      connection: name,
+      model: context.model || null,
+    };
+    if (error) event.error = error;
+    if (this._queryLog) this._queryLog.push(event);
+    // Count towards every enclosing expectQueryCount() block
+    for (let counter = this._queryCounters.get(); counter; counter = counter.parent) {
+      counter.queries.push(event);
+    }
+    this._emit('query', event);
+
+    if (this.slowQueryThreshold != null && durationMs >= this.slowQueryThreshold) {
+      this._reportSlowQuery(knexInstance, event, query.__knexTxId);
+    }
+  }
+
+  static async _reportSlowQuery(knexInstance, event, txId) {
+    if (this.explainSlowQueries && /^\s*(select|with)\b/i.test(event.sql)) {
+      // A query inside a transaction is explained on that transaction: the pool may have
+      // no other connection to give (SQLite has one) and none other sees its tables.
+      // Skipped when the transaction isn't the current one, e.g. from beginTransaction().
+      const runner = txId ? this.transactionFor(event.connection) : knexInstance;
+      event.plan = runner ? await this._explain(runner, event.sql, event.bindings) : null;
+    }
+    this._emit('slow-query', event);
+  }
+
+  static async _explain(knexInstance, sql, bindings) {
+    const client = knexInstance.client.config.client;
+    const prefix = /sqlite/.test(client) ? 'EXPLAIN QUERY PLAN ' : 'EXPLAIN ';
+    try {
+      const result = await knexInstance.raw(prefix + sql, bindings).queryContext({ explain: true });
+      if (Array.isArray(result)) return Array.isArray(result[0]) ? result[0] : result; // mysql: [rows, fields]
+      return result.rows || result;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static _isWriteQuery(query) {
+    if (['insert', 'update', 'del', 'truncate'].includes(query.method)) return true;
+    return query.method === 'raw' && !/^\s*(select|show|explain|pragma)\b/i.test(query.sql || '');
+  }
+
+  // Run a callback in a request scope. Sticky read/write connections keep reads on
+  // the primary for the rest of the scope once it has written.
+  static scope(callback) {
+    return this._scopes.run({ wrote: new Set() }, callback);
+  }
+
+  static _recordWrite(name) {
+    const scope = this._scopes.get();
+    if (scope) scope.wrote.add(name);
+  }
+
+  // Knex instance to run a read on: a random replica, or the primary when the
+  // connection has no read hosts, a transaction is active, or a sticky write happened
+  static readConnection(name) {
+    const connName = name || this.defaultConnection;
+    const split = this.readConnections.get(connName);
+    if (!split || split.replicas.length === 0 || this.transactionFor(connName)) {
+      return this.connection(name);
+    }
+    if (split.sticky && this._scopes.get()?.wrote.has(connName)) {
+      return this.connection(name);
+    }
+    return split.replicas[Math.floor(Math.random() * split.replicas.length)];
+  }
+
+  // Rebind a built read query to the connection chosen by readConnection().
+  // Queries bound to a transaction always stay on it.
+  static forRead(builder, name) {
+    if (builder.client?.transacting) return builder;
+    builder.client = this.readConnection(name).client;
+    return builder;
+  }
+
   static connection(name) {
     if (!name) return this.getInstance();
     const conn = this.connections.get(name);
@@ -108,26 +285,82 @@ class Database {
   }
 
   static async transaction(callback, attempts = 1, connection) {
+    const name = connection || this.defaultConnection;
+
+    // Nested call on the same connection: run inside a SAVEPOINT on the outer trx.
+    // Retries are left to the outermost transaction.
+    const outer = this._transactions.get();
+    if (outer && !outer.trx.isCompleted() && outer.connection === name) {
+      const scope = this._transactionScope(name, outer);
+      const result = await this._runTransaction(outer.trx, scope, callback);
+      // Savepoint released: defer everything to the outer transaction
+      outer.afterCommit.push(...scope.afterCommit);
+      outer.afterRollback.push(...scope.afterRollback);
+      return result;
+    }
+
     const db = this.connection(connection);
-    
+    let scope;
+    let result;
     for (let attempt = 1; attempt <= attempts; attempt++) {
+      scope = this._transactionScope(name, null);
       try {
-        return await db.transaction(async (trx) => {
-          // Set current transaction for models to use
-          this._currentTransaction = trx;
-          try {
-            const result = await callback(trx);
-            return result;
-          } finally {
-            this._currentTransaction = null;
-          }
-        });
+        result = await this._runTransaction(db, scope, callback);
+        break;
       } catch (error) {
         if (attempt === attempts) throw error;
         // Wait before retry for deadlock scenarios
         await new Promise(resolve => setTimeout(resolve, 100 * attempt));
       }
     }
+
+    // Committed: run the callbacks once, outside the retry loop, so a failing
+    // callback can never re-run the transaction
+    await this._runCallbacks(scope.afterCommit);
+    return result;
+  }
+
+  // Scope the transaction to this async call chain so concurrent
+  // requests never pick up each other's trx
+  static _transactionScope(name, parent) {
+    return { trx: null, connection: name, parent, afterCommit: [], afterRollback: [] };
+  }
+
+  static async _runTransaction(db, scope, callback) {
+    try {
+      return await db.transaction((trx) => {
+        scope.trx = trx;
+        return this._transactions.run(scope, () => callback(trx));
+      });
+    } catch (error) {
+      // Work registered for commit inside a rolled-back level is discarded.
+      // A failing callback must not replace the error that caused the rollback.
+      try {
+        await this._runCallbacks(scope.afterRollback);
+      } finally {
+        throw error;
+      }
+    }
+  }
+
+  static async _runCallbacks(callbacks) {
+    for (const callback of callbacks) {
+      await callback();
+    }
+  }
+
+  // Run once the outermost transaction commits; immediately when not in a transaction
+  static async afterCommit(callback) {
+    const current = this._transactions.get();
+    if (!current || current.trx.isCompleted()) return callback();
+    current.afterCommit.push(callback);
+  }
+
+  // Run if the current transaction (or savepoint) rolls back; ignored outside a transaction
+  static afterRollback(callback) {
+    const current = this._transactions.get();
+    if (!current || current.trx.isCompleted()) return;
+    current.afterRollback.push(callback);
   }
 
   static async beginTransaction(connection) {
@@ -149,15 +382,28 @@ class Database {
   }
 
   static getCurrentTransaction() {
-    return this._currentTransaction;
+    const current = this._transactions.get();
+    if (!current || current.trx.isCompleted()) return null;
+    return current.trx;
+  }
+
+  // Transaction of the current async call chain, if it runs on the given connection
+  static transactionFor(connectionName) {
+    const current = this._transactions.get();
+    if (!current || current.trx.isCompleted()) return null;
+    const name = connectionName || this.defaultConnection;
+    return current.connection === name ? current.trx : null;
   }
 
   static table(tableName, connectionName) {
+    const trx = this.transactionFor(connectionName);
+    if (trx) return trx(tableName);
     return this.connection(connectionName)(tableName);
   }
 
   static raw(sql, bindings) {
-    return this.getInstance().raw(sql, bindings);
+    const trx = this.transactionFor();
+    return (trx || this.getInstance()).raw(sql, bindings);
   }
 }
 
@@ -1,7 +1,14 @@
+import Model from './orm/Model';
 export { default as Model } from './orm/Model';
 export { default as QueryBuilder } from './orm/QueryBuilder';
 export { default as Collection } from './orm/Collection';
 export { default as Database } from './database/connection';
+export { default as Pivot } from './orm/Pivot';
+export { default as Encrypter } from './orm/Encrypter';
+export type { EncryptionConfig } from './orm/Encrypter';
+export { default as Money } from './orm/Money';
+export { default as Enum } from './orm/Enum';
+export type { EnumClass, EnumValue } from './orm/Enum';
 export * from './orm/Relation';
 export * from './orm/CustomCasts';
 
@@ -22,5 +29,100 @@ export declare class ModelNotFoundException extends Error {
   toResponse(): { status: 404; message: string };
 }
 
+export declare class StaleModelException extends Error {
+  name: 'StaleModelException';
+  model: string;
+  id: any;
+  version: any;
+  constructor(model: string, id: any, version?: any);
+  toResponse(): { status: 409; message: string };
+}
+
+export declare class ValidationException extends Error {
+  name: 'ValidationException';
+  model: string;
+  errors: Record<string, string[]>;
+  constructor(model: string, errors: Record<string, string[]>);
+  toResponse(): { status: 422; message: string; errors: Record<string, string[]> };
+}
+
+export declare class Audit extends Model {
+  static resolveActorUsing(resolver: (() => Model | string | number | null | Promise<Model | string | number | null>) | null): void;
+  static record(model: Model, event: 'created' | 'updated' | 'deleted' | 'restored', oldValues: Record<string, any>, newValues: Record<string, any>): Promise<any>;
+  auditable(): import('./orm/Relation').MorphTo;
+}
+
+export declare class LazyLoadingViolationException extends Error {
+  name: 'LazyLoadingViolationException';
+  model: string;
+  relation: string;
+  callSite: string;
+  suggestion: string;
+  constructor(violation: LazyLoadViolation);
+  toResponse(): { status: 500; message: string };
+}
+
+export declare class ClassMorphViolationException extends Error {
+  name: 'ClassMorphViolationException';
+  model: string;
+  constructor(model: string);
+  toResponse(): { status: 500; message: string };
+}
+
+export declare class DecryptException extends Error {
+  name: 'DecryptException';
+  constructor(message?: string);
+  toResponse(): { status: 500; message: string };
+}
+
+export interface LazyLoadViolation {
+  model: string;
+  relation: string;
+  batchSize: number;
+  callSite: string;
+  suggestion: string;
+}
+
+export declare class LazyLoadDetector {
+  static mode: false | 'warn' | 'throw' | ((violation: LazyLoadViolation) => void);
+  static readonly enabled: boolean;
+  static enable(mode?: 'warn' | 'throw' | ((violation: LazyLoadViolation) => void)): void;
+  static disable(): void;
+}
+
+export interface CacheStore {
+  get(key: string): any | Promise<any>;
+  set(key: string, value: any, ttlSeconds?: number): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  flush?(): void | Promise<void>;
+}
+
+export declare class MemoryStore implements CacheStore {
+  constructor(maxEntries?: number);
+  maxEntries: number;
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttlSeconds?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  flush(): Promise<void>;
+}
+
+export declare class QueryCache {
+  static store: CacheStore;
+  static prefix: string;
+  static useStore(store: CacheStore): void;
+  static remember<T>(key: string, ttlSeconds: number, tags: string[], callback: () => Promise<T>): Promise<T>;
+  static flushTags(...tags: Array<string | string[]>): Promise<void>;
+  static forget(key: string): Promise<void>;
+  static flush(): Promise<void>;
+}
+
+export declare class Validator {
+  static extend(
+    name: string,
+    callback: (value: any, attribute: string, args: string[], model: any) => boolean | string | Promise<boolean | string>
+  ): void;
+  static validate(model: any, rules: Record<string, any>, only?: string[] | null): Promise<Record<string, string[]>>;
+}
+
 // Default export
 export { default } from './orm/Model';
\ No newline at end of file
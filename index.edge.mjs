@@ -18,17 +18,35 @@ export const {
   Factory,
   defineFactory,
   ModelNotFoundException,
+  StaleModelException,
+  ValidationException,
+  LazyLoadingViolationException,
+  ClassMorphViolationException,
+  DecryptException,
+  Validator,
+  Audit,
+  Pivot,
+  Encrypter,
+  Money,
+  Enum,
+  QueryCache,
+  MemoryStore,
+  LazyLoadDetector,
   F,
   HasOne,
   HasMany,
   BelongsTo,
   BelongsToMany,
+  MorphToMany,
   HasManyThrough,
+  HasOneThrough,
   MorphTo,
   MorphOne,
   MorphMany,
   MoneyCast,
   EncryptedCast,
+  EncryptedJsonCast,
+  EnumCast,
   JsonCast,
   ArrayCast,
   DateCast,
@@ -10,7 +10,22 @@ const Seeder = require('./orm/Seeder');
 const Factory = require('./orm/Factory');
 const Relation = require('./orm/Relation');
 const CustomCasts = require('./orm/CustomCasts');
-const { ModelNotFoundException } = require('./orm/Errors');
+const {
+  ModelNotFoundException,
+  StaleModelException,
+  ValidationException,
+  LazyLoadingViolationException,
+  ClassMorphViolationException,
+  DecryptException
+} = require('./orm/Errors');
+const Validator = require('./orm/Validator');
+const Audit = require('./orm/Audit');
+const Pivot = require('./orm/Pivot');
+const Encrypter = require('./orm/Encrypter');
+const Money = require('./orm/Money');
+const Enum = require('./orm/Enum');
+const LazyLoadDetector = require('./orm/LazyLoadDetector');
+const { QueryCache, MemoryStore } = require('./database/QueryCache');
 const { F } = require('./orm/F');
 
 module.exports = {
@@ -25,6 +40,20 @@ module.exports = {
   Factory: Factory.Factory,
   defineFactory: Factory.defineFactory,
   ModelNotFoundException,
+  StaleModelException,
+  ValidationException,
+  LazyLoadingViolationException,
+  ClassMorphViolationException,
+  DecryptException,
+  Validator,
+  Audit,
+  Pivot,
+  Encrypter,
+  Money,
+  Enum,
+  QueryCache,
+  MemoryStore,
+  LazyLoadDetector,
   F,
 
   // Relationships
@@ -0,0 +1,75 @@
+const Model = require('./Model');
+
+// One row per create/update/delete/restore of a model with `static auditable = true`.
+// Generate the table with `ilana make:audits-table`.
+class Audit extends Model {
+  static table = 'audits';
+  static timestamps = false;
+  static guarded = [];
+  static casts = { old_values: 'json', new_values: 'json' };
+
+  static _actorResolver = null;
+
+  /**
+   * Set the function that returns the current actor (usually the signed-in user).
+   * It may return a model, a plain id, or null, and may be async.
+   * Read request state from an AsyncLocalStorage store so concurrent requests
+   * record their own actor.
+   */
+  static resolveActorUsing(resolver) {
+    this._actorResolver = resolver;
+  }
+
+  static async resolveActor() {
+    if (!this._actorResolver) return { type: null, id: null };
+    const actor = await this._actorResolver();
+    if (actor == null) return { type: null, id: null };
+    if (actor instanceof Model) return { type: actor.getMorphClass(), id: String(actor.getKey()) };
+    return { type: null, id: String(actor) };
+  }
+
+  // Attributes that are never recorded: timestamps, the optimistic lock column,
+  // hidden attributes and `static auditExclude`
+  static _filterValues(model, values) {
+    const ModelClass = model.constructor;
+    const excluded = new Set([
+      ModelClass.createdAt || 'created_at',
+      ModelClass.updatedAt || 'updated_at',
+      ModelClass._lockColumn(),
+      ...(model.hidden || []),
+      ...(ModelClass.auditExclude || []),
+    ]);
+    const result = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!excluded.has(key)) result[key] = value;
+    }
+    return result;
+  }
+
+  static async record(model, event, oldValues, newValues) {
+    const before = this._filterValues(model, oldValues);
+    const after = this._filterValues(model, newValues);
+    // Nothing worth recording (e.g. only updated_at changed)
+    if (event === 'updated' && Object.keys(after).length === 0) return null;
+
+    const actor = await this.resolveActor();
+    return this.query().insert({
+      auditable_type: model.getMorphClass(),
+      auditable_id: String(model.getKey()),
+      event,
+      old_values: JSON.stringify(before),
+      new_values: JSON.stringify(after),
+      actor_type: actor.type,
+      actor_id: actor.id,
+      created_at: new Date(),
+    });
+  }
+
+  auditable() {
+    return this.morphTo('auditable');
+  }
+}
+
+Audit.register();
+
+module.exports = Audit;
@@ -1,3 +1,5 @@
+import Money from './Money';
+
 export default class Collection<T = any> extends Array<T> {
   constructor(items?: T[]);
 
@@ -27,6 +29,10 @@ export default class Collection<T = any> extends Array<T> {
   min<K extends keyof T>(key: K): T[K] | undefined;
   max(): T | undefined;
   max<K extends keyof T>(key: K): T[K] | undefined;
+  sumMoney(key?: string, currency?: string): Money | null;
+  avgMoney(key?: string, currency?: string): Money | null;
+  minMoney(key?: string): Money | null;
+  maxMoney(key?: string): Money | null;
   chunk(size: number): Collection<Collection<T>>;
   toJSON(): any[];
 
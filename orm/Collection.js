@@ -1,3 +1,5 @@
+const Money = require('./Money');
+
 class Collection extends Array {
   constructor(items = []) {
     super();
@@ -137,6 +139,43 @@ class Collection extends Array {
     return Math.max(...this);
   }
 
+  // Money aggregates over Money values, or the Money attribute `key` of each item.
+  // Null values are skipped and every value must share one currency. An empty
+  // collection gives Money.zero(currency) when a currency is passed, else null.
+  sumMoney(key, currency) {
+    const values = this._moneyValues(key);
+    if (!values.length) return currency ? Money.zero(currency) : null;
+    return values.reduce((sum, money) => sum.plus(money));
+  }
+
+  // Average rounded half away from zero to a whole minor unit
+  avgMoney(key, currency) {
+    const sum = this.sumMoney(key, currency);
+    const count = BigInt(this._moneyValues(key).length);
+    if (!sum || !count) return sum;
+    let minor = sum.minor / count;
+    const remainder = sum.minor % count;
+    if ((remainder < 0n ? -remainder : remainder) * 2n >= count) minor += sum.minor < 0n ? -1n : 1n;
+    return Money.ofMinor(minor, sum.currency);
+  }
+
+  minMoney(key) {
+    const values = this._moneyValues(key);
+    return values.length ? values.reduce((min, money) => (money.compare(min) < 0 ? money : min)) : null;
+  }
+
+  maxMoney(key) {
+    const values = this._moneyValues(key);
+    return values.length ? values.reduce((max, money) => (money.compare(max) > 0 ? money : max)) : null;
+  }
+
+  _moneyValues(key) {
+    const values = [...this].map(item => (key ? item[key] : item)).filter(v => v !== null && v !== undefined);
+    const invalid = values.find(v => !(v instanceof Money));
+    if (invalid !== undefined) throw new Error(`Expected Money values${key ? ` for '${key}'` : ''}, got ${typeof invalid}.`);
+    return values;
+  }
+
   chunk(size) {
     const chunks = [];
     for (let i = 0; i < this.length; i += size) {
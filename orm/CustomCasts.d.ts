@@ -1,17 +1,54 @@
+import Encrypter from './Encrypter';
+import Money from './Money';
+import Enum, { EnumClass } from './Enum';
+
 export interface Cast {
-  get(value: any): any;
-  set(value: any): any;
+  get(value: any, attributes?: Record<string, any>, key?: string): any;
+  set(value: any, attributes?: Record<string, any>, key?: string): any;
+  /** set() returns the value of every column it writes, keyed by column */
+  isMultiColumn?: boolean;
+}
+
+export interface MoneyCastOptions {
+  /** Currency of the stored amounts (default USD), or the fallback when currencyColumn is empty */
+  currency?: string;
+  /** Column holding the currency code; the cast then writes the amount and currency columns */
+  currencyColumn?: string;
 }
 
 export class MoneyCast implements Cast {
-  get(value: any): number | null;
-  set(value: any): number | null;
+  currency: string;
+  currencyColumn: string | null;
+  isMultiColumn: boolean;
+  constructor(options?: string | MoneyCastOptions);
+  get(value: any, attributes?: Record<string, any>): Money | null;
+  set(value: Money | number | string | null, attributes?: Record<string, any>, key?: string): any;
+  toMoney(value: Money | number | string | null, attributes?: Record<string, any>): Money | null;
+  storable(minor: bigint): number | string;
 }
 
 export class EncryptedCast implements Cast {
-  constructor(key?: string);
-  get(value: any): string | null;
+  protected key: string | Uint8Array | null;
+  protected previousKeys: Array<string | Uint8Array>;
+  constructor(key?: string | Uint8Array | null, previousKeys?: Array<string | Uint8Array>);
+  isSearchable: boolean;
+  indexColumn: string | null;
+  getEncrypter(): Encrypter;
+  searchable(indexColumn?: string | null): this;
+  getIndexColumn(attribute: string): string;
+  blindIndex(value: any): string | null;
+  get(value: any): any;
   set(value: any): string | null;
+  serialize(value: any): string;
+}
+
+export class EncryptedJsonCast extends EncryptedCast {}
+
+export class EnumCast<E extends Enum = Enum> implements Cast {
+  enumClass: EnumClass<E>;
+  constructor(enumClass: EnumClass<E>);
+  get(value: any): E | null;
+  set(value: E | string | number | null): string | number | null;
 }
 
 export class JsonCast implements Cast {
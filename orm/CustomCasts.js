@@ -1,32 +1,106 @@
+const Encrypter = require('./Encrypter');
+const Money = require('./Money');
+
+// Casts integer minor units to Money. The currency is fixed (USD by default), or read
+// from and written to `currencyColumn`, which makes the cast span two columns:
+//   price: new MoneyCast('EUR')
+//   total: new MoneyCast({ currencyColumn: 'currency' })
+// Numbers and strings are assigned in major units: 12.34 is stored as 1234.
 class MoneyCast {
-  get(value) {
-    return value ? parseFloat(value) / 100 : null;
+  constructor(options = {}) {
+    if (typeof options === 'string') options = { currency: options };
+    this.currency = (options.currency || 'USD').toUpperCase();
+    this.currencyColumn = options.currencyColumn || null;
+    this.isMultiColumn = !!this.currencyColumn;
   }
-  
-  set(value) {
-    return value ? Math.round(value * 100) : null;
+
+  get(value, attributes = {}) {
+    if (value === null || value === undefined) return null;
+    const currency = (this.currencyColumn && attributes[this.currencyColumn]) || this.currency;
+    return Money.ofMinor(value, currency);
+  }
+
+  set(value, attributes = {}, key) {
+    const money = this.toMoney(value, attributes);
+    if (!this.isMultiColumn) {
+      if (money && money.currency !== this.currency) {
+        throw new Error(`Currency mismatch: ${key || 'attribute'} is stored in ${this.currency}, got ${money.currency}.`);
+      }
+      return money && this.storable(money.minor);
+    }
+    if (!money) return { [key]: null };
+    return { [key]: this.storable(money.minor), [this.currencyColumn]: money.currency };
+  }
+
+  toMoney(value, attributes = {}) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Money) return value;
+    const currency = (this.currencyColumn && attributes[this.currencyColumn]) || this.currency;
+    return Money.of(value, currency);
+  }
+
+  // Safe integers are stored as numbers, larger amounts as strings that drivers pass to bigint columns
+  storable(minor) {
+    const number = Number(minor);
+    return Number.isSafeInteger(number) ? number : minor.toString();
   }
 }
 
+// Encrypts with AES-256-GCM using the configured app key, or the key passed in
 class EncryptedCast {
-  constructor(key = 'default-key') {
+  constructor(key = null, previousKeys = []) {
     this.key = key;
+    this.previousKeys = previousKeys;
+    this.isSearchable = false;
+    this.indexColumn = null;
   }
-  
+
+  // Keep an HMAC blind index of the value in a sibling column (default `<attribute>_index`)
+  // so the attribute can be queried with whereEncrypted()
+  searchable(indexColumn = null) {
+    this.isSearchable = true;
+    this.indexColumn = indexColumn;
+    return this;
+  }
+
+  getIndexColumn(attribute) {
+    return this.indexColumn || `${attribute}_index`;
+  }
+
+  blindIndex(value) {
+    if (value === null || value === undefined) return null;
+    return this.getEncrypter().hash(this.serialize(value));
+  }
+
+  getEncrypter() {
+    if (!this.key) return Encrypter.fromConfig();
+    if (!this._encrypter) this._encrypter = new Encrypter(this.key, this.previousKeys);
+    return this._encrypter;
+  }
+
   get(value) {
-    if (!value) return null;
-    // Simple base64 decode for demo - use proper encryption in production
-    try {
-      return Buffer.from(value, 'base64').toString('utf8');
-    } catch {
-      return value;
-    }
+    if (value === null || value === undefined) return null;
+    return this.getEncrypter().decrypt(value);
   }
-  
+
   set(value) {
-    if (!value) return null;
-    // Simple base64 encode for demo - use proper encryption in production
-    return Buffer.from(value).toString('base64');
+    if (value === null || value === undefined) return null;
+    return this.getEncrypter().encrypt(this.serialize(value));
+  }
+
+  serialize(value) {
+    return String(value);
+  }
+}
+
+class EncryptedJsonCast extends EncryptedCast {
+  get(value) {
+    const json = super.get(value);
+    return json === null ? null : JSON.parse(json);
+  }
+
+  serialize(value) {
+    return JSON.stringify(value);
   }
 }
 
@@ -42,6 +116,24 @@ class JsonCast {
   }
 }
 
+// Stores an Enum case as its value and reads the value back as the case.
+// Values the enum doesn't define throw on assignment and on read.
+class EnumCast {
+  constructor(enumClass) {
+    this.enumClass = enumClass;
+  }
+
+  get(value) {
+    if (value === null || value === undefined) return null;
+    return this.enumClass.from(value);
+  }
+
+  set(value) {
+    if (value === null || value === undefined) return null;
+    return this.enumClass.from(value).value;
+  }
+}
+
 class ArrayCast {
   get(value) {
     if (!value) return null;
@@ -69,6 +161,8 @@ class DateCast {
 module.exports = {
   MoneyCast,
   EncryptedCast,
+  EncryptedJsonCast,
+  EnumCast,
   JsonCast,
   ArrayCast,
   DateCast
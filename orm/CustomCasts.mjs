@@ -4,4 +4,4 @@ const require = createRequire(import.meta.url);
 
 const CustomCasts = require('./CustomCasts.js');
 
-export const { MoneyCast, EncryptedCast, JsonCast, ArrayCast, DateCast } = CustomCasts;
\ No newline at end of file
+export const { MoneyCast, EncryptedCast, EncryptedJsonCast, EnumCast, JsonCast, ArrayCast, DateCast } = CustomCasts;
\ No newline at end of file
@@ -0,0 +1,19 @@
+export interface EncryptionConfig {
+  key: string | Uint8Array;
+  previousKeys?: Array<string | Uint8Array>;
+  indexKey?: string | Uint8Array;
+}
+
+export default class Encrypter {
+  constructor(key: string | Uint8Array, previousKeys?: Array<string | Uint8Array>, indexKey?: string | Uint8Array | null);
+
+  static fromConfig(): Encrypter;
+  static generateKey(): string;
+  static parseKey(key: string | Uint8Array): Uint8Array;
+
+  encrypt(value: any): string;
+  decrypt(payload: string): string;
+  hash(value: any): string;
+  isEncrypted(payload: any): boolean;
+  isCurrent(payload: any): boolean;
+}
@@ -0,0 +1,116 @@
+const Database = require('../database/connection');
+const { DecryptException } = require('./Errors');
+
+// AES-256-GCM encryption behind EncryptedCast.
+//
+// Payloads are base64(iv | auth tag | ciphertext) with a random 12-byte IV, so
+// encrypting the same value twice gives different payloads and any tampering
+// fails authentication. Keys are 32 bytes, written as 'base64:...' (what
+// Encrypter.generateKey() returns) or as a raw 32-character string. Previous
+// keys only decrypt; `ilana key:rotate` re-encrypts stored values with the current key.
+//
+// Blind indexes for searchable columns are HMAC-SHA256 hashes keyed by `indexKey`,
+// or by a key derived from the app key when none is set. A separate indexKey keeps
+// indexes valid across key rotations.
+//
+// ilana.config.js:
+//   encryption: { key: process.env.APP_KEY, previousKeys: [process.env.OLD_APP_KEY], indexKey: process.env.APP_INDEX_KEY }
+
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Node's crypto is loaded on first use so edge bundles that never encrypt don't need it
+const crypto = () => require('crypto');
+
+class Encrypter {
+  static _cached = null;
+
+  constructor(key, previousKeys = [], indexKey = null) {
+    this.key = Encrypter.parseKey(key);
+    this.previousKeys = (previousKeys || []).filter(Boolean).map(k => Encrypter.parseKey(k));
+    this.indexKey = indexKey ? Encrypter.parseKey(indexKey) : null;
+  }
+
+  // Encrypter for the `encryption` section of the loaded config
+  static fromConfig() {
+    const config = Database.config?.encryption;
+    if (!config?.key) {
+      throw new Error('No encryption key configured. Set `encryption.key` in ilana.config.js (generate one with Encrypter.generateKey()).');
+    }
+    if (this._cached?.config !== config) {
+      this._cached = { config, encrypter: new Encrypter(config.key, config.previousKeys, config.indexKey) };
+    }
+    return this._cached.encrypter;
+  }
+
+  static generateKey() {
+    return `base64:${crypto().randomBytes(32).toString('base64')}`;
+  }
+
+  static parseKey(key) {
+    const bytes = key instanceof Uint8Array
+      ? Buffer.from(key)
+      : typeof key === 'string' && key.startsWith('base64:')
+        ? Buffer.from(key.slice(7), 'base64')
+        : Buffer.from(String(key ?? ''), 'utf8');
+    if (bytes.length !== 32) {
+      throw new Error(`Encryption keys must be 32 bytes for ${CIPHER}, got ${bytes.length}.`);
+    }
+    return bytes;
+  }
+
+  encrypt(value) {
+    const iv = crypto().randomBytes(IV_LENGTH);
+    const cipher = crypto().createCipheriv(CIPHER, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  decrypt(payload) {
+    const opened = this._open(payload);
+    if (!opened) throw new DecryptException();
+    return opened.value;
+  }
+
+  // Deterministic HMAC of value for blind index lookups
+  hash(value) {
+    if (!this.indexKey) {
+      this.indexKey = Buffer.from(crypto().hkdfSync('sha256', this.key, Buffer.alloc(0), 'ilana-blind-index', 32));
+    }
+    return crypto().createHmac('sha256', this.indexKey).update(String(value), 'utf8').digest('hex');
+  }
+
+  // True when payload decrypts with any known key
+  isEncrypted(payload) {
+    return this._open(payload) !== null;
+  }
+
+  // True when payload was encrypted with the current key, i.e. needs no rotation
+  isCurrent(payload) {
+    return this._open(payload)?.current === true;
+  }
+
+  _open(payload) {
+    if (typeof payload !== 'string') return null;
+    const bytes = Buffer.from(payload, 'base64');
+    if (bytes.length < IV_LENGTH + TAG_LENGTH) return null;
+    const iv = bytes.subarray(0, IV_LENGTH);
+    const tag = bytes.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const ciphertext = bytes.subarray(IV_LENGTH + TAG_LENGTH);
+
+    for (const key of [this.key, ...this.previousKeys]) {
+      try {
+        const decipher = crypto().createDecipheriv(CIPHER, key, iv);
+        decipher.setAuthTag(tag);
+        const value = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+        return { value, current: key === this.key };
+      } catch {
+        // Wrong key or tampered payload; try the next key
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = Encrypter;
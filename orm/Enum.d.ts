@@ -0,0 +1,38 @@
+export type EnumValue = string | number;
+
+/** The class returned by Enum.define(); E is the type of its cases */
+export interface EnumClass<E extends Enum = Enum> {
+  readonly name: string;
+  readonly backing: 'string' | 'int';
+  readonly prototype: E;
+  cases(): E[];
+  values(): Array<E['value']>;
+  from(value: E | EnumValue): E;
+  tryFrom(value: any): E | null;
+  has(value: any): boolean;
+}
+
+export type DefinedEnum<C extends Record<string, EnumValue>, M> =
+  EnumClass<Enum<C[keyof C]> & M> & { readonly [K in keyof C]: Enum<C[K]> & M };
+
+export default class Enum<V extends EnumValue = EnumValue> {
+  readonly name: string;
+  readonly value: V;
+
+  protected constructor(name: string, value: V);
+
+  static define<C extends Record<string, V>, V extends string, M extends object = {}>(
+    name: string, cases: C, methods?: M & ThisType<Enum<C[keyof C]> & M>
+  ): DefinedEnum<C, M>;
+  static define<C extends Record<string, V>, V extends number, M extends object = {}>(
+    name: string, cases: C, methods?: M & ThisType<Enum<C[keyof C]> & M>
+  ): DefinedEnum<C, M>;
+  static define<V extends string, M extends object = {}>(
+    name: string, cases: readonly V[], methods?: M & ThisType<Enum<V> & M>
+  ): DefinedEnum<{ [K in V as Uppercase<K>]: K }, M>;
+  static isEnum(value: any): value is Enum;
+
+  is(value: Enum | EnumValue): boolean;
+  toString(): string;
+  toJSON(): V;
+}
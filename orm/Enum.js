@@ -0,0 +1,101 @@
+// Enumerations backed by strings or integers.
+//
+//   const OrderStatus = Enum.define('OrderStatus', { PENDING: 'pending', PAID: 'paid' });
+//   OrderStatus.PAID.value;        // 'paid'
+//   OrderStatus.from('paid');      // OrderStatus.PAID
+//
+// Every case is a frozen singleton, so cases compare with ===. Listed in a model's
+// casts, an enum hydrates the column to its case and rejects values it doesn't define.
+
+class Enum {
+  constructor(name, value) {
+    this.name = name;
+    this.value = value;
+    Object.freeze(this);
+  }
+
+  // Cases are { NAME: value } or an array of values, named after the upper-cased value.
+  // `methods` are added to every case: { label() { ... } }
+  static define(name, cases, methods = {}) {
+    const entries = Array.isArray(cases)
+      ? cases.map(value => [String(value).replace(/[^A-Za-z0-9]+/g, '_').toUpperCase(), value])
+      : Object.entries(cases || {});
+    if (entries.length === 0) {
+      throw new Error(`Enum ${name} needs at least one case.`);
+    }
+    const backing = entries.every(([, value]) => typeof value === 'string') ? 'string'
+      : entries.every(([, value]) => Number.isInteger(value)) ? 'int'
+      : null;
+    if (!backing) {
+      throw new Error(`Enum ${name} must be backed by strings or by integers, not both.`);
+    }
+
+    const EnumClass = { [name]: class extends this {} }[name];
+    for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(methods))) {
+      Object.defineProperty(EnumClass.prototype, key, { ...descriptor, enumerable: false });
+    }
+    Object.defineProperty(EnumClass, 'backing', { value: backing });
+    Object.defineProperty(EnumClass, '_cases', { value: new Map() });
+
+    for (const [key, value] of entries) {
+      if (key in EnumClass) {
+        throw new Error(`${key} can't be used as a case name of ${name}.`);
+      }
+      if (EnumClass._cases.has(value)) {
+        throw new Error(`Enum ${name} defines the value ${JSON.stringify(value)} twice.`);
+      }
+      const instance = new EnumClass(key, value);
+      EnumClass._cases.set(value, instance);
+      Object.defineProperty(EnumClass, key, { value: instance, enumerable: true });
+    }
+    return Object.freeze(EnumClass);
+  }
+
+  static isEnum(value) {
+    return value instanceof Enum;
+  }
+
+  static cases() {
+    return [...this._cases.values()];
+  }
+
+  static values() {
+    return [...this._cases.keys()];
+  }
+
+  // The case with this value. Integer enums accept numeric strings, as drivers may return them.
+  static tryFrom(value) {
+    if (value instanceof this) return value;
+    if (this.backing === 'int' && typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+      value = Number(value);
+    }
+    return this._cases.get(value) ?? null;
+  }
+
+  static from(value) {
+    const instance = this.tryFrom(value);
+    if (!instance) {
+      throw new Error(`${JSON.stringify(value)} is not a valid ${this.name} value.`);
+    }
+    return instance;
+  }
+
+  static has(value) {
+    return this.tryFrom(value) !== null;
+  }
+
+  // OrderStatus.PAID.is('paid') and OrderStatus.PAID.is(OrderStatus.PAID) are both true
+  is(value) {
+    return this.constructor.tryFrom(value) === this;
+  }
+
+  toString() {
+    return String(this.value);
+  }
+
+  toJSON() {
+    return this.value;
+  }
+}
+
+module.exports = Enum;
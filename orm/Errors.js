@@ -15,4 +15,87 @@ class ModelNotFoundException extends Error {
   }
 }
 
-module.exports = { ModelNotFoundException };
+class StaleModelException extends Error {
+  constructor(model, id, version) {
+    super(`${model} with id ${id} was modified by another process (expected version ${version})`);
+    this.name = 'StaleModelException';
+    this.model = model;
+    this.id = id;
+    this.version = version;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, StaleModelException);
+  }
+
+  toResponse() {
+    return { status: 409, message: this.message };
+  }
+}
+
+class ValidationException extends Error {
+  constructor(model, errors) {
+    const fields = Object.keys(errors);
+    const first = fields.length ? errors[fields[0]][0] : 'The given data was invalid.';
+    const more = fields.length > 1 ? ` (and ${fields.length - 1} more field${fields.length > 2 ? 's' : ''})` : '';
+    super(`${model} validation failed: ${first}${more}`);
+    this.name = 'ValidationException';
+    this.model = model;
+    this.errors = errors;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, ValidationException);
+  }
+
+  toResponse() {
+    return { status: 422, message: this.message, errors: this.errors };
+  }
+}
+
+class LazyLoadingViolationException extends Error {
+  constructor({ model, relation, batchSize, callSite, suggestion }) {
+    super(
+      `N+1 query detected: ${model}.${relation} is lazily loaded per model on the ${batchSize} ${model} models ` +
+      `returned by one get() (at ${callSite}). Eager load it with ${suggestion}.`
+    );
+    this.name = 'LazyLoadingViolationException';
+    this.model = model;
+    this.relation = relation;
+    this.callSite = callSite;
+    this.suggestion = suggestion;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, LazyLoadingViolationException);
+  }
+
+  toResponse() {
+    return { status: 500, message: this.message };
+  }
+}
+
+class ClassMorphViolationException extends Error {
+  constructor(model) {
+    super(`No morph map alias defined for model ${model}. Add it with Model.morphMap({ alias: ${model} }).`);
+    this.name = 'ClassMorphViolationException';
+    this.model = model;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, ClassMorphViolationException);
+  }
+
+  toResponse() {
+    return { status: 500, message: this.message };
+  }
+}
+
+class DecryptException extends Error {
+  constructor(message = 'The payload could not be decrypted with the current or any previous key.') {
+    super(message);
+    this.name = 'DecryptException';
+    if (Error.captureStackTrace) Error.captureStackTrace(this, DecryptException);
+  }
+
+  toResponse() {
+    return { status: 500, message: this.message };
+  }
+}
+
+module.exports = {
+  ModelNotFoundException,
+  StaleModelException,
+  ValidationException,
+  LazyLoadingViolationException,
+  ClassMorphViolationException,
+  DecryptException,
+};
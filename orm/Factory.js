@@ -189,6 +189,8 @@ class Factory {
       const parent = await relFactory.createOne({});
       const rel = this._getRelation(relationName);
       if (rel && rel.foreignKey) parentAttrs[rel.foreignKey] = parent.getKey();
+      // MorphTo also needs the parent's morph type
+      if (rel && rel.constructor.name === 'MorphTo') parentAttrs[rel.morphType] = parent.getMorphClass();
     }
 
     const model = await this.makeOne({ ...parentAttrs, ...attributes });
@@ -203,7 +205,10 @@ class Factory {
     for (const [relationName, relFactory] of this._has) {
       const rel = this._getRelation(relationName);
       if (rel && rel.foreignKey) {
-        await relFactory.create({ [rel.foreignKey]: model.getKey() });
+        const attributes = { [rel.foreignKey]: model.getKey() };
+        // MorphMany / MorphOne children also store the parent's morph type
+        if (rel.morphType && rel.morphClass) attributes[rel.morphType] = rel.morphClass;
+        await relFactory.create(attributes);
       }
     }
 
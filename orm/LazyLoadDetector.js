@@ -0,0 +1,113 @@
+const { LazyLoadingViolationException } = require('./Errors');
+
+// Development-time N+1 detector.
+//
+// Every get() that hydrates more than one model tags its models with a shared
+// batch. When a relation's query runs on one model of a batch (getResults(), or
+// get()/first() on the chained relation), the call is counted against that batch;
+// once the same relation has been lazily loaded on two siblings, the detector
+// reports it with the call site and the with() string that would have eager
+// loaded it. Each relation is reported once per batch.
+
+const ORM_DIR = __dirname;
+
+class LazyLoadDetector {
+  static mode = false;
+
+  /**
+   * Start detecting lazy loads.
+   * mode: 'warn' logs a warning, 'throw' throws LazyLoadingViolationException,
+   * a function receives the violation object.
+   */
+  static enable(mode = 'warn') {
+    this.mode = mode;
+  }
+
+  static disable() {
+    this.mode = false;
+  }
+
+  static get enabled() {
+    return !!this.mode;
+  }
+
+  // Tag models hydrated by one get(); `root` and `path` describe how they were
+  // reached through eager loading so nested suggestions read 'posts.comments'
+  static tagBatch(models, root, relationPath) {
+    if (!this.enabled || models.length < 2) return;
+    const batch = { size: models.length, root, path: relationPath || '', lazyLoads: new Map() };
+    for (const model of models) model._loadBatch = batch;
+  }
+
+  // Wrap the methods that run a relation's query so calls are counted against the
+  // parent's batch. get()/first() forwarded to the query by the relation Proxy call track().
+  static watch(relation) {
+    if (!this.enabled) return;
+    relation._definedAt = new Error().stack;
+    const detector = this;
+    for (const method of ['getResults', 'get', 'first']) {
+      const run = relation[method];
+      if (typeof run !== 'function') continue;
+      relation[method] = function(...args) {
+        detector.track(relation);
+        return run.apply(this, args);
+      };
+    }
+  }
+
+  static track(relation) {
+    const batch = relation.parent && relation.parent._loadBatch;
+    // One lazy load per relation, even when getResults() runs get()
+    if (!this.enabled || !batch || relation._lazyLoaded) return;
+    relation._lazyLoaded = true;
+
+    const name = this._relationName(relation);
+    const count = (batch.lazyLoads.get(name) || 0) + 1;
+    batch.lazyLoads.set(name, count);
+    if (count !== 2) return;
+
+    const model = relation.parent.constructor.name;
+    const withPath = batch.path ? `${batch.path}.${name}` : name;
+    this.report({
+      model,
+      relation: name,
+      batchSize: batch.size,
+      callSite: this._callSite(new Error().stack),
+      suggestion: `${batch.root || model}.query().with('${withPath}')`,
+    });
+  }
+
+  static report(violation) {
+    if (typeof this.mode === 'function') return this.mode(violation);
+    const error = new LazyLoadingViolationException(violation);
+    if (this.mode === 'throw') throw error;
+    console.warn(`\x1b[36m[IlanaORM]\x1b[0m \x1b[33m${error.message}\x1b[0m`);
+  }
+
+  // Name of the model method that built the relation, e.g. 'comments', read from
+  // the first stack frame outside the ORM when the relation was constructed
+  static _relationName(relation) {
+    const frame = this._userFrames(relation._definedAt).find(line => !line.startsWith('at new '));
+    const match = frame && frame.match(/at (?:async )?(?:[\w$]+\.)*?([\w$]+) \(/);
+    if (match && match[1] !== 'Object' && match[1] !== '<anonymous>') return match[1];
+    const related = typeof relation.related === 'function' ? relation.related.name : relation.related;
+    return `${relation.constructor.name}(${related || '?'})`;
+  }
+
+  static _callSite(stack) {
+    const frame = this._userFrames(stack)[0];
+    if (!frame) return 'unknown';
+    const location = frame.match(/\(([^)]+)\)$/) || frame.match(/at (.+)$/);
+    return location ? location[1] : frame.trim();
+  }
+
+  static _userFrames(stack) {
+    return String(stack || '').split('\n').slice(1)
+      .map(line => line.trim())
+      .filter(line => line.startsWith('at '))
+      .filter(line => !line.includes(ORM_DIR + '/') && !line.includes(ORM_DIR + '\\'))
+      .filter(line => !line.includes('node:internal'));
+  }
+}
+
+module.exports = LazyLoadDetector;
@@ -341,7 +341,7 @@ class MigrationRunner {
     }
   }
 
-  generateMigration(name, tableName, isCreate) {
+  generateMigration(name, tableName, isCreate, template) {
     const timestamp = new Date().toISOString()
       .replace(/[-:]/g, '')
       .replace(/\..+/, '')
@@ -351,7 +351,7 @@ class MigrationRunner {
     const filename = `${timestamp}_${name}.${isTS ? 'ts' : 'js'}`;
     const filepath = path.join(this.migrationsPath, filename);
 
-    const template = this.getMigrationTemplate(name, tableName, isCreate);
+    template = template || this.getMigrationTemplate(name, tableName, isCreate);
 
     if (!fs.existsSync(this.migrationsPath)) {
       fs.mkdirSync(this.migrationsPath, { recursive: true });
@@ -500,6 +500,34 @@ module.exports = ${className};
 `;
   }
 
+  // Table used by models with `static auditable = true`
+  getAuditsMigrationTemplate() {
+    const body = `  async up(schema) {
+    await schema.createTable('audits', (table) => {
+      table.increments('id');
+      table.string('auditable_type');
+      table.string('auditable_id', 36);
+      table.string('event', 32);
+      table.json('old_values').nullable();
+      table.json('new_values').nullable();
+      table.string('actor_type').nullable();
+      table.string('actor_id', 36).nullable();
+      table.timestamp('created_at');
+      table.index(['auditable_type', 'auditable_id']);
+    });
+  }
+
+  async down(schema) {
+    await schema.dropTable('audits');
+  }
+}
+`;
+
+    return this.isTypeScriptProject()
+      ? `export default class CreateAuditsTable {\n${body}`
+      : `class CreateAuditsTable {\n${body}\nmodule.exports = CreateAuditsTable;\n`;
+  }
+
   isTypeScriptProject() {
     const fs = require('fs');
     const path = require('path');
@@ -1,17 +1,20 @@
-import QueryBuilder from './QueryBuilder';
-import { HasOne, HasMany, BelongsTo, BelongsToMany, HasManyThrough, MorphTo, MorphOne, MorphMany } from './Relation';
+import QueryBuilder, { EagerLoadConstraints, AggregateRelations } from './QueryBuilder';
+import { EnumClass } from './Enum';
+import { HasOne, HasMany, BelongsTo, BelongsToMany, MorphToMany, HasManyThrough, HasOneThrough, MorphTo, MorphOne, MorphMany } from './Relation';
 
 export interface ModelAttributes {
   [key: string]: any;
 }
 
 export interface CastInstance {
-  get(value: any): any;
-  set(value: any): any;
+  get(value: any, attributes?: Record<string, any>, key?: string): any;
+  set(value: any, attributes?: Record<string, any>, key?: string): any;
+  isMultiColumn?: boolean;
 }
 
 export interface ModelCasts {
-  [key: string]: 'string' | 'number' | 'boolean' | 'date' | 'json' | 'array' | 'object' | 'float' | CastInstance;
+  [key: string]: 'string' | 'number' | 'boolean' | 'date' | 'json' | 'array' | 'object' | 'float'
+    | 'encrypted' | 'encrypted:json' | 'encrypted:searchable' | CastInstance | (new () => CastInstance) | EnumClass<any>;
 }
 
 export interface ModelEvents {
@@ -52,10 +55,14 @@ export default class Model<TAttributes extends ModelAttributes = ModelAttributes
   protected static timezone: string;
   static strictLoading: boolean;
   static touches: string[];
-  static enums: { [column: string]: string[] };
+  static enums: { [column: string]: string[] | EnumClass<any> };
   static embeddingColumn: string;
   static embeddingDimensions: number;
   static embeddingProvider?: (text: string) => Promise<number[]>;
+  static optimisticLock: string | boolean;
+  static auditable: boolean;
+  static auditExclude: string[];
+  static rules: Record<string, string | Array<string | ((value: any, attribute: string, model: any) => boolean | string | void | Promise<boolean | string | void>)>>;
 
   // Instance properties
   attributes: ModelAttributes;
@@ -76,9 +83,13 @@ export default class Model<TAttributes extends ModelAttributes = ModelAttributes
   // Static methods
   static register(): void;
   static resolveRelatedModel(related: string | typeof Model): typeof Model;
+  static morphMap(map?: Record<string, typeof Model | string>, merge?: boolean): Record<string, typeof Model | string>;
+  static enforceMorphMap(map?: Record<string, typeof Model | string>, merge?: boolean): Record<string, typeof Model | string>;
+  static getMorphClass(): string;
+  static getMorphedModel(type: string): typeof Model | undefined;
   static query(): QueryBuilder;
-  static with(...relations: string[]): QueryBuilder;
-  static withCount(...relations: string[]): QueryBuilder;
+  static with(...relations: Array<string | string[] | EagerLoadConstraints>): QueryBuilder;
+  static withCount(...relations: Array<AggregateRelations>): QueryBuilder;
   static on(connectionOrTrx: string | any): QueryBuilder;
   static all(): Promise<Model[]>;
   static find(id: any): Promise<Model | null>;
@@ -142,7 +153,7 @@ export default class Model<TAttributes extends ModelAttributes = ModelAttributes
   // Instance methods
   getKey(): any;
   fill(attributes: ModelAttributes): this;
-  load(...relations: string[]): Promise<this>;
+  load(...relations: Array<string | string[] | EagerLoadConstraints>): Promise<this>;
   loadMissing(...relations: string[]): Promise<this>;
   getRelation(key: string): any;
   relationLoaded(key: string): boolean;
@@ -150,12 +161,15 @@ export default class Model<TAttributes extends ModelAttributes = ModelAttributes
   makeVisible(keys: string | string[]): this;
   append(keys: string | string[]): this;
   isFillable(key: string): boolean;
+  getCast(key: string): ModelCasts[string] | undefined;
   getAttribute(key: string): any;
   setAttribute(key: string, value: any): this;
   syncOriginal(): void;
   getOriginal(key: string): any;
   getOriginal(): ModelAttributes;
   save(): Promise<boolean>;
+  newModelQuery(): QueryBuilder;
+  validate(only?: string[] | null): Promise<true>;
   update(attributes?: ModelAttributes): Promise<boolean>;
   isDirty(key?: string): boolean;
   getDirty(): ModelAttributes;
@@ -176,7 +190,7 @@ export default class Model<TAttributes extends ModelAttributes = ModelAttributes
   // Relationships
   hasOne(related: string | typeof Model, foreignKey?: string, localKey?: string): HasOne;
   hasMany(related: string | typeof Model, foreignKey?: string, localKey?: string): HasMany;
-  belongsTo(related: string | typeof Model, foreignKey?: string, ownerKey?: string): BelongsTo;
+  belongsTo(related: string | typeof Model, foreignKey?: string, ownerKey?: string, relation?: string): BelongsTo;
   belongsToMany(
     related: string | typeof Model,
     pivotTable?: string,
@@ -193,9 +207,38 @@ export default class Model<TAttributes extends ModelAttributes = ModelAttributes
     localKey?: string,
     secondLocalKey?: string
   ): HasManyThrough;
+  hasOneThrough(
+    related: string | typeof Model,
+    through: string | typeof Model,
+    firstKey?: string,
+    secondKey?: string,
+    localKey?: string,
+    secondLocalKey?: string
+  ): HasOneThrough;
   morphTo(typeColumn?: string, idColumn?: string): MorphTo;
   morphOne(related: string | typeof Model, typeColumn?: string, idColumn?: string): MorphOne;
   morphMany(related: string | typeof Model, typeColumn?: string, idColumn?: string): MorphMany;
+  morphToMany(
+    related: string | typeof Model,
+    name: string,
+    pivotTable?: string,
+    foreignPivotKey?: string,
+    relatedPivotKey?: string,
+    parentKey?: string,
+    relatedKey?: string
+  ): MorphToMany;
+  morphedByMany(
+    related: string | typeof Model,
+    name: string,
+    pivotTable?: string,
+    foreignPivotKey?: string,
+    relatedPivotKey?: string,
+    parentKey?: string,
+    relatedKey?: string
+  ): MorphToMany;
+  getMorphClass(): string;
+  audits(): MorphMany;
+  revertTo(auditId: number | string): Promise<this>;
 
   // Protected methods
   protected _initialize(): void;
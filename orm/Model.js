@@ -1,8 +1,12 @@
 // Model.js
 const QueryBuilder = require('./QueryBuilder');
-const { HasOne, HasMany, BelongsTo, BelongsToMany, HasManyThrough, MorphTo, MorphMany, MorphOne } = require('./Relation');
+const { HasOne, HasMany, BelongsTo, BelongsToMany, MorphToMany, HasManyThrough, HasOneThrough, MorphTo, MorphMany, MorphOne } = require('./Relation');
 const ModelRegistry = require('./ModelRegistry');
 const Database = require('../database/connection');
+const { ModelNotFoundException, StaleModelException, ValidationException, ClassMorphViolationException } = require('./Errors');
+const Validator = require('./Validator');
+const { EncryptedCast, EncryptedJsonCast, EnumCast } = require('./CustomCasts');
+const Enum = require('./Enum');
 
 // Auto-load configuration on first import (skipped in edge runtime)
 if (typeof process !== 'undefined' && process.versions && process.versions.node && !global.__ILANA_EDGE__) {
@@ -21,6 +25,30 @@ if (typeof process !== 'undefined' && process.versions && process.versions.node
   })();
 }
 
+// String casts that stand for cast objects, created once and shared by every model
+const NAMED_CASTS = {
+  'encrypted': () => new EncryptedCast(),
+  'encrypted:json': () => new EncryptedJsonCast(),
+  'encrypted:searchable': () => new EncryptedCast().searchable(),
+};
+const namedCastInstances = new Map();
+// Cast classes and enums used directly in `casts` (address: AddressCast, status: OrderStatus)
+// share one cast instance
+const classCastInstances = new WeakMap();
+
+// Stored values compare loosely: drivers return bigint columns as strings
+const sameStoredValue = (a, b) => a === b || (a != null && b != null && String(a) === String(b));
+
+// Name of the model method that called a relation factory, e.g. 'author' for
+// author() { return this.belongsTo(User); }, read from the stack frame above it
+const callingMethodName = () => {
+  const frame = String(new Error().stack).split('\n')[3] || '';
+  // 'at Post.author (...)', or 'at Post.fn [as author] (...)' when called under another name
+  const match = frame.match(/at (?:async )?(?:[\w$]+\.)*?([\w$]+)(?: \[as ([\w$]+)\])? \(/);
+  const name = match && (match[2] || match[1]);
+  return name && name !== 'Object' ? name : undefined;
+};
+
 class Model {
   // --- Static defaults ---
   static table;
@@ -42,6 +70,10 @@ class Model {
   static enums = {};
   static embeddingColumn = 'embedding';
   static embeddingDimensions = 1536;
+  static optimisticLock = false;
+  static rules = {};
+  static auditable = false;
+  static auditExclude = [];
 
   // --- Instance props ---
   attributes = {};
@@ -50,6 +82,8 @@ class Model {
   exists = false;
   wasRecentlyCreated = false;
   _dirty = new Set();
+  // Value objects returned by multi-column casts, kept so changes made inside them are saved
+  _castObjects = {};
 
   fillable;
   guarded;
@@ -99,7 +133,9 @@ class Model {
     if (!this._deferred) return;
     // When initializing from database, bypass fillable/guarded restrictions
     for (const [k, v] of Object.entries(this._deferred)) {
-      this.setAttribute(k, v);
+      // Loaded rows already hold stored values, which cast objects must not set() again
+      if (this.exists && typeof this.getCast(k)?.set === 'function') this.attributes[k] = v;
+      else this.setAttribute(k, v);
     }
     this.syncOriginal();
     this._deferred = null;
@@ -112,6 +148,7 @@ class Model {
     // Create getters for all potential attributes
     const allKeys = new Set([
       ...Object.keys(this.attributes || {}),
+      ...Object.keys(this.casts || {}).filter(key => this.getCast(key)?.isMultiColumn),
       ...this.fillable,
       ...(this._deferred ? Object.keys(this._deferred) : []),
       ...(this.appends || [])
@@ -136,12 +173,18 @@ class Model {
   _generateEnumHelpers() {
     const enums = this.constructor.enums || {};
     for (const [column, values] of Object.entries(enums)) {
-      for (const value of values) {
-        const pascal = value.charAt(0).toUpperCase() + value.slice(1);
+      // An Enum class names its helpers after its cases: IN_PROGRESS -> isInProgress()
+      const cases = values.prototype instanceof Enum
+        ? values.cases().map(c => [this._toPascalCase(c.name.toLowerCase()), c.value])
+        : values.map(value => [value.charAt(0).toUpperCase() + value.slice(1), value]);
+      for (const [pascal, value] of cases) {
         const isMethod = `is${pascal}`;
         const makeMethod = `make${pascal}`;
         if (!this[isMethod]) {
-          this[isMethod] = () => this.getAttribute(column) === value;
+          this[isMethod] = () => {
+            const current = this.getAttribute(column);
+            return (current instanceof Enum ? current.value : current) === value;
+          };
         }
         if (!this[makeMethod]) {
           this[makeMethod] = async () => {
@@ -168,6 +211,38 @@ class Model {
     ModelRegistry.register(this.name, this);
   }
 
+  /**
+   * Store aliases instead of class names in polymorphic *_type columns:
+   * Model.morphMap({ post: Post, video: 'Video' }). Returns the current map.
+   * Pass merge = false to replace the map instead of adding to it.
+   */
+  static morphMap(map, merge = true) {
+    if (map) ModelRegistry.setMorphMap(map, merge);
+    return Object.fromEntries(ModelRegistry.morphs);
+  }
+
+  // Like morphMap(), and getMorphClass() throws for models without an alias
+  static enforceMorphMap(map, merge = true) {
+    ModelRegistry.enforceMorphMap = true;
+    return this.morphMap(map, merge);
+  }
+
+  // Value stored in *_type columns for this model: its morph alias, or the class name
+  static getMorphClass() {
+    const alias = ModelRegistry.getMorphAlias(this);
+    if (alias !== undefined) return alias;
+    if (ModelRegistry.enforceMorphMap) throw new ClassMorphViolationException(this.name);
+    return this.name;
+  }
+
+  static getMorphedModel(type) {
+    return ModelRegistry.getMorphedModel(type);
+  }
+
+  getMorphClass() {
+    return this.constructor.getMorphClass();
+  }
+
   static resolveRelatedModel(related) {
     if (typeof related === 'string') {
       const cls = ModelRegistry.get(related);
@@ -193,16 +268,8 @@ class Model {
 
   // --- Query builder ---
   static query() {
-
+    // Joins the transaction of the current async call chain, if any (see QueryBuilder)
     const qb = new QueryBuilder(this.getTableName(), this, this.getConnectionName());
-
-    // Use current transaction if available
-    const currentTrx = Database.getCurrentTransaction();
-    if (currentTrx) {
-      qb.query = currentTrx(this.getTableName());
-      qb._transaction = currentTrx;
-    }
-
     this.applyGlobalScopes(qb);
     return qb;
   }
@@ -443,6 +510,7 @@ class Model {
   static getKeyType() { return this.keyType; }
   static getIncrementing() { return this.incrementing; }
   static getConnectionName() { return this.connection; }
+  static _lockColumn() { return this.optimisticLock === true ? 'version' : this.optimisticLock || null; }
 
   getKey() { return this.attributes[this.constructor.primaryKey]; }
 
@@ -456,7 +524,7 @@ class Model {
 
   async load(...relations) {
     const qb = new QueryBuilder(this.constructor.getTableName(), this.constructor, this.constructor.getConnectionName());
-    qb.eagerLoad = relations.flat();
+    qb.with(...relations);
     await qb.loadRelations([this]);
     return this;
   }
@@ -500,15 +568,33 @@ class Model {
     return !this.guarded.includes(k);
   }
 
+  // Cast of an attribute, with named casts like 'encrypted' resolved to their cast object
+  getCast(k) {
+    const cast = this.casts[k];
+    if (typeof cast === 'function' && (cast.prototype instanceof Enum || typeof cast.prototype?.get === 'function')) {
+      if (!classCastInstances.has(cast)) {
+        classCastInstances.set(cast, cast.prototype instanceof Enum ? new EnumCast(cast) : new cast());
+      }
+      return classCastInstances.get(cast);
+    }
+    if (typeof cast !== 'string' || !NAMED_CASTS[cast]) return cast;
+    if (!namedCastInstances.has(cast)) namedCastInstances.set(cast, NAMED_CASTS[cast]());
+    return namedCastInstances.get(cast);
+  }
+
   getAttribute(k) {
     const accessor = `get${this._toPascalCase(k)}Attribute`;
     if (typeof this[accessor] === 'function') {
       return this[accessor]();
     }
     const val = this.attributes[k];
-    const cast = this.casts[k];
+    const cast = this.getCast(k);
+    if (cast?.isMultiColumn && typeof cast.get === 'function') {
+      if (!(k in this._castObjects)) this._castObjects[k] = cast.get(val, this.attributes, k);
+      return this._castObjects[k];
+    }
     if (cast && typeof cast === 'object' && typeof cast.get === 'function') {
-      return cast.get(val);
+      return cast.get(val, this.attributes, k);
     }
     if (cast === 'json' || cast === 'array') {
       try { return JSON.parse(val); } catch { return val; }
@@ -524,10 +610,22 @@ class Model {
     if (typeof this[mutator] === 'function') {
       v = this[mutator](v);
     }
-    const cast = this.casts[k];
+    const cast = this.getCast(k);
     let val = v;
+    // Multi-column casts return the value of every column they write
+    if (cast?.isMultiColumn && typeof cast.set === 'function') {
+      for (const [column, value] of Object.entries(cast.set(v, this.attributes, k))) {
+        this.attributes[column] = value;
+        if (!this._deferred && this.exists) this._dirty.add(column);
+      }
+      // Keep the assigned object so later changes inside it are saved too
+      if (v !== null && typeof v === 'object') this._castObjects[k] = v;
+      else delete this._castObjects[k];
+      return this;
+    }
     if (cast && typeof cast === 'object' && typeof cast.set === 'function') {
-      val = cast.set(v);
+      val = cast.set(v, this.attributes, k);
+      if (cast.isSearchable) this.setAttribute(cast.getIndexColumn(k), cast.blindIndex(v));
     } else if (cast === 'json' || cast === 'array') {
       val = typeof v === 'string' ? v : JSON.stringify(v);
     } else if (cast === 'date' && v instanceof Date) {
@@ -539,6 +637,7 @@ class Model {
       const seconds = String(v.getSeconds()).padStart(2, '0');
       val = `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
     }
+    this._forgetCastObjects(k);
     this.attributes[k] = val;
     if (!this._deferred && this.exists) {
       this._dirty.add(k);
@@ -546,6 +645,35 @@ class Model {
     return this;
   }
 
+  // Write changes made inside cached value objects back to their columns
+  _syncCastObjects() {
+    for (const [key, value] of Object.entries(this._castObjects)) {
+      const columns = this.getCast(key).set(value, this.attributes, key);
+      for (const [column, stored] of Object.entries(columns)) {
+        if (sameStoredValue(this.attributes[column], stored)) continue;
+        this.attributes[column] = stored;
+        if (this.exists) this._dirty.add(column);
+      }
+    }
+  }
+
+  // Drop cached value objects built from `column` before it is set directly
+  _forgetCastObjects(column) {
+    for (const [key, value] of Object.entries(this._castObjects)) {
+      const columns = this.getCast(key).set(value, this.attributes, key);
+      if (!(column in columns)) continue;
+      this._syncCastObjects();
+      delete this._castObjects[key];
+    }
+  }
+
+  // Columns written by the multi-column cast of `key`
+  _castColumns(key) {
+    const cast = this.getCast(key);
+    if (!cast?.isMultiColumn) return [key];
+    return Object.keys(cast.set(this.getAttribute(key), this.attributes, key));
+  }
+
   syncOriginal() {
     this.original = { ...this.attributes };
     this._dirty.clear();
@@ -605,9 +733,11 @@ class Model {
 
   async save() {
     this._initialize();
+    this._syncCastObjects();
 
     if (!this.exists) {
       // Creating new record
+      await this.validate();
       if (await this.constructor.fireEvent('creating', this) === false) return false;
       if (await this.constructor.fireEvent('saving', this) === false) return false;
 
@@ -619,13 +749,18 @@ class Model {
         this.setAttribute(createdAtCol, now).setAttribute(updatedAtCol, now);
       }
 
+      const lockCol = this.constructor._lockColumn();
+      if (lockCol && this.attributes[lockCol] == null) {
+        this.setAttribute(lockCol, 1);
+      }
+
       // Generate UUID/ULID if needed
       const kt = this.constructor.keyType;
       if (!this.constructor.incrementing && (kt === 'string' || kt === 'uuid' || kt === 'ulid') && !this.getKey()) {
         this.setAttribute(this.constructor.primaryKey, this.constructor._generateKey());
       }
 
-      const qb = this.constructor.query();
+      const qb = this.newModelQuery();
       if (this.constructor.incrementing) {
         const id = await qb.insertGetId(this.attributes);
         this.setAttribute(this.constructor.primaryKey, id);
@@ -635,6 +770,7 @@ class Model {
 
       this.exists = true;
       this.wasRecentlyCreated = true;
+      await this._recordAudit('created', {}, this.attributes);
       await this.constructor.fireEvent('created', this);
       await this.constructor.fireEvent('saved', this);
       this.syncOriginal();
@@ -642,7 +778,8 @@ class Model {
       const createdAtCol = this.constructor.createdAt || 'created_at';
       const updatedAtCol = this.constructor.updatedAt || 'updated_at';
 
-      // Updating existing record
+      // Updating existing record — only the changed attributes are validated
+      await this.validate([...this._dirty]);
       if (await this.constructor.fireEvent('updating', this) === false) return false;
       if (await this.constructor.fireEvent('saving', this) === false) return false;
 
@@ -652,9 +789,30 @@ class Model {
 
       const updateData = this.getDirty();
       delete updateData[createdAtCol]; // Never update created_at
+      const oldValues = {};
+      for (const key of Object.keys(updateData)) oldValues[key] = this.original[key] ?? null;
 
       if (Object.keys(updateData).length > 0) {
-        await this.constructor.query().where(this.constructor.primaryKey, this.getKey()).update(updateData);
+        const query = this._keyQuery();
+        const lockCol = this.constructor._lockColumn();
+        if (lockCol) {
+          // Only update the row if nobody else saved it since it was loaded
+          const version = this.getOriginal(lockCol);
+          if (version == null) query.whereNull(lockCol);
+          else query.where(lockCol, version);
+          updateData[lockCol] = (Number(version) || 0) + 1;
+
+          const affected = await query.update(updateData);
+          if (!affected) {
+            throw new StaleModelException(this.constructor.name, this.getKey(), version);
+          }
+          this.attributes[lockCol] = updateData[lockCol];
+        } else {
+          await query.update(updateData);
+        }
+
+        // delete() and restore() save through here and record their own event
+        await this._recordAudit(this._auditEvent || 'updated', oldValues, updateData);
       }
 
       await this.constructor.fireEvent('updated', this);
@@ -667,6 +825,17 @@ class Model {
     return true;
   }
 
+  // Check attributes against static rules; throws ValidationException with a per-field error bag
+  async validate(only = null) {
+    const rules = this.constructor.rules;
+    if (!rules || Object.keys(rules).length === 0) return true;
+    const errors = await Validator.validate(this, rules, only);
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationException(this.constructor.name, errors);
+    }
+    return true;
+  }
+
   async _touchRelations() {
     const touches = this.constructor.touches || [];
     for (const relName of touches) {
@@ -683,16 +852,29 @@ class Model {
     }
   }
 
+  // Query this model writes through; Pivot points it at the relation's pivot table
+  newModelQuery() {
+    return this.constructor.query();
+  }
+
+  // Query matching this model's row; Pivot matches on the two keys it links
+  _keyQuery() {
+    return this.newModelQuery().where(this.constructor.primaryKey, this.getKey());
+  }
+
   async update(attributes = {}) {
     this.fill(attributes);
     return await this.save();
   }
 
   isDirty(key) {
-    return key ? this._dirty.has(key) : this._dirty.size > 0;
+    this._syncCastObjects();
+    if (key) return this._castColumns(key).some(column => this._dirty.has(column));
+    return this._dirty.size > 0;
   }
 
   getDirty() {
+    this._syncCastObjects();
     const dirty = {};
     for (const key of this._dirty) {
       dirty[key] = this.attributes[key];
@@ -709,10 +891,11 @@ class Model {
 
     if (this.constructor.softDeletes) {
       this.setAttribute(deletedAtCol, new Date());
-      await this.save();
+      await this._saveAs('deleted');
     } else {
-      await this.constructor.query().where(this.constructor.primaryKey, this.getKey()).delete();
+      await this._keyQuery().delete();
       this.exists = false;
+      await this._recordAudit('deleted', this.attributes, {});
     }
 
     await this.constructor.fireEvent('deleted', this);
@@ -728,7 +911,7 @@ class Model {
     await this.constructor.fireEvent('restoring', this);
 
     this.setAttribute(deletedAtCol, null);
-    await this.save();
+    await this._saveAs('restored');
 
     await this.constructor.fireEvent('restored', this);
     return true;
@@ -760,14 +943,14 @@ class Model {
   }
 
   async increment(column, amount = 1) {
-    await this.constructor.query().where(this.constructor.primaryKey, this.getKey()).increment(column, amount);
+    await this._keyQuery().increment(column, amount);
     this.setAttribute(column, (this.getAttribute(column) || 0) + amount);
     this.syncOriginal();
     return this;
   }
 
   async decrement(column, amount = 1) {
-    await this.constructor.query().where(this.constructor.primaryKey, this.getKey()).decrement(column, amount);
+    await this._keyQuery().decrement(column, amount);
     this.setAttribute(column, (this.getAttribute(column) || 0) - amount);
     this.syncOriginal();
     return this;
@@ -777,12 +960,59 @@ class Model {
     if (!this.exists) return false;
 
     await this.constructor.fireEvent('deleting', this);
-    await this.constructor.query().where(this.constructor.primaryKey, this.getKey()).delete();
+    await this._keyQuery().delete();
     this.exists = false;
+    await this._recordAudit('deleted', this.attributes, {});
     await this.constructor.fireEvent('deleted', this);
     return true;
   }
 
+  // --- Auditing ---
+  async _recordAudit(event, oldValues, newValues) {
+    if (!this.constructor.auditable) return;
+    const Audit = require('./Audit');
+    await Audit.record(this, event, oldValues, newValues);
+  }
+
+  async _saveAs(auditEvent) {
+    this._auditEvent = auditEvent;
+    try {
+      return await this.save();
+    } finally {
+      this._auditEvent = null;
+    }
+  }
+
+  audits() {
+    return this.morphMany(require('./Audit'), 'auditable');
+  }
+
+  // Restore the attributes to the state recorded right after the given audit, then save.
+  // Later audits are undone newest-first using their old values.
+  async revertTo(auditId) {
+    const Audit = require('./Audit');
+    const scoped = () => Audit.query()
+      .where('auditable_type', this.getMorphClass())
+      .where('auditable_id', String(this.getKey()));
+
+    const target = await scoped().where(Audit.primaryKey, auditId).first();
+    if (!target) throw new ModelNotFoundException('Audit', auditId);
+
+    const later = await scoped().where(Audit.primaryKey, '>', auditId).orderBy(Audit.primaryKey, 'desc').get();
+    for (const audit of later) {
+      // Audits hold raw attribute values, so bypass mutators and casts
+      for (const [key, value] of Object.entries(audit.getAttribute('old_values') || {})) {
+        if (this.attributes[key] === value) continue;
+        this.attributes[key] = value;
+        this._dirty.add(key);
+      }
+    }
+    this._castObjects = {};
+
+    await this.save();
+    return this;
+  }
+
   async fresh() {
     if (!this.exists) return null;
     return this.constructor.find(this.getKey());
@@ -808,6 +1038,8 @@ class Model {
       if (!exclude.has(k)) attrs[k] = v;
     }
     const copy = new this.constructor(attrs);
+    // Copy stored values as they are, like a row loaded from the database
+    copy.exists = true;
     copy._initialize();
     copy.exists = false;
     copy.wasRecentlyCreated = false;
@@ -817,6 +1049,7 @@ class Model {
   // JSON serialization
   toJSON() {
     this._initialize();
+    this._syncCastObjects();
     const data = { ...this.attributes };
 
     // Apply casting and filter hidden attributes
@@ -828,6 +1061,12 @@ class Model {
       }
     }
 
+    // Value objects composed from several columns
+    for (const key of Object.keys(this.casts || {})) {
+      if (key in result || hidden.includes(key) || !this.getCast(key)?.isMultiColumn) continue;
+      result[key] = this.getAttribute(key);
+    }
+
     // Add appends (computed attributes)
     if (this.appends && this.appends.length) {
       for (const appendKey of this.appends) {
@@ -868,12 +1107,12 @@ class Model {
     const relatedName = this._resolveRelatedName(related);
     return new HasMany(this, relatedName, fk || this._selfFk(), lk || this.constructor.primaryKey);
   }
-  belongsTo(related, fk, ok) {
+  belongsTo(related, fk, ok, relation) {
     const relatedName = this._resolveRelatedName(related);
     const defaultFk = typeof relatedName === 'string'
       ? relatedName.replace(/([A-Z])/g, (m, l, i) => i === 0 ? l.toLowerCase() : '_' + l.toLowerCase()) + '_id'
       : undefined;
-    return new BelongsTo(this, relatedName, fk || defaultFk, ok || this.constructor.primaryKey);
+    return new BelongsTo(this, relatedName, fk || defaultFk, ok || this.constructor.primaryKey, relation || callingMethodName());
   }
   belongsToMany(related, pivot, fp, rp, pk, rk) {
     const relatedName = this._resolveRelatedName(related);
@@ -898,14 +1137,30 @@ class Model {
     const throughName = typeof through === 'function' && through.name ? through.name : through;
     return new HasManyThrough(this, relatedName, throughName, fk, sk, lk, slk);
   }
+  hasOneThrough(related, through, fk, sk, lk, slk) {
+    const relatedName = this._resolveRelatedName(related);
+    const throughName = this._resolveRelatedName(through);
+    const defaultSk = typeof throughName === 'string'
+      ? throughName.replace(/([A-Z])/g, (m, l, i) => i === 0 ? l.toLowerCase() : '_' + l.toLowerCase()) + '_id'
+      : undefined;
+    return new HasOneThrough(this, relatedName, throughName, fk || this._selfFk(), sk || defaultSk, lk || this.constructor.primaryKey, slk);
+  }
   morphTo(type, id) { return new MorphTo(this, type, id); }
   morphOne(related, type, id) {
     const relatedName = typeof related === 'function' && related.name ? related.name : related;
-    return new MorphOne(this, relatedName, type, id, this.constructor.name);
+    return new MorphOne(this, relatedName, type, id, this.getMorphClass());
   }
   morphMany(related, type, id) {
     const relatedName = typeof related === 'function' && related.name ? related.name : related;
-    return new MorphMany(this, relatedName, type, id, this.constructor.name);
+    return new MorphMany(this, relatedName, type, id, this.getMorphClass());
+  }
+  morphToMany(related, name, pivot, fp, rp, pk, rk) {
+    const relatedName = this._resolveRelatedName(related);
+    return new MorphToMany(this, relatedName, name, pivot, fp, rp, pk, rk);
+  }
+  morphedByMany(related, name, pivot, fp, rp, pk, rk) {
+    const relatedName = this._resolveRelatedName(related);
+    return new MorphToMany(this, relatedName, name, pivot, fp, rp, pk, rk, true);
   }
 }
 
@@ -8,4 +8,9 @@ export default class ModelRegistry {
   static has(name: string): boolean;
   static all(): Map<string, typeof Model>;
   static clear(): void;
+  static morphs: Map<string, typeof Model | string>;
+  static enforceMorphMap: boolean;
+  static setMorphMap(map: Record<string, typeof Model | string>, merge?: boolean): void;
+  static getMorphAlias(modelClass: typeof Model): string | undefined;
+  static getMorphedModel(type: string): typeof Model | undefined;
 }
\ No newline at end of file
@@ -1,5 +1,8 @@
 class ModelRegistry {
   static models = new Map();
+  // Morph map: alias stored in *_type columns -> model class or registered model name
+  static morphs = new Map();
+  static enforceMorphMap = false;
 
   static register(name, model) {
     if (!name || !model) return;
@@ -21,6 +24,25 @@ class ModelRegistry {
   static clear() {
     this.models.clear();
   }
+
+  static setMorphMap(map, merge = true) {
+    if (!merge) this.morphs.clear();
+    for (const [alias, model] of Object.entries(map)) this.morphs.set(alias, model);
+  }
+
+  static getMorphAlias(modelClass) {
+    for (const [alias, model] of this.morphs) {
+      if (model === modelClass || model === modelClass.name) return alias;
+    }
+    return undefined;
+  }
+
+  // Model for a stored *_type value; unmapped values fall back to registered class names
+  static getMorphedModel(type) {
+    const model = this.morphs.get(type);
+    if (model) return typeof model === 'string' ? this.get(model) : model;
+    return this.get(type);
+  }
 }
 
 module.exports = ModelRegistry;
\ No newline at end of file
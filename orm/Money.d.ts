@@ -0,0 +1,32 @@
+export default class Money {
+  static currencies: Record<string, number>;
+
+  readonly minor: bigint;
+  readonly currency: string;
+  readonly exponent: number;
+
+  constructor(minor: bigint | number | string, currency: string);
+
+  static defineCurrency(code: string, exponent: number): void;
+  static exponent(currency: string): number;
+  static of(amount: string | number, currency: string): Money;
+  static ofMinor(minor: bigint | number | string, currency: string): Money;
+  static zero(currency: string): Money;
+  static isMoney(value: any): value is Money;
+
+  plus(other: Money): Money;
+  minus(other: Money): Money;
+  negate(): Money;
+  allocate(...ratios: number[]): Money[];
+  allocate(ratios: number[]): Money[];
+  compare(other: Money): -1 | 0 | 1;
+  equals(other: any): boolean;
+  isZero(): boolean;
+  isNegative(): boolean;
+  isPositive(): boolean;
+
+  toDecimal(): string;
+  format(locale?: string, options?: Intl.NumberFormatOptions): string;
+  toString(): string;
+  toJSON(): { amount: string; currency: string };
+}
@@ -0,0 +1,182 @@
+// Immutable amount of money in integer minor units (cents) of an ISO 4217 currency.
+//
+// Amounts are BigInts, so arithmetic never picks up floating point rounding errors.
+// Each currency has an exponent, the number of minor-unit digits: 2 for USD and EUR,
+// 0 for JPY, 3 for KWD. Amounts in different currencies never mix.
+
+// Currencies whose exponent is not 2
+const EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4,
+};
+
+const abs = (n) => (n < 0n ? -n : n);
+
+class Money {
+  static currencies = { ...EXPONENTS };
+
+  constructor(minor, currency) {
+    this.minor = Money._toBigInt(minor);
+    this.currency = Money._currencyCode(currency);
+    Object.freeze(this);
+  }
+
+  // Register a currency (or override an exponent), e.g. Money.defineCurrency('BTC', 8)
+  static defineCurrency(code, exponent) {
+    this.currencies[this._currencyCode(code)] = exponent;
+  }
+
+  static exponent(currency) {
+    return this.currencies[this._currencyCode(currency)] ?? 2;
+  }
+
+  // From an amount in major units: Money.of('12.34', 'USD'). Strings are exact;
+  // amounts with more decimals than the currency allows throw.
+  static of(amount, currency) {
+    const code = this._currencyCode(currency);
+    const exponent = this.exponent(code);
+    const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(String(amount).trim());
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Invalid money amount: ${amount}`);
+    }
+    const [, sign, whole, fraction = ''] = match;
+    const digits = fraction.replace(/0+$/, '');
+    if (digits.length > exponent) {
+      throw new Error(`${amount} has more decimals than ${code} allows (${exponent}).`);
+    }
+    const minor = BigInt((whole || '0') + fraction.padEnd(exponent, '0').slice(0, exponent));
+    return new Money(sign ? -minor : minor, code);
+  }
+
+  // From an integer amount of minor units: Money.ofMinor(1234, 'USD') is 12.34 USD
+  static ofMinor(minor, currency) {
+    return new Money(minor, currency);
+  }
+
+  static zero(currency) {
+    return new Money(0n, currency);
+  }
+
+  static isMoney(value) {
+    return value instanceof Money;
+  }
+
+  get exponent() {
+    return Money.exponent(this.currency);
+  }
+
+  plus(other) {
+    this._assertSameCurrency(other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  minus(other) {
+    this._assertSameCurrency(other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  negate() {
+    return new Money(-this.minor, this.currency);
+  }
+
+  // Split by ratios without losing a minor unit: the remainder goes one unit at a
+  // time to the first parts. Money.of('10', 'USD').allocate(1, 1, 1) → 3.34, 3.33, 3.33
+  allocate(...ratios) {
+    if (Array.isArray(ratios[0])) ratios = ratios[0];
+    if (!ratios.length || ratios.some(r => !Number.isInteger(r) || r < 0) || !ratios.some(r => r > 0)) {
+      throw new Error('allocate() needs non-negative integer ratios with a positive total.');
+    }
+    const total = ratios.reduce((sum, r) => sum + BigInt(r), 0n);
+    const amount = abs(this.minor);
+    const parts = ratios.map(r => (amount * BigInt(r)) / total);
+    let remainder = amount - parts.reduce((sum, p) => sum + p, 0n);
+    for (let i = 0; remainder > 0n; i++) {
+      if (ratios[i] === 0) continue;
+      parts[i] += 1n;
+      remainder -= 1n;
+    }
+    return parts.map(p => new Money(this.minor < 0n ? -p : p, this.currency));
+  }
+
+  compare(other) {
+    this._assertSameCurrency(other);
+    return this.minor === other.minor ? 0 : this.minor < other.minor ? -1 : 1;
+  }
+
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  isZero() {
+    return this.minor === 0n;
+  }
+
+  isNegative() {
+    return this.minor < 0n;
+  }
+
+  isPositive() {
+    return this.minor > 0n;
+  }
+
+  // Exact amount in major units: '12.34'
+  toDecimal() {
+    const exponent = this.exponent;
+    const digits = abs(this.minor).toString().padStart(exponent + 1, '0');
+    const whole = digits.slice(0, digits.length - exponent);
+    const fraction = exponent ? `.${digits.slice(-exponent)}` : '';
+    return `${this.minor < 0n ? '-' : ''}${whole}${fraction}`;
+  }
+
+  // Localized string through Intl.NumberFormat: '$1,234.56', '1.234,56 €'
+  format(locale = 'en-US', options = {}) {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: this.currency,
+      minimumFractionDigits: this.exponent,
+      maximumFractionDigits: this.exponent,
+      ...options,
+    }).format(this.toDecimal());
+  }
+
+  toString() {
+    return `${this.toDecimal()} ${this.currency}`;
+  }
+
+  toJSON() {
+    return { amount: this.toDecimal(), currency: this.currency };
+  }
+
+  _assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new Error(`Expected a Money instance, got ${typeof other}.`);
+    }
+    if (other.currency !== this.currency) {
+      throw new Error(`Currency mismatch: ${this.currency} and ${other.currency}.`);
+    }
+  }
+
+  static _toBigInt(minor) {
+    if (typeof minor === 'bigint') return minor;
+    if (typeof minor === 'number' && !Number.isSafeInteger(minor)) {
+      throw new Error(`Minor units must be an integer, got ${minor}.`);
+    }
+    try {
+      return BigInt(typeof minor === 'string' ? minor.trim() : minor);
+    } catch {
+      throw new Error(`Minor units must be an integer, got ${minor}.`);
+    }
+  }
+
+  static _currencyCode(currency) {
+    const code = String(currency ?? '').toUpperCase();
+    if (!/^[A-Z]{3,}$/.test(code)) {
+      throw new Error(`Invalid currency code: ${currency}`);
+    }
+    return code;
+  }
+}
+
+module.exports = Money;
@@ -0,0 +1,11 @@
+import Model from './Model';
+import QueryBuilder from './QueryBuilder';
+import { BelongsToMany } from './Relation';
+
+export default class Pivot extends Model {
+  /** The model on the parent side of the pivot row */
+  pivotParent?: Model;
+
+  setPivotKeys(relation: BelongsToMany, parent?: Model): this;
+  newModelQuery(): QueryBuilder;
+}
@@ -0,0 +1,40 @@
+const Model = require('./Model');
+const QueryBuilder = require('./QueryBuilder');
+
+// Base class for pivot models passed to belongsToMany(...).using(). A pivot row
+// usually has no primary key of its own, so it is saved to the relation's pivot
+// table and found by the two keys it links.
+class Pivot extends Model {
+  static incrementing = false;
+  static timestamps = false;
+  static guarded = [];
+
+  // Tie the pivot to the relation it was loaded or attached through
+  setPivotKeys(relation, parent = relation.parent) {
+    this.pivotParent = parent;
+    this._pivot = {
+      table: relation.pivotTable,
+      foreignKey: relation.parentPivotKey,
+      relatedKey: relation.relatedPivotKey,
+      wheres: relation.pivotWheres(),
+    };
+    return this;
+  }
+
+  newModelQuery() {
+    if (!this._pivot) return super.newModelQuery();
+    return new QueryBuilder(this._pivot.table, this.constructor, this.constructor.getConnectionName());
+  }
+
+  _keyQuery() {
+    if (!this._pivot) return super._keyQuery();
+    const { foreignKey, relatedKey, wheres } = this._pivot;
+    const query = this.newModelQuery()
+      .where(foreignKey, this.getOriginal(foreignKey) ?? this.getAttribute(foreignKey))
+      .where(relatedKey, this.getOriginal(relatedKey) ?? this.getAttribute(relatedKey));
+    for (const [column, value] of Object.entries(wheres)) query.where(column, value);
+    return query;
+  }
+}
+
+module.exports = Pivot;
@@ -0,0 +1,7 @@
+// Pivot.mjs - ES Module wrapper
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+
+const Pivot = require('./Pivot.js');
+
+export default Pivot;
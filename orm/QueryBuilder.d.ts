@@ -27,6 +27,14 @@ export interface CursorPaginationResult<T> {
   perPage: number;
 }
 
+// Constraints keyed by relation path at any depth: { 'posts.comments': q => q.where(...) }
+export interface EagerLoadConstraints {
+  [relation: string]: (query: QueryBuilder) => void;
+}
+
+// 'orders', 'orders as paid_total', or { 'orders as paid_total': q => q.where('paid', true) }
+export type AggregateRelations = string | EagerLoadConstraints | Array<string | EagerLoadConstraints>;
+
 export default class QueryBuilder {
   protected query: any;
   protected modelClass: typeof Model;
@@ -47,6 +55,8 @@ export default class QueryBuilder {
   orWhere(column: string, operator: string, value: any): this;
   whereIn(column: string, values: any[]): this;
   whereNotIn(column: string, values: any[]): this;
+  whereEncrypted(column: string, value: any): this;
+  orWhereEncrypted(column: string, value: any): this;
   whereNull(column: string): this;
   whereNotNull(column: string): this;
   whereBetween(column: string, range: [any, any]): this;
@@ -127,15 +137,25 @@ export default class QueryBuilder {
   max(column: string): Promise<any>;
 
   // Eager loading
-  with(...relations: string[]): this;
+  with(...relations: Array<string | string[] | EagerLoadConstraints>): this;
+  morphWith(map: { [type: string]: string | string[] }): this;
   withConstraints(relation: string, callback: (query: QueryBuilder) => void): this;
-  withConstraints(relations: { [key: string]: (query: QueryBuilder) => void }): this;
-  withCount(...relations: string[]): this;
+  withConstraints(relations: EagerLoadConstraints): this;
+  withCount(...relations: Array<AggregateRelations>): this;
+  withSum(relations: AggregateRelations, column: string): this;
+  withAvg(relations: AggregateRelations, column: string): this;
+  withMin(relations: AggregateRelations, column: string): this;
+  withMax(relations: AggregateRelations, column: string): this;
+  withExists(...relations: Array<AggregateRelations>): this;
+  withAggregate(relations: AggregateRelations, column: string, fn: 'count' | 'sum' | 'avg' | 'min' | 'max' | 'exists'): this;
   whereHas(relation: string, callback?: (query: QueryBuilder) => void): this;
   doesntHave(relation: string): this;
   whereDoesntHave(relation: string, callback?: (query: QueryBuilder) => void): this;
   has(relation: string, operator?: '=' | '!=' | '<' | '<=' | '>' | '>=', count?: number): this;
 
+  // Cache get(), first(), count() and paginate() results
+  remember(ttlSeconds: number, key?: string): this;
+
   // Execution methods
   get(): Promise<Collection<Model>>;
   first(): Promise<Model | null>;
@@ -2,15 +2,33 @@ const Database = require('../database/connection');
 const Collection = require('./Collection');
 const ModelRegistry = require('./ModelRegistry');
 const { ModelNotFoundException } = require('./Errors');
+const { QueryCache } = require('../database/QueryCache');
+const LazyLoadDetector = require('./LazyLoadDetector');
+const Enum = require('./Enum');
+
+// Row number column added by eager limits per parent; stripped before hydration
+const PER_PARENT_ROW = '_ilana_row';
+
+// Enum cases bind as their values: where('status', OrderStatus.PAID)
+const bindable = (value) => {
+  if (value instanceof Enum) return value.value;
+  if (Array.isArray(value)) return value.map(bindable);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, bindable(v)]));
+  }
+  return value;
+};
 
 class QueryBuilder {
   constructor(tableName, modelClass, connectionName) {
+    // Database.table() binds to the transaction of the current async call chain
     this.query = Database.table(tableName, connectionName);
     this.modelClass = modelClass;
     this.connectionName = connectionName;
     this.eagerLoad = [];
     this.eagerLoadConstraints = {};
-    this._transaction = null;
+    this._transaction = Database.transactionFor(connectionName);
+    this._bindModelContext();
     
     // Return proxy to handle scope methods
     return new Proxy(this, {
@@ -33,32 +51,72 @@ class QueryBuilder {
     });
   }
 
+  // Tag queries with the model name so Database.listen() can report it. Merged into
+  // any existing context, which wrapIdentifier/postProcessResponse hooks may rely on.
+  _bindModelContext() {
+    if (this.modelClass && typeof this.query?.queryContext === 'function') {
+      this.query.queryContext({ ...(this.query.queryContext() || {}), model: this.modelClass.name });
+    }
+  }
+
   // Where clauses
   where(column, operator, value) {
-    if (arguments.length === 2) {
-      this.query.where(column, operator);
+    if (arguments.length === 1) {
+      this.query.where(bindable(column));
+    } else if (arguments.length === 2) {
+      this.query.where(column, bindable(operator));
     } else {
-      this.query.where(column, operator, value);
+      this.query.where(column, operator, bindable(value));
     }
     return this;
   }
 
   orWhere(column, operator, value) {
-    if (arguments.length === 2) {
-      this.query.orWhere(column, operator);
+    if (arguments.length === 1) {
+      this.query.orWhere(bindable(column));
+    } else if (arguments.length === 2) {
+      this.query.orWhere(column, bindable(operator));
     } else {
-      this.query.orWhere(column, operator, value);
+      this.query.orWhere(column, operator, bindable(value));
     }
     return this;
   }
 
   whereIn(column, values) {
-    this.query.whereIn(column, values);
+    this.query.whereIn(column, bindable(values));
+    return this;
+  }
+
+  // Match an 'encrypted:searchable' attribute through its blind index column.
+  // An array of values matches any of them.
+  whereEncrypted(column, value) {
+    return this._whereBlindIndex('where', column, value);
+  }
+
+  orWhereEncrypted(column, value) {
+    return this._whereBlindIndex('orWhere', column, value);
+  }
+
+  _whereBlindIndex(method, column, value) {
+    const dot = column.lastIndexOf('.');
+    const attribute = column.slice(dot + 1);
+    const cast = new this.modelClass().getCast(attribute);
+    if (!cast?.isSearchable) {
+      throw new Error(`${this.modelClass.name}.${attribute} is not a searchable encrypted attribute. Cast it with 'encrypted:searchable'.`);
+    }
+    const indexColumn = column.slice(0, dot + 1) + cast.getIndexColumn(attribute);
+    if (Array.isArray(value)) {
+      this.query[`${method}In`](indexColumn, value.map(v => cast.blindIndex(v)));
+    } else if (value === null || value === undefined) {
+      this.query[`${method}Null`](indexColumn);
+    } else {
+      this.query[method](indexColumn, cast.blindIndex(value));
+    }
     return this;
   }
 
   whereNotIn(column, values) {
-    this.query.whereNotIn(column, values);
+    this.query.whereNotIn(column, bindable(values));
     return this;
   }
 
@@ -212,12 +270,12 @@ class QueryBuilder {
   }
 
   orWhereIn(column, values) {
-    this.query.orWhereIn(column, values);
+    this.query.orWhereIn(column, bindable(values));
     return this;
   }
 
   orWhereNotIn(column, values) {
-    this.query.orWhereNotIn(column, values);
+    this.query.orWhereNotIn(column, bindable(values));
     return this;
   }
 
@@ -310,24 +368,24 @@ class QueryBuilder {
     return this;
   }
 
-  // Joins
-  join(table, first, operator, second) {
-    this.query.join(table, first, operator, second);
+  // Joins — forward only the given arguments so join(table, first, second) works
+  join(...args) {
+    this.query.join(...args);
     return this;
   }
 
-  leftJoin(table, first, operator, second) {
-    this.query.leftJoin(table, first, operator, second);
+  leftJoin(...args) {
+    this.query.leftJoin(...args);
     return this;
   }
 
-  rightJoin(table, first, operator, second) {
-    this.query.rightJoin(table, first, operator, second);
+  rightJoin(...args) {
+    this.query.rightJoin(...args);
     return this;
   }
 
-  innerJoin(table, first, operator, second) {
-    this.query.join(table, first, operator, second);
+  innerJoin(...args) {
+    this.query.join(...args);
     return this;
   }
 
@@ -457,36 +515,153 @@ class QueryBuilder {
     return q;
   }
 
+  // Soft-delete scoped query routed to a read replica when one is configured
+  _readQuery() {
+    const query = this._softQuery();
+    return Database.forRead(this._perParent ? this._limitPerParent(query) : query, this.connectionName);
+  }
+
+  // Eager loads only: make a constraint's limit()/offset() apply per parent by
+  // numbering rows with ROW_NUMBER() OVER (PARTITION BY <parent key> ...) and
+  // filtering on that number. Needs window functions (Postgres, MySQL 8, SQLite 3.25).
+  _eagerLimitPerParent(partitionBy) {
+    const { limit, offset } = this.query._single;
+    if (limit !== undefined || offset !== undefined) this._perParent = partitionBy;
+    return this;
+  }
+
+  _limitPerParent(builder) {
+    const { limit, offset = 0 } = builder._single;
+    const orders = builder._statements.filter(s => s.grouping === 'order');
+    builder.clear('limit').clear('offset').clear('order');
+    if (!builder._statements.some(s => s.grouping === 'columns')) {
+      builder.select(`${builder._single.table}.*`);
+    }
+    const table = builder._single.table;
+    if (orders.some(order => order.type === 'orderByRaw')) {
+      // The window builder has no orderByRaw, so write the whole OVER (...) clause
+      const sql = [];
+      const bindings = [this._perParent];
+      for (const order of orders) {
+        if (order.type === 'orderByRaw') {
+          sql.push(order.value.sql);
+          bindings.push(...(order.value.bindings || []));
+        } else {
+          sql.push(`?? ${String(order.direction).toLowerCase() === 'desc' ? 'desc' : 'asc'}`);
+          bindings.push(order.value);
+        }
+      }
+      builder.rowNumber(PER_PARENT_ROW, builder.client.raw(`partition by ?? order by ${sql.join(', ')}`, bindings));
+    } else {
+      builder.rowNumber(PER_PARENT_ROW, (window) => {
+        window.partitionBy(this._perParent);
+        if (orders.length === 0) window.orderBy(`${table}.${this.modelClass.getPrimaryKey()}`);
+        for (const order of orders) window.orderBy(order.value, order.direction);
+      });
+    }
+
+    const ranked = builder.client.queryBuilder()
+      .select('*')
+      .from(builder.as('_ilana_ranked'))
+      .where(PER_PARENT_ROW, '>', offset);
+    if (limit !== undefined) ranked.where(PER_PARENT_ROW, '<=', offset + limit);
+    return ranked.orderBy(PER_PARENT_ROW);
+  }
+
+  // Query caching
+  remember(ttlSeconds, key) {
+    this._cache = { ttl: ttlSeconds, key };
+    return this;
+  }
+
+  // Tables a cached result depends on: the queried table and every joined table
+  _cacheTags() {
+    const tables = [this.query._single?.table];
+    for (const statement of this.query._statements || []) {
+      if (statement.grouping === 'join') tables.push(statement.table);
+    }
+    const names = tables
+      .filter(table => typeof table === 'string' && table)
+      .map(table => table.split(/\s+as\s+/i)[0].trim());
+    return [...new Set(names)];
+  }
+
+  // Run a read through QueryCache when remember() was called. Reads inside a
+  // transaction always hit the database, since they may see uncommitted rows.
+  _remember(kind, builder, suffix) {
+    if (!this._cache || this._transaction) return builder;
+    let key = this._cache.key;
+    if (key) {
+      if (suffix) key = `${key}:${suffix}`;
+    } else {
+      const { sql, bindings } = builder.toSQL();
+      const connection = this.connectionName || Database.getDefaultConnection();
+      key = `${connection}:${kind}:${sql}:${JSON.stringify(bindings)}`;
+    }
+    return QueryCache.remember(key, this._cache.ttl, this._cacheTags(), async () => builder);
+  }
+
+  // Invalidate cached reads of this table after a write. Inside a transaction the
+  // tags are flushed again on commit so no reader re-caches uncommitted state.
+  async _flushCache() {
+    const table = this.query._single?.table;
+    if (typeof table !== 'string' || !table) return;
+    const tag = table.split(/\s+as\s+/i)[0].trim();
+    await QueryCache.flushTags(tag);
+    if (this._transaction) {
+      Database.afterCommit(() => QueryCache.flushTags(tag));
+    }
+  }
+
   // Aggregates
   async count(column = '*') {
-    const result = await this._softQuery().count(column);
+    const result = await this._remember('count', this._readQuery().count(column));
     const countValue = result[0]['count(*)'] || result[0].count || result[0]['COUNT(*)'] || result[0]['COUNT'] || 0;
     return parseInt(countValue) || 0;
   }
 
   async sum(column) {
-    const result = await this._softQuery().sum(column);
+    const result = await this._readQuery().sum(column);
     return parseFloat(result[0][`sum(\`${column}\`)`] || result[0].sum);
   }
 
   async avg(column) {
-    const result = await this._softQuery().avg(column);
+    const result = await this._readQuery().avg(column);
     return parseFloat(result[0][`avg(\`${column}\`)`] || result[0].avg);
   }
 
   async min(column) {
-    const result = await this._softQuery().min(column);
+    const result = await this._readQuery().min(column);
     return result[0][`min(\`${column}\`)`] || result[0].min;
   }
 
   async max(column) {
-    const result = await this._softQuery().max(column);
+    const result = await this._readQuery().max(column);
     return result[0][`max(\`${column}\`)`] || result[0].max;
   }
 
-  // Eager loading
+  // Eager loading — names ('posts.comments'), arrays of names, or objects
+  // mapping a name at any depth to a constraint: { 'posts.comments': q => q.where(...) }
   with(...relations) {
-    this.eagerLoad.push(...relations);
+    for (const relation of relations.flat()) {
+      if (typeof relation === 'string') {
+        this.eagerLoad.push(relation);
+      } else if (relation && typeof relation === 'object') {
+        this.withConstraints(relation);
+      }
+    }
+    return this;
+  }
+
+  // Eager loads for a single morph type; call it in a morphTo constraint:
+  // with({ commentable: q => q.morphWith({ Post: ['author'], Video: ['channel'] }) })
+  // Keys are class names or morph map aliases.
+  morphWith(map) {
+    if (!this.modelClass) return this;
+    const names = [this.modelClass.name, ModelRegistry.getMorphAlias(this.modelClass)];
+    for (const [type, relations] of Object.entries(map)) {
+      if (names.includes(type)) this.with(relations);
+    }
     return this;
   }
 
@@ -497,40 +672,89 @@ class QueryBuilder {
     } else if (typeof relation === 'object') {
       for (const [rel, cb] of Object.entries(relation)) {
         this.eagerLoadConstraints[rel] = cb;
-        this.with(rel);
+        this.eagerLoad.push(rel);
       }
     }
     return this;
   }
 
   withCount(...relations) {
-    // Ensure regular model columns are not dropped when we add count subqueries
-    const existing = this.query._single?.columns;
-    if (!existing || existing.length === 0) {
+    return this.withAggregate(relations, '*', 'count');
+  }
+
+  withSum(relations, column) {
+    return this.withAggregate(relations, column, 'sum');
+  }
+
+  withAvg(relations, column) {
+    return this.withAggregate(relations, column, 'avg');
+  }
+
+  withMin(relations, column) {
+    return this.withAggregate(relations, column, 'min');
+  }
+
+  withMax(relations, column) {
+    return this.withAggregate(relations, column, 'max');
+  }
+
+  withExists(...relations) {
+    return this.withAggregate(relations, '*', 'exists');
+  }
+
+  /**
+   * Add one correlated subselect per relation, e.g. withSum('orders', 'total') adds
+   * orders_sum_total. Relations are names, 'orders as paid_total' aliases, or
+   * objects mapping either to a constraint callback.
+   */
+  withAggregate(relations, column, fn) {
+    if (!this.modelClass) return this;
+    // Ensure regular model columns are not dropped when we add subselects
+    if (!this.query._statements.some(s => s.grouping === 'columns')) {
       this.query.select(`${this.modelClass.getTableName()}.*`);
     }
-    for (const relation of relations) {
+
+    const entries = [relations].flat().flatMap(relation =>
+      typeof relation === 'string' ? [[relation, null]] : Object.entries(relation || {})
+    );
+    for (const [name, constraint] of entries) {
+      const [relation, alias] = name.split(/\s+as\s+/i);
       try {
-        const dummy = this._makeDummy();
-        if (!dummy) continue;
         const relFn = this.modelClass.prototype[relation];
         if (typeof relFn !== 'function') continue;
-        const rel = relFn.call(dummy);
+        const rel = relFn.call(this._makeDummy());
         const relatedClass = rel.getRelatedClass();
         const relatedTable = relatedClass.getTableName();
-        const parentTable = this.modelClass.getTableName();
-        let countSql;
-        if (rel.constructor.name === 'BelongsTo') {
-          countSql = `(SELECT COUNT(*) FROM ${relatedTable} WHERE ${relatedTable}.${rel.localKey || relatedClass.getPrimaryKey()} = ${parentTable}.${rel.foreignKey})`;
-        } else {
-          countSql = `(SELECT COUNT(*) FROM ${relatedTable} WHERE ${relatedTable}.${rel.foreignKey} = ${parentTable}.${rel.localKey || this.modelClass.getPrimaryKey()})`;
+        const subquery = this._relatedSubquery(Database.table(relatedTable, this.connectionName), rel);
+        if (constraint) {
+          const constraintQB = new QueryBuilder(relatedTable, relatedClass, this.connectionName);
+          constraintQB.query = subquery;
+          constraint(constraintQB);
+        }
+
+        if (fn === 'exists') {
+          const as = alias || `${relation}_exists`;
+          this._existsColumns = [...(this._existsColumns || []), as];
+          this.query.column(Database.raw(`exists ? as ??`, [subquery, as]));
+          continue;
         }
-        this.query.column(Database.raw(`${countSql} as ${relation}_count`));
+        const target = column === '*' || column.includes('.') ? column : `${relatedTable}.${column}`;
+        const as = alias || (fn === 'count' ? `${relation}_count` : `${relation}_${fn}_${column.split('.').pop()}`);
+        subquery[fn](target);
+        this.query.column(Database.raw(`? as ??`, [subquery, as]));
       } catch (_) { /* skip unresolvable relations */ }
     }
     return this;
   }
 
+  // withExists() columns come back as 0/1 on SQLite and MySQL
+  _castAggregates(row) {
+    for (const column of this._existsColumns || []) {
+      if (column in row) row[column] = Boolean(Number(row[column]));
+    }
+    return row;
+  }
+
   whereHas(relation, callback) {
     if (!this.modelClass) return this;
     try {
@@ -540,15 +764,8 @@ class QueryBuilder {
       const rel = relFn.call(dummy);
       const relatedClass = rel.getRelatedClass();
       const relatedTable = relatedClass.getTableName();
-      const parentTable = this.modelClass.getTableName();
-      const isBelongsTo = rel.constructor.name === 'BelongsTo';
       this.query.whereExists((builder) => {
-        builder.from(relatedTable);
-        if (isBelongsTo) {
-          builder.whereRaw(`${relatedTable}.${rel.localKey || relatedClass.getPrimaryKey()} = ${parentTable}.${rel.foreignKey}`);
-        } else {
-          builder.whereRaw(`${relatedTable}.${rel.foreignKey} = ${parentTable}.${rel.localKey || this.modelClass.getPrimaryKey()}`);
-        }
+        this._relatedSubquery(builder, rel);
         if (callback) {
           const subQb = new QueryBuilder(relatedTable, relatedClass, this.connectionName);
           subQb.query = builder;
@@ -568,15 +785,8 @@ class QueryBuilder {
       const rel = relFn.call(dummy);
       const relatedClass = rel.getRelatedClass();
       const relatedTable = relatedClass.getTableName();
-      const parentTable = this.modelClass.getTableName();
-      const isBelongsTo = rel.constructor.name === 'BelongsTo';
       this.query.whereNotExists((builder) => {
-        builder.from(relatedTable);
-        if (isBelongsTo) {
-          builder.whereRaw(`${relatedTable}.${rel.localKey || relatedClass.getPrimaryKey()} = ${parentTable}.${rel.foreignKey}`);
-        } else {
-          builder.whereRaw(`${relatedTable}.${rel.foreignKey} = ${parentTable}.${rel.localKey || this.modelClass.getPrimaryKey()}`);
-        }
+        this._relatedSubquery(builder, rel);
         if (typeof callback === 'function') {
           const constraintQB = new QueryBuilder(relatedTable, relatedClass, this.connectionName);
           constraintQB.query = builder;
@@ -598,30 +808,52 @@ class QueryBuilder {
       const relFn = this.modelClass.prototype[relation];
       if (typeof relFn !== 'function') return this;
       const rel = relFn.call(dummy);
-      const relatedClass = rel.getRelatedClass();
-      const relatedTable = relatedClass.getTableName();
-      const parentTable = this.modelClass.getTableName();
-      const isBelongsTo = rel.constructor.name === 'BelongsTo';
-      const joinCol = isBelongsTo
-        ? `${relatedTable}.${rel.localKey || relatedClass.getPrimaryKey()} = ${parentTable}.${rel.foreignKey}`
-        : `${relatedTable}.${rel.foreignKey} = ${parentTable}.${rel.localKey || this.modelClass.getPrimaryKey()}`;
       const ops = ['=', '!=', '<', '<=', '>', '>='];
       const safeOp = ops.includes(operator) ? operator : '>=';
       const safeCount = parseInt(count, 10) || 1;
       if (safeOp === '>=' && safeCount === 1) {
         this.query.whereExists((builder) => {
-          builder.from(relatedTable).whereRaw(joinCol);
+          this._relatedSubquery(builder, rel);
         });
       } else {
-        this.query.whereRaw(
-          `(select count(*) from ?? where ${joinCol}) ${safeOp} ?`,
-          [relatedTable, safeCount]
-        );
+        const subquery = Database.table(rel.getRelatedClass().getTableName(), this.connectionName).count('*');
+        this._relatedSubquery(subquery, rel);
+        this.query.whereRaw(`? ${safeOp} ?`, [subquery, safeCount]);
       }
     } catch (_) {}
     return this;
   }
 
+  // Correlate a subquery on the related table with the parent row, joining
+  // through the pivot table for many-to-many relations
+  _relatedSubquery(builder, rel) {
+    const relatedClass = rel.getRelatedClass();
+    const relatedTable = relatedClass.getTableName();
+    const parentTable = this.modelClass.getTableName();
+    if (!builder._single?.table) builder.from(relatedTable);
+
+    if (rel.pivotTable) {
+      builder
+        .join(rel.pivotTable, `${relatedTable}.${rel.relatedKey}`, `${rel.pivotTable}.${rel.relatedPivotKey}`)
+        .whereRaw(`${rel.pivotTable}.${rel.parentPivotKey} = ${parentTable}.${rel.parentKey}`);
+      for (const [column, value] of Object.entries(rel.pivotWheres())) {
+        builder.where(`${rel.pivotTable}.${column}`, value);
+      }
+    } else if (rel.through) {
+      const throughTable = rel.getThroughTable();
+      builder
+        .join(throughTable, `${relatedTable}.${rel.secondKey}`, `${throughTable}.${rel.secondLocalKey}`)
+        .whereRaw(`${throughTable}.${rel.firstKey} = ${parentTable}.${rel.localKey}`);
+    } else if (rel.constructor.name === 'BelongsTo') {
+      builder.whereRaw(`${relatedTable}.${rel.localKey || relatedClass.getPrimaryKey()} = ${parentTable}.${rel.foreignKey}`);
+    } else {
+      builder.whereRaw(`${relatedTable}.${rel.foreignKey} = ${parentTable}.${rel.localKey || this.modelClass.getPrimaryKey()}`);
+      if (rel.morphType && rel.morphClass) builder.where(`${relatedTable}.${rel.morphType}`, rel.morphClass);
+      if (rel.oneOfMany) rel.addOneOfManyJoin(builder);
+    }
+    return builder;
+  }
+
   _makeDummy() {
     const dummy = Object.create(this.modelClass.prototype);
     dummy.attributes = {};
@@ -636,14 +868,15 @@ class QueryBuilder {
 
   // Execution methods
   async get() {
-    const query = this._softQuery();
-    const rows = await query;
+    const rows = await this._remember('get', this._readQuery());
+    if (this._perParent) rows.forEach(row => delete row[PER_PARENT_ROW]);
     const models = rows.map(row => {
-      const model = new this.modelClass(row);
+      const model = new this.modelClass(this._castAggregates(row));
       model.exists = true;
       model._initialize();
       return model;
     });
+    LazyLoadDetector.tagBatch(models, this._eagerRoot || this.modelClass?.name, this._eagerPath);
     if (this.eagerLoad.length) {
       await this.loadRelations(models);
     }
@@ -651,9 +884,9 @@ class QueryBuilder {
   }
 
   async first() {
-    const row = await this._softQuery().first();
+    const row = await this._remember('first', this._readQuery().first());
     if (!row) return null;
-    const model = new this.modelClass(row);
+    const model = new this.modelClass(this._castAggregates(row));
     model.exists = true;
     model._initialize();
     if (this.eagerLoad.length) {
@@ -665,10 +898,10 @@ class QueryBuilder {
 
   async find(id) {
     const pk = this.modelClass?.primaryKey || 'id';
-    const result = await this._softQuery().where(pk, id).first();
+    const result = await this._readQuery().where(pk, id).first();
     if (!result) return null;
 
-    const model = this.modelClass ? new this.modelClass(result) : result;
+    const model = this.modelClass ? new this.modelClass(this._castAggregates(result)) : result;
     if (this.modelClass) {
       model.exists = true;
       model._initialize();
@@ -698,7 +931,7 @@ class QueryBuilder {
   }
 
   async sole() {
-    const results = await this._softQuery().limit(2);
+    const results = await this._readQuery().limit(2);
     if (results.length === 0) throw new ModelNotFoundException(this.modelClass?.name || 'Model');
     if (results.length > 1) throw new Error(`${this.modelClass?.name || 'Model'}: sole() found more than one result.`);
     return this.modelClass ? new this.modelClass(results[0]) : results[0];
@@ -710,25 +943,28 @@ class QueryBuilder {
   }
 
   async pluck(column) {
-    return await this._softQuery().pluck(column);
+    return await this._readQuery().pluck(column);
   }
 
   async exists() {
-    const result = await this._softQuery().select(Database.raw('1')).first();
+    const result = await this._readQuery().select(Database.raw('1')).first();
     return !!result;
   }
 
   // Pagination
   async paginate(page = 1, perPage = 15) {
-    // Get total count — use _softQuery() to respect soft-delete scope
+    // Get total count — use _readQuery() to respect soft-delete scope
     const countQuery = new QueryBuilder(this.query._single.table, this.modelClass, this.connectionName);
-    countQuery.query = this._softQuery();
+    countQuery.query = this._readQuery();
     countQuery._includeTrashed = this._includeTrashed;
     countQuery._onlyTrashed = this._onlyTrashed;
-    const total = await countQuery.query.count('* as count').then(r => parseInt(r[0]?.count || r[0]?.['count(*)'] || 0));
+    const totalRows = await this._remember('count', countQuery.query.count('* as count'), 'total');
+    const total = parseInt(totalRows[0]?.count || totalRows[0]?.['count(*)'] || 0);
     
     // Get the actual data with limit and offset
-    const results = await this.clone().offset((page - 1) * perPage).limit(perPage).get();
+    const pageQuery = this.clone().offset((page - 1) * perPage).limit(perPage);
+    if (this._cache?.key) pageQuery._cache = { ...this._cache, key: `${this._cache.key}:page:${page}:${perPage}` };
+    const results = await pageQuery.get();
     
     const lastPage = Math.ceil(total / perPage) || 1;
     const hasData = results.length > 0;
@@ -821,13 +1057,16 @@ class QueryBuilder {
 
   // Insert/Update/Delete
   async insert(data) {
-    return this.query.insert(data);
+    const result = await this.query.insert(bindable(data));
+    await this._flushCache();
+    return result;
   }
 
   async insertGetId(data) {
     // Use the second argument for 'returning'. Knex handles this across
     // different dialects without issuing warnings for MySQL.
-    const result = await this.query.insert(data, this.modelClass.getPrimaryKey());
+    const result = await this.query.insert(bindable(data), this.modelClass.getPrimaryKey());
+    await this._flushCache();
 
     // The result format differs between DBs.
     // - MySQL/SQLite: [123]
@@ -841,38 +1080,75 @@ class QueryBuilder {
   }
 
   async update(data) {
-    return this.query.update(data);
+    const result = await this.query.update(bindable(data));
+    await this._flushCache();
+    return result;
   }
 
   async increment(column, amount = 1) {
-    return this.query.increment(column, amount);
+    const result = await this.query.increment(column, amount);
+    await this._flushCache();
+    return result;
   }
 
   async decrement(column, amount = 1) {
-    return this.query.decrement(column, amount);
+    const result = await this.query.decrement(column, amount);
+    await this._flushCache();
+    return result;
   }
 
   async delete() {
-    return this.query.del();
+    const result = await this.query.del();
+    await this._flushCache();
+    return result;
   }
 
   async upsert(data, uniqueBy, update) {
-    return this.query.insert(data).onConflict(uniqueBy).merge(update);
+    const result = await this.query.insert(bindable(data)).onConflict(uniqueBy).merge(bindable(update));
+    await this._flushCache();
+    return result;
+  }
+
+  // Record on an eager-load query how its models were reached, for N+1 suggestions
+  _eagerChild(query, models, relation) {
+    const batch = models[0]._loadBatch;
+    query._eagerRoot = batch?.root || models[0].constructor.name;
+    query._eagerPath = batch?.path ? `${batch.path}.${relation}` : relation;
+    return query;
   }
 
   // Eager loading implementation
   async loadRelations(models) {
     if (models.length === 0) return;
 
+    // Load each top-level relation once: with('posts', 'posts.comments', 'posts.tags')
+    // runs one posts query that eager loads comments and tags
+    const tree = new Map();
     for (const relationName of this.eagerLoad) {
-      await this.loadRelation(models, relationName);
+      const [relation, ...rest] = relationName.split('.');
+      if (!tree.has(relation)) tree.set(relation, []);
+      if (rest.length) tree.get(relation).push(rest.join('.'));
+    }
+
+    for (const [relation, nested] of tree) {
+      await this.loadRelation(models, relation, nested);
+    }
+  }
+
+  // Hand nested eager loads, and the constraints registered for them, down to
+  // the query that loads `relation`: 'posts.comments' becomes 'comments' there
+  _withNested(query, relation, nested) {
+    if (nested.length) query.with(...new Set(nested));
+    const prefix = `${relation}.`;
+    for (const [path, callback] of Object.entries(this.eagerLoadConstraints)) {
+      if (path.startsWith(prefix)) query.eagerLoadConstraints[path.slice(prefix.length)] = callback;
     }
+    return query;
   }
 
-  async loadRelation(models, relationName) {
-    const parts = relationName.split('.');
-    const relation = parts[0];
-    const nested = parts.slice(1).join('.');
+  async loadRelation(models, relationName, nested = []) {
+    const [relation, ...rest] = relationName.split('.');
+    if (rest.length) nested = [...nested, rest.join('.')];
 
     const firstModel = models[0];
     const relationMethod = firstModel[relation];
@@ -889,6 +1165,39 @@ class QueryBuilder {
 
     if (localValues.length === 0) return;
 
+    // MorphTo: polymorphic parent — group by type and batch-load each model class
+    if (relationInstance.constructor.name === 'MorphTo') {
+      const rel = relationInstance;
+      const typeGroups = {};
+      for (const model of models) {
+        const morphType = model.getAttribute(rel.morphType);
+        const morphId = model.getAttribute(rel.morphId);
+        if (!morphType || morphId == null) continue;
+        if (!typeGroups[morphType]) typeGroups[morphType] = [];
+        if (!typeGroups[morphType].includes(morphId)) typeGroups[morphType].push(morphId);
+      }
+      const resolved = {};
+      for (const [typeName, ids] of Object.entries(typeGroups)) {
+        const TypeClass = ModelRegistry.getMorphedModel(typeName);
+        if (!TypeClass) continue;
+        const typeQuery = new QueryBuilder(TypeClass.getTableName(), TypeClass, TypeClass.getConnectionName())
+          .whereIn(TypeClass.getPrimaryKey(), ids);
+        // The constraint runs once per type query, so it can call morphWith()
+        if (this.eagerLoadConstraints[relation]) this.eagerLoadConstraints[relation](typeQuery);
+        this._withNested(typeQuery, relation, nested);
+        const rows = await this._eagerChild(typeQuery, models, relation).get();
+        for (const row of (Array.isArray(rows) ? rows : [...rows])) {
+          resolved[`${typeName}:${row.getAttribute(TypeClass.getPrimaryKey())}`] = row;
+        }
+      }
+      for (const model of models) {
+        const morphType = model.getAttribute(rel.morphType);
+        const morphId = model.getAttribute(rel.morphId);
+        model.relations[relation] = resolved[`${morphType}:${morphId}`] || null;
+      }
+      return;
+    }
+
     // Get the related class - should now always be a string
     const relatedClass = relationInstance.getRelatedClass();
     
@@ -897,11 +1206,10 @@ class QueryBuilder {
       throw new Error(`Invalid related class for relation '${relation}'. Make sure the model is properly defined and registered.`);
     }
 
-    // HasManyThrough requires a JOIN through the intermediate table
-    if (relationInstance.constructor.name === 'HasManyThrough') {
+    // HasManyThrough / HasOneThrough require a JOIN through the intermediate table
+    if (relationInstance.constructor.name === 'HasManyThrough' || relationInstance.constructor.name === 'HasOneThrough') {
       const rel = relationInstance;
-      const throughClass = ModelRegistry.has(rel.through) ? ModelRegistry.get(rel.through) : null;
-      const throughTable = throughClass ? throughClass.getTableName() : (typeof rel.through === 'string' ? rel.through : rel.through.getTableName());
+      const throughTable = rel.getThroughTable();
       const relatedTable = relatedClass.getTableName();
       const parentTable = models[0].constructor.getTableName();
 
@@ -911,8 +1219,10 @@ class QueryBuilder {
         .join(throughTable, `${relatedTable}.${rel.secondKey}`, `${throughTable}.${rel.secondLocalKey}`)
         .whereIn(`${throughTable}.${rel.firstKey}`, localValues);
 
-      if (this.eagerLoadConstraints[relationName]) this.eagerLoadConstraints[relationName](hmtQuery);
-      if (nested) hmtQuery = hmtQuery.with(nested);
+      if (this.eagerLoadConstraints[relation]) this.eagerLoadConstraints[relation](hmtQuery);
+      this._withNested(hmtQuery, relation, nested);
+      hmtQuery._eagerLimitPerParent(`${throughTable}.${rel.firstKey}`);
+      this._eagerChild(hmtQuery, models, relation);
 
       const hmtResults = await hmtQuery.get();
       const hmtArray = Array.isArray(hmtResults) ? hmtResults : [...hmtResults];
@@ -924,43 +1234,16 @@ class QueryBuilder {
         if (!grouped[pid]) grouped[pid] = [];
         grouped[pid].push(m);
       }
+      const isOne = rel.constructor.name === 'HasOneThrough';
       for (const model of models) {
-        model.relations[relation] = grouped[model.getAttribute(rel.localKey)] || [];
-      }
-      return;
-    }
-
-    // MorphTo: polymorphic parent — group by type and batch-load each model class
-    if (relationInstance.constructor.name === 'MorphTo') {
-      const rel = relationInstance;
-      const typeGroups = {};
-      for (const model of models) {
-        const morphType = model.getAttribute(rel.morphType);
-        const morphId = model.getAttribute(rel.morphId);
-        if (!morphType || morphId == null) continue;
-        if (!typeGroups[morphType]) typeGroups[morphType] = [];
-        typeGroups[morphType].push(morphId);
-      }
-      const resolved = {};
-      for (const [typeName, ids] of Object.entries(typeGroups)) {
-        const TypeClass = ModelRegistry.get(typeName);
-        if (!TypeClass) continue;
-        const rows = await new QueryBuilder(TypeClass.getTableName(), TypeClass, TypeClass.getConnectionName())
-          .whereIn(TypeClass.getPrimaryKey(), ids).get();
-        for (const row of (Array.isArray(rows) ? rows : [...rows])) {
-          resolved[`${typeName}:${row.getAttribute(TypeClass.getPrimaryKey())}`] = row;
-        }
-      }
-      for (const model of models) {
-        const morphType = model.getAttribute(rel.morphType);
-        const morphId = model.getAttribute(rel.morphId);
-        model.relations[relation] = resolved[`${morphType}:${morphId}`] || null;
+        const related = grouped[model.getAttribute(rel.localKey)] || [];
+        model.relations[relation] = isOne ? related[0] || null : related;
       }
       return;
     }
 
     // BelongsToMany requires a join through the pivot table
-    if (relationInstance.constructor.name === 'BelongsToMany') {
+    if (relationInstance.constructor.name === 'BelongsToMany' || relationInstance.constructor.name === 'MorphToMany') {
       const rel = relationInstance;
       const parentPivotKey = rel.parentPivotKey;
       const relatedPivotKey = rel.relatedPivotKey;
@@ -981,11 +1264,16 @@ class QueryBuilder {
         .select(selectColumns)
         .join(pivotTable, `${relatedTable}.${relatedKey}`, `${pivotTable}.${relatedPivotKey}`)
         .whereIn(`${pivotTable}.${parentPivotKey}`, parentIds);
+      for (const [column, value] of Object.entries(rel.pivotWheres())) {
+        pivotQuery.query.where(`${pivotTable}.${column}`, value);
+      }
 
-      if (this.eagerLoadConstraints[relationName]) {
-        this.eagerLoadConstraints[relationName](pivotQuery);
+      if (this.eagerLoadConstraints[relation]) {
+        this.eagerLoadConstraints[relation](pivotQuery);
       }
-      if (nested) pivotQuery = pivotQuery.with(nested);
+      this._withNested(pivotQuery, relation, nested);
+      pivotQuery._eagerLimitPerParent(`${pivotTable}.${parentPivotKey}`);
+      this._eagerChild(pivotQuery, models, relation);
 
       const pivotResults = await pivotQuery.get();
       const pivotArray = Array.isArray(pivotResults) ? pivotResults : [...pivotResults];
@@ -994,20 +1282,17 @@ class QueryBuilder {
       for (const m of pivotArray) {
         const parentId = m.attributes['_pivot_parent_id'];
         delete m.attributes['_pivot_parent_id'];
-        // Extract pivot columns
-        if (rel.pivotColumns && rel.pivotColumns.length) {
-          m.pivot = {};
-          for (const c of rel.pivotColumns) {
-            m.pivot[c] = m.attributes[`pivot_${c}`];
-            delete m.attributes[`pivot_${c}`];
-          }
-        }
         if (!grouped[parentId]) grouped[parentId] = [];
         grouped[parentId].push(m);
       }
 
       for (const model of models) {
-        model.relations[relation] = grouped[model.getAttribute(parentKey)] || [];
+        const related = grouped[model.getAttribute(parentKey)] || [];
+        // Extract pivot columns, hydrating the using() class against each parent
+        if (rel.pivotClass || rel.pivotColumns.length) {
+          for (const m of related) rel.setPivot(m, model);
+        }
+        model.relations[relation] = related;
       }
       return;
     }
@@ -1027,19 +1312,25 @@ class QueryBuilder {
       relationQuery = relationQuery
         .where(rel.morphType, rel.morphClass)
         .whereIn(rel.morphId, localValues);
+    } else if (relationInstance.oneOfMany) {
+      const relatedTable = relatedClass.getTableName();
+      relationQuery = relationInstance.addOneOfManyJoin(
+        relationQuery.select(`${relatedTable}.*`).whereIn(`${relatedTable}.${foreignKey}`, localValues)
+      );
     } else {
       relationQuery = relationQuery.whereIn(foreignKey, localValues);
     }
 
-    if (this.eagerLoadConstraints[relationName]) {
-      this.eagerLoadConstraints[relationName](relationQuery);
+    if (this.eagerLoadConstraints[relation]) {
+      this.eagerLoadConstraints[relation](relationQuery);
     }
-
-    if (nested) {
-      relationQuery = relationQuery.with(nested);
+    this._withNested(relationQuery, relation, nested);
+    if (relationInstance.constructor.name !== 'BelongsTo') {
+      const partitionBy = relationInstance.morphId || foreignKey;
+      relationQuery._eagerLimitPerParent(`${relatedClass.getTableName()}.${partitionBy}`);
     }
 
-    const relatedModels = await relationQuery.get();
+    const relatedModels = await this._eagerChild(relationQuery, models, relation).get();
 
     // Convert Collection to array if needed
     const relatedArray = Array.isArray(relatedModels) ? relatedModels : (relatedModels && relatedModels.length !== undefined ? [...relatedModels] : []);
@@ -1080,6 +1371,7 @@ class QueryBuilder {
   connection(name) {
     const newBuilder = new QueryBuilder(this.query._single.table, this.modelClass, name);
     newBuilder.query = Database.table(this.query._single.table, name);
+    newBuilder._bindModelContext();
     return newBuilder;
   }
 
@@ -1089,6 +1381,7 @@ class QueryBuilder {
       const newBuilder = new QueryBuilder('', this.modelClass, null);
       newBuilder.query = connectionOrTrx(this.query._single?.table || this.modelClass.getTableName());
       newBuilder._transaction = connectionOrTrx;
+      newBuilder._bindModelContext();
       return newBuilder;
     }
     // It's a connection name
@@ -1099,6 +1392,10 @@ class QueryBuilder {
   clone() {
     const cloned = new QueryBuilder('', this.modelClass, this.connectionName);
     cloned.query = this.query.clone();
+    cloned._transaction = this._transaction;
+    cloned._cache = this._cache;
+    cloned._existsColumns = this._existsColumns;
+    cloned._perParent = this._perParent;
     cloned.eagerLoad = [...this.eagerLoad];
     cloned.eagerLoadConstraints = { ...this.eagerLoadConstraints };
     if (this._includeTrashed) cloned._includeTrashed = true;
@@ -1132,11 +1429,13 @@ class QueryBuilder {
       throw new Error(`restore() requires softDeletes to be enabled on ${this.modelClass?.name || 'the model'}`);
     }
     const col = this.modelClass.deletedAt || 'deleted_at';
-    return this._softQuery().update({ [col]: null });
+    const result = await this._softQuery().update({ [col]: null });
+    await this._flushCache();
+    return result;
   }
 
   async values() {
-    return this._softQuery();
+    return this._readQuery();
   }
 
   // Debug
@@ -1,6 +1,7 @@
 import QueryBuilder from './QueryBuilder';
 import Model from './Model';
 import Collection from './Collection';
+import Pivot from './Pivot';
 
 export class Relation {
   protected parent: Model;
@@ -12,21 +13,47 @@ export class Relation {
 
   getRelatedClass(): typeof Model;
   newQuery(): QueryBuilder;
+  addConstraints(query: QueryBuilder): QueryBuilder;
+  getQuery(): QueryBuilder;
 }
 
-export class HasOne extends Relation {
-  addConstraints(): void;
+// Query builder methods (and related-model scopes) are forwarded to getQuery()
+export interface Relation extends Omit<QueryBuilder, 'create'> {}
+
+export class HasOneOrMany extends Relation {
+  getForeignAttributes(): Record<string, any>;
+  save<T extends Model>(model: T): Promise<T>;
+  saveMany<T extends Model>(models: T[]): Promise<T[]>;
+  create(attributes?: Record<string, any>): Promise<Model>;
+  createMany(records: Record<string, any>[]): Promise<Model[]>;
+}
+
+export class HasOne extends HasOneOrMany {
+  oneOfMany?: { column: string; aggregate: 'max' | 'min'; callback?: (query: QueryBuilder) => void };
+
   getResults(): Promise<Model | null>;
+  ofMany(column?: string, aggregate?: 'max' | 'min', callback?: (query: QueryBuilder) => void): this;
+  latestOfMany(column?: string): this;
+  oldestOfMany(column?: string): this;
+  addOneOfManyJoin<Q>(query: Q): Q;
 }
 
-export class HasMany extends Relation {
-  addConstraints(): void;
+export class HasMany extends HasOneOrMany {
   getResults(): Promise<Collection<Model>>;
 }
 
 export class BelongsTo extends Relation {
-  addConstraints(): void;
+  /** Key in parent.relations kept in sync by associate() and dissociate() */
+  relationName?: string;
   getResults(): Promise<Model | null>;
+  associate(model: Model | string | number): Model;
+  dissociate(): Model;
+}
+
+export interface SyncChanges {
+  attached: any[];
+  detached: any[];
+  updated: any[];
 }
 
 export class BelongsToMany extends Relation {
@@ -48,15 +75,48 @@ export class BelongsToMany extends Relation {
     relatedKey?: string
   );
 
+  protected pivotClass: string | typeof Pivot | null;
+
   withPivot(...columns: string[]): this;
   withTimestamps(): this;
-  addConstraints(): void;
+  using(pivotClass: string | typeof Pivot): this;
+  getPivotClass(): typeof Pivot | null;
+  newPivot(attributes?: Record<string, any>, exists?: boolean, parent?: Model): Pivot;
+  getPivotModels(id?: any): Promise<Pivot[]>;
+  setPivot<T extends Model>(model: T, parent?: Model): T;
   getResults(): Promise<Model[]>;
+  save<T extends Model>(model: T, pivotAttributes?: Record<string, any>): Promise<T>;
+  saveMany<T extends Model>(models: T[], pivotAttributes?: Record<string, any>): Promise<T[]>;
+  create(attributes?: Record<string, any>, pivotAttributes?: Record<string, any>): Promise<Model>;
+  createMany(records: Record<string, any>[], pivotAttributes?: Record<string, any>): Promise<Model[]>;
   attach(id: any, attributes?: Record<string, any>): Promise<void>;
   detach(id?: any): Promise<number>;
-  sync(ids: any[] | Record<string | number, Record<string, any>>): Promise<void>;
+  sync(ids: any | any[] | Record<string | number, Record<string, any>>, detaching?: boolean): Promise<SyncChanges>;
+  syncWithoutDetaching(ids: any | any[] | Record<string | number, Record<string, any>>): Promise<SyncChanges>;
+  syncWithPivotValues(ids: any | any[], values: Record<string, any>, detaching?: boolean): Promise<SyncChanges>;
   toggle(ids: any | any[]): Promise<void>;
   updateExistingPivot(id: any, attributes: Record<string, any>): Promise<number>;
+  pivotWheres(): Record<string, any>;
+  newPivotQuery(): QueryBuilder;
+}
+
+export class MorphToMany extends BelongsToMany {
+  protected morphName: string;
+  protected morphType: string;
+  protected morphClass: string;
+  protected inverse: boolean;
+
+  constructor(
+    parent: Model,
+    related: string | typeof Model,
+    name: string,
+    pivotTable?: string,
+    foreignPivotKey?: string,
+    relatedPivotKey?: string,
+    parentKey?: string,
+    relatedKey?: string,
+    inverse?: boolean
+  );
 }
 
 export class HasManyThrough extends Relation {
@@ -75,37 +135,59 @@ export class HasManyThrough extends Relation {
     secondLocalKey?: string
   );
 
-  addConstraints(): void;
+  getThroughTable(): string;
+  newThroughQuery(): QueryBuilder;
   getResults(): Promise<Collection<Model>>;
 }
 
+// Declared apart from HasManyThrough so getResults() can return a single model
+export class HasOneThrough extends Relation {
+  protected through: string | typeof Model;
+  protected firstKey: string;
+  protected secondKey: string;
+  protected secondLocalKey: string;
+
+  constructor(
+    parent: Model,
+    related: string | typeof Model,
+    through: string | typeof Model,
+    firstKey?: string,
+    secondKey?: string,
+    localKey?: string,
+    secondLocalKey?: string
+  );
+
+  getThroughTable(): string;
+  newThroughQuery(): QueryBuilder;
+  getResults(): Promise<Model | null>;
+}
+
 export class MorphTo extends Relation {
   protected morphType: string;
   protected morphId: string;
 
   constructor(parent: Model, morphType: string, morphId: string);
 
-  addConstraints(): void;
   getResults(): Promise<Model | null>;
+  associate(model: Model): Model;
+  dissociate(): Model;
 }
 
-export class MorphMany extends Relation {
+export class MorphMany extends HasOneOrMany {
   protected morphType: string;
   protected morphId: string;
   protected morphClass: string;
 
   constructor(parent: Model, related: string | typeof Model, morphType: string, morphId: string, morphClass: string);
 
-  addConstraints(): void;
   getResults(): Promise<Collection<Model>>;
 }
-export class MorphOne extends Relation {
+export class MorphOne extends HasOneOrMany {
   protected morphType: string;
   protected morphId: string;
   protected morphClass: string;
 
   constructor(parent: Model, related: string | typeof Model, morphType: string, morphId: string, morphClass: string);
 
-  addConstraints(): void;
   getResults(): Promise<Model | null>;
 }
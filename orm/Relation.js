@@ -1,6 +1,31 @@
 const QueryBuilder = require('./QueryBuilder');
 const Model = require('./Model');
 const ModelRegistry = require('./ModelRegistry');
+const LazyLoadDetector = require('./LazyLoadDetector');
+const Database = require('../database/connection');
+
+// Subquery aliases used by HasOne.ofMany()
+const ONE_OF_MANY = '_ilana_one_of_many';
+const ONE_OF_MANY_AGGREGATE = '_ilana_one_of_many_aggregate';
+
+// Run on a copy of the relation query without its select list: the related.* and
+// pivot_* columns next to an aggregate need a GROUP BY on Postgres and MySQL
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+// Query builder methods and related-model scopes a relation forwards to its query
+function forwardsToQuery(relation, prop) {
+  if (prop.startsWith('_')) return false;
+  if (typeof QueryBuilder.prototype[prop] === 'function') return true;
+  const scopeMethod = `scope${prop.charAt(0).toUpperCase()}${prop.slice(1)}`;
+  // Probes like `then` must not throw when the class can't be resolved (e.g. an unmapped morph type)
+  let relatedClass;
+  try {
+    relatedClass = relation.getRelatedClass();
+  } catch {
+    return false;
+  }
+  return Boolean(relatedClass) && typeof relatedClass[scopeMethod] === 'function';
+}
 
 class Relation {
   constructor(parent, related, foreignKey, localKey = 'id') {
@@ -8,6 +33,31 @@ class Relation {
     this.related = related;
     this.foreignKey = foreignKey;
     this.localKey = localKey;
+    this._query = null;
+    // No-op unless the N+1 detector is enabled
+    LazyLoadDetector.watch(this);
+
+    // Return proxy so the relation can be chained like a query builder:
+    // user.posts().where('published', true).orderBy('id').get()
+    return new Proxy(this, {
+      get(target, prop, receiver) {
+        if (prop in target || typeof prop !== 'string' || !forwardsToQuery(target, prop)) {
+          return target[prop];
+        }
+        return function(...args) {
+          if (AGGREGATES.includes(prop)) {
+            const aggregateQuery = target.getQuery().clone();
+            aggregateQuery.query.clearSelect();
+            return aggregateQuery[prop](...args);
+          }
+          if (prop === 'get' || prop === 'first') LazyLoadDetector.track(target);
+          const query = target.getQuery();
+          const result = query[prop](...args);
+          // Builder methods return the relation so chaining keeps its writers
+          return result instanceof QueryBuilder && result.query === query.query ? receiver : result;
+        };
+      }
+    });
   }
 
   getRelatedClass() {
@@ -42,11 +92,116 @@ class Relation {
     const relatedClass = this.getRelatedClass();
     return new QueryBuilder(relatedClass.getTableName(), relatedClass, relatedClass.getConnectionName());
   }
+
+  // Scope a fresh query to this relation's parent
+  addConstraints(query) {
+    return query;
+  }
+
+  // The relation query, built on first use. Query builder calls made on the
+  // relation accumulate here and getResults() runs it.
+  getQuery() {
+    if (!this._query) this._query = this.addConstraints(this.newQuery());
+    return this._query;
+  }
 }
 
-class HasOne extends Relation {
-  addConstraints() {
-    // Constraints added when executing query
+// Writers shared by relations whose related rows hold the parent's key
+class HasOneOrMany extends Relation {
+  // Attributes that tie a related model to the parent
+  getForeignAttributes() {
+    return { [this.foreignKey]: this.parent.getAttribute(this.localKey) };
+  }
+
+  async save(model) {
+    for (const [key, value] of Object.entries(this.getForeignAttributes())) {
+      model.setAttribute(key, value);
+    }
+    await model.save();
+    return model;
+  }
+
+  async saveMany(models) {
+    for (const model of models) await this.save(model);
+    return models;
+  }
+
+  async create(attributes = {}) {
+    return this.save(this.getRelatedClass().make(attributes));
+  }
+
+  async createMany(records) {
+    const models = [];
+    for (const attributes of records) models.push(await this.create(attributes));
+    return models;
+  }
+}
+
+class HasOne extends HasOneOrMany {
+  addConstraints(query) {
+    if (!this.oneOfMany) return query.where(this.foreignKey, this.parent.getAttribute(this.localKey));
+
+    const table = this.getRelatedClass().getTableName();
+    query
+      .select(`${table}.*`)
+      .where(`${table}.${this.foreignKey}`, this.parent.getAttribute(this.localKey));
+    return this.addOneOfManyJoin(query);
+  }
+
+  // Turn hasOne() into a pick from many rows per parent, e.g. the order with
+  // the highest total. Ties on `column` go to the highest primary key.
+  ofMany(column, aggregate = 'max', callback) {
+    if (!['max', 'min'].includes(aggregate)) {
+      throw new Error(`ofMany() aggregate must be 'max' or 'min', got '${aggregate}'`);
+    }
+    this.oneOfMany = { column: column || this.getRelatedClass().getPrimaryKey(), aggregate, callback };
+    this._query = null;
+    return this;
+  }
+
+  latestOfMany(column) {
+    return this.ofMany(column, 'max');
+  }
+
+  oldestOfMany(column) {
+    return this.ofMany(column, 'min');
+  }
+
+  // Inner join the related table (a QueryBuilder or knex builder) onto the key
+  // of the chosen row per parent, computed in one grouped subquery
+  addOneOfManyJoin(query) {
+    const relatedClass = this.getRelatedClass();
+    const table = relatedClass.getTableName();
+    const primaryKey = relatedClass.getPrimaryKey();
+    const groupKey = this.foreignKey;
+    const foreignKey = `${table}.${groupKey}`;
+    const { column, aggregate, callback } = this.oneOfMany;
+
+    // Related rows the pick is made from: soft deletes and the constraint applied
+    const candidates = () => {
+      const candidateQuery = this.newQuery();
+      if (callback) callback(candidateQuery);
+      return candidateQuery._softQuery();
+    };
+
+    let picked = candidates()
+      .select(foreignKey)[aggregate](`${table}.${column} as aggregate`)
+      .groupBy(foreignKey);
+    let pickedKey = 'aggregate';
+
+    if (column !== primaryKey) {
+      picked = candidates()
+        .select(foreignKey)
+        .max(`${table}.${primaryKey} as aggregate_key`)
+        .join(picked.as(ONE_OF_MANY_AGGREGATE), function() {
+          this.on(foreignKey, '=', `${ONE_OF_MANY_AGGREGATE}.${groupKey}`)
+            .andOn(`${table}.${column}`, '=', `${ONE_OF_MANY_AGGREGATE}.aggregate`);
+        })
+        .groupBy(foreignKey);
+      pickedKey = 'aggregate_key';
+    }
+
+    return query.join(picked.as(ONE_OF_MANY), `${table}.${primaryKey}`, `${ONE_OF_MANY}.${pickedKey}`);
   }
 
   getRelatedClass() {
@@ -54,15 +209,13 @@ class HasOne extends Relation {
   }
 
   async getResults() {
-    return this.newQuery()
-      .where(this.foreignKey, this.parent.getAttribute(this.localKey))
-      .first();
+    return this.getQuery().first();
   }
 }
 
-class HasMany extends Relation {
-  addConstraints() {
-    // Constraints added when executing query
+class HasMany extends HasOneOrMany {
+  addConstraints(query) {
+    return query.where(this.foreignKey, this.parent.getAttribute(this.localKey));
   }
 
   getRelatedClass() {
@@ -70,15 +223,19 @@ class HasMany extends Relation {
   }
 
   async getResults() {
-    return this.newQuery()
-      .where(this.foreignKey, this.parent.getAttribute(this.localKey))
-      .get();
+    return this.getQuery().get();
   }
 }
 
 class BelongsTo extends Relation {
-  addConstraints() {
-    // Constraints added when executing query
+  constructor(parent, related, foreignKey, ownerKey, relationName) {
+    super(parent, related, foreignKey, ownerKey);
+    // Key in parent.relations kept in sync by associate() and dissociate()
+    this.relationName = relationName;
+  }
+
+  addConstraints(query) {
+    return query.where(this.localKey, this.parent.getAttribute(this.foreignKey));
   }
 
   getRelatedClass() {
@@ -86,9 +243,25 @@ class BelongsTo extends Relation {
   }
 
   async getResults() {
-    return this.newQuery()
-      .where(this.localKey, this.parent.getAttribute(this.foreignKey))
-      .first();
+    return this.getQuery().first();
+  }
+
+  // Point the parent at a model (or key); the parent still has to be saved
+  associate(model) {
+    const key = model instanceof Object ? model.getAttribute(this.localKey) : model;
+    this.parent.setAttribute(this.foreignKey, key);
+    if (this.relationName) {
+      // A bare key leaves nothing to cache, and any loaded model is now stale
+      if (model instanceof Object) this.parent.relations[this.relationName] = model;
+      else delete this.parent.relations[this.relationName];
+    }
+    return this.parent;
+  }
+
+  dissociate() {
+    this.parent.setAttribute(this.foreignKey, null);
+    if (this.relationName) this.parent.relations[this.relationName] = null;
+    return this.parent;
   }
 }
 
@@ -117,6 +290,61 @@ class BelongsToMany extends Relation {
     this.relatedKey = relatedKey || relatedClass.getPrimaryKey();
     this.pivotColumns = [];
     this.pivotTimestamps = false;
+    this.pivotClass = null;
+  }
+
+  // Hydrate pivot rows into a Pivot subclass (class or registered name) so they
+  // get casts, and attach/detach/sync fire its model events
+  using(pivotClass) {
+    this.pivotClass = pivotClass;
+    return this;
+  }
+
+  getPivotClass() {
+    return typeof this.pivotClass === 'string' ? ModelRegistry.get(this.pivotClass) : this.pivotClass;
+  }
+
+  // Pivot model for a row of this relation; parent is the model on the parentPivotKey side
+  newPivot(attributes = {}, exists = false, parent = this.parent) {
+    const PivotClass = this.getPivotClass();
+    const pivot = new PivotClass(attributes);
+    pivot._initialize();
+    pivot.exists = exists;
+    return pivot.setPivotKeys(this, parent);
+  }
+
+  // Pivot models of this parent's existing rows, optionally for one related id
+  async getPivotModels(id) {
+    const PivotClass = this.getPivotClass();
+    const query = new QueryBuilder(this.pivotTable, PivotClass, PivotClass.getConnectionName())
+      .where(this.parentPivotKey, this.parent.getAttribute(this.parentKey));
+    for (const [column, value] of Object.entries(this.pivotWheres())) query.where(column, value);
+    if (id !== undefined) query.where(this.relatedPivotKey, id);
+
+    const pivots = await query.get();
+    return [...pivots].map(pivot => pivot.setPivotKeys(this));
+  }
+
+  // Move pivot_* columns of a loaded related model onto model.pivot
+  setPivot(model, parent = this.parent) {
+    const pivotData = {};
+    for (const column of this.pivotColumns) {
+      if (model.attributes[`pivot_${column}`] !== undefined) {
+        pivotData[column] = model.attributes[`pivot_${column}`];
+        delete model.attributes[`pivot_${column}`];
+      }
+    }
+    if (!this.pivotClass) {
+      model.pivot = pivotData;
+      return model;
+    }
+    model.pivot = this.newPivot({
+      [this.parentPivotKey]: parent.getAttribute(this.parentKey),
+      [this.relatedPivotKey]: model.getAttribute(this.relatedKey),
+      ...this.pivotWheres(),
+      ...pivotData,
+    }, true, parent);
+    return model;
   }
 
   withPivot(...columns) {
@@ -130,64 +358,130 @@ class BelongsToMany extends Relation {
     return this;
   }
 
-  addConstraints() {
-    // Constraints added when executing query
-  }
-
-  async getResults() {
+  addConstraints(query) {
     const relatedClass = this.getRelatedClass();
     const selectColumns = [`${relatedClass.getTableName()}.*`];
-    
+
     // Add pivot columns
-    if (this.pivotColumns.length > 0) {
-      for (const column of this.pivotColumns) {
-        selectColumns.push(`${this.pivotTable}.${column} as pivot_${column}`);
-      }
+    for (const column of this.pivotColumns) {
+      selectColumns.push(`${this.pivotTable}.${column} as pivot_${column}`);
     }
-    
-    const query = this.newQuery()
+
+    query
       .select(...selectColumns)
       .join(this.pivotTable, `${relatedClass.getTableName()}.${this.relatedKey}`, `${this.pivotTable}.${this.relatedPivotKey}`)
       .where(`${this.pivotTable}.${this.parentPivotKey}`, this.parent.getAttribute(this.parentKey));
 
-    const results = await query.get();
-    
+    for (const [column, value] of Object.entries(this.pivotWheres())) {
+      query.where(`${this.pivotTable}.${column}`, value);
+    }
+    return query;
+  }
+
+  // Extra column values every pivot row of this relation carries (morph type for MorphToMany)
+  pivotWheres() {
+    return {};
+  }
+
+  // Query on the pivot table scoped to this parent
+  newPivotQuery() {
+    return new QueryBuilder(this.pivotTable)
+      .where(this.parentPivotKey, this.parent.getAttribute(this.parentKey))
+      .where(this.pivotWheres());
+  }
+
+  async getResults() {
+    const results = await this.get();
+
     // Convert Collection to array if needed
-    const resultsArray = Array.isArray(results) ? results : Array.from(results);
-    
-    // Add pivot data to models
-    return resultsArray.map((model) => {
-      const pivotData = {};
-      for (const column of this.pivotColumns) {
-        if (model.attributes[`pivot_${column}`] !== undefined) {
-          pivotData[column] = model.attributes[`pivot_${column}`];
-          delete model.attributes[`pivot_${column}`];
-        }
-      }
-      model.pivot = pivotData;
-      return model;
-    });
+    return Array.isArray(results) ? results : Array.from(results);
+  }
+
+  // Chained calls (user.roles().where(...).get()) hydrate pivots like getResults()
+  async get() {
+    const results = await this.getQuery().get();
+    for (const model of results) this.setPivot(model);
+    return results;
+  }
+
+  async first() {
+    const model = await this.getQuery().first();
+    return model ? this.setPivot(model) : null;
+  }
+
+  // Save the related model, then attach it with optional pivot attributes
+  async save(model, pivotAttributes = {}) {
+    await model.save();
+    await this.attach(model.getAttribute(this.relatedKey), pivotAttributes);
+    return model;
+  }
+
+  async saveMany(models, pivotAttributes = {}) {
+    for (const model of models) await this.save(model, pivotAttributes);
+    return models;
+  }
+
+  async create(attributes = {}, pivotAttributes = {}) {
+    return this.save(this.getRelatedClass().make(attributes), pivotAttributes);
+  }
+
+  async createMany(records, pivotAttributes = {}) {
+    const models = [];
+    for (const attributes of records) models.push(await this.create(attributes, pivotAttributes));
+    return models;
   }
 
   async attach(id, attributes = {}) {
-    const pivotData = {
-      [this.parentPivotKey]: this.parent.getAttribute(this.parentKey),
-      [this.relatedPivotKey]: id,
-      ...attributes
-    };
+    await this._insertPivotRows([[id, attributes]]);
+  }
+
+  // Insert pivot rows for [id, attributes] pairs in one statement, or one by
+  // one through the using() class so its events fire
+  async _insertPivotRows(records) {
+    if (records.length === 0) return;
+    const now = new Date();
+    const rows = records.map(([id, attributes]) => {
+      const pivotData = {
+        [this.parentPivotKey]: this.parent.getAttribute(this.parentKey),
+        [this.relatedPivotKey]: id,
+        ...this.pivotWheres(),
+        ...attributes
+      };
+      if (this.pivotTimestamps) {
+        pivotData.created_at = now;
+        pivotData.updated_at = now;
+      }
+      return pivotData;
+    });
 
-    if (this.pivotTimestamps) {
-      const now = new Date();
-      pivotData.created_at = now;
-      pivotData.updated_at = now;
+    if (this.pivotClass) {
+      for (const pivotData of rows) await this.newPivot(pivotData).save();
+      return;
     }
+    await new QueryBuilder(this.pivotTable).insert(rows.length === 1 ? rows[0] : rows);
+  }
 
-    await new QueryBuilder(this.pivotTable).insert(pivotData);
+  async _deletePivotRows(ids) {
+    if (ids.length === 0) return;
+    if (this.pivotClass) {
+      const keys = new Set(ids.map(String));
+      const pivots = await this.getPivotModels();
+      for (const pivot of pivots) {
+        if (keys.has(String(pivot.getAttribute(this.relatedPivotKey)))) await pivot.delete();
+      }
+      return;
+    }
+    await this.newPivotQuery().whereIn(this.relatedPivotKey, ids).delete();
   }
 
   async detach(id) {
-    const query = new QueryBuilder(this.pivotTable)
-      .where(this.parentPivotKey, this.parent.getAttribute(this.parentKey));
+    if (this.pivotClass) {
+      const pivots = await this.getPivotModels(id);
+      for (const pivot of pivots) await pivot.delete();
+      return pivots.length;
+    }
+
+    const query = this.newPivotQuery();
 
     if (id !== undefined) {
       query.where(this.relatedPivotKey, id);
@@ -196,18 +490,56 @@ class BelongsToMany extends Relation {
     return query.delete();
   }
 
-  async sync(ids) {
-    await this.detach();
-    if (Array.isArray(ids)) {
-      for (const id of ids) {
-        await this.attach(id);
+  // Make the pivot rows match `ids` — an array of ids or { id: pivotAttributes }.
+  // Missing ids are attached, existing ones get the given pivot attributes and,
+  // when detaching, the rest are detached. Returns the ids in each group.
+  async sync(ids, detaching = true) {
+    return this._sync(this._parseIds(ids), detaching);
+  }
+
+  async syncWithoutDetaching(ids) {
+    return this.sync(ids, false);
+  }
+
+  // sync() with the same pivot attributes for every id
+  async syncWithPivotValues(ids, values, detaching = true) {
+    const list = Array.isArray(ids) ? ids : [ids];
+    return this._sync(list.map(id => [id, values]), detaching);
+  }
+
+  // [id, attributes] pairs; object keys that look numeric come back as numbers
+  _parseIds(ids) {
+    if (Array.isArray(ids)) return ids.map(id => [id, {}]);
+    if (ids !== null && typeof ids === 'object') {
+      return Object.entries(ids).map(([id, attributes]) => [/^\d+$/.test(id) ? Number(id) : id, attributes || {}]);
+    }
+    return [[ids, {}]];
+  }
+
+  async _sync(records, detaching) {
+    // Later duplicates win
+    const wanted = new Map(records.map(([id, attributes]) => [String(id), [id, attributes]]));
+
+    return Database.transaction(async () => {
+      const current = await this.newPivotQuery().pluck(this.relatedPivotKey);
+      const existing = new Set(current.map(String));
+      const changes = { attached: [], detached: [], updated: [] };
+
+      if (detaching) {
+        changes.detached = current.filter(id => !wanted.has(String(id)));
+        await this._deletePivotRows(changes.detached);
       }
-    } else {
-      // Object form: { id: { pivot_col: val } }
-      for (const [id, attrs] of Object.entries(ids)) {
-        await this.attach(id, attrs);
+
+      const missing = [...wanted.values()].filter(([id]) => !existing.has(String(id)));
+      await this._insertPivotRows(missing);
+      changes.attached = missing.map(([id]) => id);
+
+      for (const [id, attributes] of wanted.values()) {
+        if (!existing.has(String(id)) || Object.keys(attributes).length === 0) continue;
+        if (await this.updateExistingPivot(id, attributes)) changes.updated.push(id);
       }
-    }
+      return changes;
+    });
   }
 
   async toggle(ids) {
@@ -226,13 +558,59 @@ class BelongsToMany extends Relation {
   async updateExistingPivot(id, attributes) {
     const data = { ...attributes };
     if (this.pivotTimestamps) data.updated_at = new Date();
-    return new QueryBuilder(this.pivotTable)
-      .where(this.parentPivotKey, this.parent.getAttribute(this.parentKey))
+
+    if (this.pivotClass) {
+      const pivots = await this.getPivotModels(id);
+      for (const pivot of pivots) {
+        for (const [key, value] of Object.entries(data)) pivot.setAttribute(key, value);
+        await pivot.save();
+      }
+      return pivots.length;
+    }
+
+    return this.newPivotQuery()
       .where(this.relatedPivotKey, id)
       .update(data);
   }
 }
 
+// Many-to-many through a polymorphic pivot table, e.g. taggables(tag_id, taggable_type, taggable_id).
+// morphToMany(Tag, 'taggable') is the owning side (Post -> tags); with inverse = true it is
+// morphedByMany(Post, 'taggable') (Tag -> posts) and the morph type is the related model.
+class MorphToMany extends BelongsToMany {
+  constructor(
+    parent,
+    related,
+    name,
+    pivotTable,
+    foreignPivotKey,
+    relatedPivotKey,
+    parentKey = 'id',
+    relatedKey = 'id',
+    inverse = false
+  ) {
+    const relatedClass = parent.constructor.resolveRelatedModel(related);
+    const singularKey = (modelClass) => `${modelClass.getTableName().slice(0, -1)}_id`;
+    super(
+      parent,
+      related,
+      pivotTable || `${name}s`,
+      foreignPivotKey || (inverse ? singularKey(parent.constructor) : `${name}_id`),
+      relatedPivotKey || (inverse ? `${name}_id` : singularKey(relatedClass)),
+      parentKey,
+      relatedKey
+    );
+    this.morphName = name;
+    this.morphType = `${name}_type`;
+    this.inverse = inverse;
+    this.morphClass = inverse ? relatedClass.getMorphClass() : parent.constructor.getMorphClass();
+  }
+
+  pivotWheres() {
+    return { [this.morphType]: this.morphClass };
+  }
+}
+
 class HasManyThrough extends Relation {
   constructor(
     parent,
@@ -251,22 +629,35 @@ class HasManyThrough extends Relation {
     this.secondLocalKey = secondLocalKey;
   }
 
-  addConstraints() {
-    // Constraints added when executing query
+  addConstraints(query) {
+    const relatedTable = this.getRelatedClass().getTableName();
+    const throughTable = this.getThroughTable();
+    return query
+      .select(`${relatedTable}.*`)
+      .join(throughTable, `${relatedTable}.${this.secondKey}`, `${throughTable}.${this.secondLocalKey}`)
+      .where(`${throughTable}.${this.firstKey}`, this.parent.getAttribute(this.localKey));
+  }
+
+  // Intermediate table: a registered model name, a model class or a plain table name
+  getThroughTable() {
+    if (typeof this.through !== 'string') return this.through.getTableName();
+    const throughClass = ModelRegistry.get(this.through);
+    return throughClass ? throughClass.getTableName() : this.through;
+  }
+
+  newThroughQuery() {
+    return this.addConstraints(this.newQuery());
   }
 
   async getResults() {
-    const relatedClass = this.getRelatedClass();
-    const throughClass = ModelRegistry.get(this.through) || null;
-    const throughTable = throughClass
-      ? throughClass.getTableName()
-      : (typeof this.through === 'string' ? this.through : this.through.getTableName());
-    const relatedTable = relatedClass.getTableName();
-    return this.newQuery()
-      .select(`${relatedTable}.*`)
-      .join(throughTable, `${relatedTable}.${this.secondKey}`, `${throughTable}.${this.secondLocalKey}`)
-      .where(`${throughTable}.${this.firstKey}`, this.parent.getAttribute(this.localKey))
-      .get();
+    return this.getQuery().get();
+  }
+}
+
+// Single-result counterpart of HasManyThrough, e.g. Mechanic -> Car -> Owner
+class HasOneThrough extends HasManyThrough {
+  async getResults() {
+    return this.getQuery().first();
   }
 }
 
@@ -281,31 +672,50 @@ class MorphTo extends Relation {
     this.morphId = idCol;
   }
 
-  addConstraints() {
-    // Constraints added when executing query
+  // The model class named by the parent's morph type column
+  getRelatedClass() {
+    const morphType = this.parent.getAttribute(this.morphType);
+    if (!morphType) return null;
+
+    // Resolve model class from the morph map, falling back to registered class names
+    const ModelClass = ModelRegistry.getMorphedModel(morphType);
+    if (!ModelClass) {
+      throw new Error(`Model '${morphType}' not found in morph map or registry. Add it with Model.morphMap() or register it using ModelRegistry.register()`);
+    }
+    return ModelClass;
   }
 
-  async getResults() {
-    const morphType = this.parent.getAttribute(this.morphType);
-    const morphId = this.parent.getAttribute(this.morphId);
+  newQuery() {
+    const ModelClass = this.getRelatedClass();
+    if (!ModelClass) throw new Error(`Cannot query ${this.morphType.replace(/_type$/, '')}: ${this.morphType} is empty`);
+    return new QueryBuilder(ModelClass.getTableName(), ModelClass);
+  }
+
+  addConstraints(query) {
+    return query.where(query.modelClass.getPrimaryKey(), this.parent.getAttribute(this.morphId));
+  }
 
-    if (!morphType || !morphId) {
+  async getResults() {
+    if (!this.parent.getAttribute(this.morphType) || !this.parent.getAttribute(this.morphId)) {
       return null;
     }
+    return this.getQuery().first();
+  }
 
-    // Resolve model class from registry
-    const ModelClass = ModelRegistry.get(morphType);
-    if (!ModelClass) {
-      throw new Error(`Model '${morphType}' not found in registry. Register it using ModelRegistry.register()`);
-    }
+  associate(model) {
+    this.parent.setAttribute(this.morphId, model.getKey());
+    this.parent.setAttribute(this.morphType, model.getMorphClass());
+    return this.parent;
+  }
 
-    return new QueryBuilder(ModelClass.getTableName(), ModelClass)
-      .where(ModelClass.getPrimaryKey(), morphId)
-      .first();
+  dissociate() {
+    this.parent.setAttribute(this.morphId, null);
+    this.parent.setAttribute(this.morphType, null);
+    return this.parent;
   }
 }
 
-class MorphMany extends Relation {
+class MorphMany extends HasOneOrMany {
   constructor(parent, related, morphType, morphId, morphClass) {
     // Accept either a base name ('commentable') or full column names ('commentable_type', 'commentable_id')
     const typeCol = morphType && !morphType.endsWith('_type') ? `${morphType}_type` : morphType;
@@ -316,19 +726,25 @@ class MorphMany extends Relation {
     this.morphClass = morphClass;
   }
 
-  addConstraints() {
-    // Constraints added when executing query
+  addConstraints(query) {
+    return query
+      .where(this.morphType, this.morphClass)
+      .where(this.morphId, this.parent.getAttribute(this.localKey));
+  }
+
+  getForeignAttributes() {
+    return {
+      [this.morphId]: this.parent.getAttribute(this.localKey),
+      [this.morphType]: this.morphClass,
+    };
   }
 
   async getResults() {
-    return this.newQuery()
-      .where(this.morphType, this.morphClass)
-      .where(this.morphId, this.parent.getAttribute(this.localKey))
-      .get();
+    return this.getQuery().get();
   }
 }
 
-class MorphOne extends Relation {
+class MorphOne extends HasOneOrMany {
   constructor(parent, related, morphType, morphId, morphClass) {
     // Accept either a base name ('imageable') or full column names ('imageable_type', 'imageable_id')
     const typeCol = morphType && !morphType.endsWith('_type') ? `${morphType}_type` : morphType;
@@ -339,23 +755,34 @@ class MorphOne extends Relation {
     this.morphClass = morphClass;
   }
 
-  addConstraints() {}
+  addConstraints(query) {
+    return query
+      .where(this.morphType, this.morphClass)
+      .where(this.morphId, this.parent.getAttribute(this.localKey));
+  }
+
+  getForeignAttributes() {
+    return {
+      [this.morphId]: this.parent.getAttribute(this.localKey),
+      [this.morphType]: this.morphClass,
+    };
+  }
 
   async getResults() {
-    return this.newQuery()
-      .where(this.morphType, this.morphClass)
-      .where(this.morphId, this.parent.getAttribute(this.localKey))
-      .first();
+    return this.getQuery().first();
   }
 }
 
 module.exports = {
   Relation,
+  HasOneOrMany,
   HasOne,
   HasMany,
   BelongsTo,
   BelongsToMany,
+  MorphToMany,
   HasManyThrough,
+  HasOneThrough,
   MorphTo,
   MorphOne,
   MorphMany
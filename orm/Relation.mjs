@@ -4,4 +4,4 @@ const require = createRequire(import.meta.url);
 
 const Relations = require('./Relation.js');
 
-export const { Relation, HasOne, HasMany, BelongsTo, BelongsToMany, HasManyThrough, MorphTo, MorphOne, MorphMany } = Relations;
\ No newline at end of file
+export const { Relation, HasOneOrMany, HasOne, HasMany, BelongsTo, BelongsToMany, MorphToMany, HasManyThrough, HasOneThrough, MorphTo, MorphOne, MorphMany } = Relations;
\ No newline at end of file
@@ -0,0 +1,165 @@
+const Database = require('../database/connection');
+
+// Rule strings look like 'required|email|unique:users,email'. A rule set may
+// also be an array mixing strings and functions `(value, attribute, model)`
+// that return `true` to pass, or an error message / `false` to fail.
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+}
+
+// Size compared by min/max/between: numeric value, string length or array length
+function sizeOf(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  return Number(value);
+}
+
+function sizeUnit(value) {
+  if (typeof value === 'string') return ' characters';
+  if (Array.isArray(value)) return ' items';
+  return '';
+}
+
+const SIZE_RULES = new Set(['min', 'max', 'between']);
+
+const label = (attribute) => attribute.replace(/_/g, ' ');
+
+const rules = {
+  required: (value, attr) => !isEmpty(value) || `The ${label(attr)} field is required.`,
+  string: (value, attr) => typeof value === 'string' || `The ${label(attr)} must be a string.`,
+  integer: (value, attr) => Number.isInteger(Number(value)) && value !== true && value !== false
+    || `The ${label(attr)} must be an integer.`,
+  numeric: (value, attr) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+    && !isNaN(Number(value)) || `The ${label(attr)} must be a number.`,
+  boolean: (value, attr) => [true, false, 0, 1, '0', '1'].includes(value)
+    || `The ${label(attr)} field must be true or false.`,
+  array: (value, attr) => Array.isArray(value) || `The ${label(attr)} must be an array.`,
+  email: (value, attr) => EMAIL_RE.test(String(value)) || `The ${label(attr)} must be a valid email address.`,
+  uuid: (value, attr) => UUID_RE.test(String(value)) || `The ${label(attr)} must be a valid UUID.`,
+  url: (value, attr) => {
+    try {
+      new URL(String(value));
+      return true;
+    } catch (e) {
+      return `The ${label(attr)} must be a valid URL.`;
+    }
+  },
+  date: (value, attr) => !isNaN(new Date(value).getTime()) || `The ${label(attr)} is not a valid date.`,
+  min: (value, attr, [min]) => sizeOf(value) >= Number(min)
+    || `The ${label(attr)} must be at least ${min}${sizeUnit(value)}.`,
+  max: (value, attr, [max]) => sizeOf(value) <= Number(max)
+    || `The ${label(attr)} may not be greater than ${max}${sizeUnit(value)}.`,
+  between: (value, attr, [min, max]) => (sizeOf(value) >= Number(min) && sizeOf(value) <= Number(max))
+    || `The ${label(attr)} must be between ${min} and ${max}${sizeUnit(value)}.`,
+  in: (value, attr, options) => options.includes(String(value)) || `The selected ${label(attr)} is invalid.`,
+  not_in: (value, attr, options) => !options.includes(String(value)) || `The selected ${label(attr)} is invalid.`,
+  regex: (value, attr, [pattern]) => {
+    const match = pattern.match(/^\/(.*)\/([a-z]*)$/s);
+    const re = match ? new RegExp(match[1], match[2]) : new RegExp(pattern);
+    return re.test(String(value)) || `The ${label(attr)} format is invalid.`;
+  },
+
+  // unique:table[,column] — ignores the model's own row on update. Searchable
+  // encrypted columns of the model's own table are compared by their blind index.
+  unique: async (value, attr, [table, column], model) => {
+    const ModelClass = model.constructor;
+    const ownTable = !table || table === ModelClass.getTableName();
+    let target = column || attr;
+    const cast = ownTable ? model.getCast(target) : null;
+    if (cast?.isSearchable) {
+      value = cast.blindIndex(value);
+      target = cast.getIndexColumn(target);
+    } else if (typeof cast?.getEncrypter === 'function') {
+      throw new Error(`The unique rule can't check ${ModelClass.name}.${target}: encrypted values differ on every write. Cast it with 'encrypted:searchable'.`);
+    }
+    const query = Database.table(table || ModelClass.getTableName(), ModelClass.connection)
+      .where(target, value);
+    if (model.exists) query.whereNot(ModelClass.primaryKey, model.getKey());
+    const row = await query.first();
+    return !row || `The ${label(attr)} has already been taken.`;
+  },
+
+  // exists:table[,column]
+  exists: async (value, attr, [table, column], model) => {
+    const ModelClass = model.constructor;
+    const row = await Database.table(table, ModelClass.connection)
+      .where(column || attr, value)
+      .first();
+    return !!row || `The selected ${label(attr)} is invalid.`;
+  },
+};
+
+class Validator {
+  /**
+   * Register a custom string rule usable as 'name' or 'name:arg1,arg2'.
+   * The callback receives (value, attribute, args, model) and returns true to
+   * pass, or an error message / false to fail. It may be async.
+   */
+  static extend(name, callback) {
+    rules[name] = callback;
+  }
+
+  static parse(ruleSet) {
+    const list = typeof ruleSet === 'string' ? ruleSet.split('|') : [].concat(ruleSet || []);
+    return list.filter(Boolean).map((rule) => {
+      if (typeof rule === 'function') return { name: null, args: [], fn: rule };
+      const idx = rule.indexOf(':');
+      const name = idx === -1 ? rule : rule.slice(0, idx);
+      const arg = idx === -1 ? '' : rule.slice(idx + 1);
+      // regex patterns may contain commas
+      const args = idx === -1 ? [] : name === 'regex' ? [arg] : arg.split(',').map(a => a.trim());
+      return { name, args };
+    });
+  }
+
+  /**
+   * Validate a model's attributes against a rules object.
+   * Returns an error bag `{ attribute: [messages] }`, empty when valid.
+   * Pass `only` to restrict validation to a subset of attributes.
+   */
+  static async validate(model, ruleSets, only = null) {
+    const errors = {};
+
+    for (const [attribute, ruleSet] of Object.entries(ruleSets || {})) {
+      if (only && !only.includes(attribute)) continue;
+      // Read through casts so rules see the assigned value, not the stored form
+      // (decrypted text, parsed arrays) that setAttribute() wrote
+      const value = model.getAttribute(attribute);
+      const parsed = this.parse(ruleSet);
+      // With integer/numeric, min/max/between compare the number instead of the string length
+      const numeric = parsed.some(r => r.name === 'integer' || r.name === 'numeric');
+
+      for (const { name, args, fn } of parsed) {
+        if (name === 'nullable') continue;
+        // Empty values only fail `required`; every other rule is skipped
+        if (isEmpty(value) && name !== 'required') continue;
+
+        let result;
+        if (fn) {
+          result = await fn(value, attribute, model);
+        } else {
+          const rule = rules[name];
+          if (!rule) throw new Error(`Validation rule '${name}' is not defined.`);
+          const input = numeric && SIZE_RULES.has(name) ? Number(value) : value;
+          result = await rule(input, attribute, args, model);
+        }
+
+        if (result !== true && result !== undefined) {
+          const message = typeof result === 'string' ? result : `The ${label(attribute)} is invalid.`;
+          (errors[attribute] = errors[attribute] || []).push(message);
+          // An empty required field makes the remaining rules meaningless
+          if (name === 'required') break;
+        }
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = Validator;
@@ -0,0 +1,157 @@
+/**
+ * Tests for the audit trail (static auditable):
+ * - Audit.record() filters values and resolves the actor
+ * - save() / delete() / restore() record the matching event
+ * - revertTo() undoes later audits newest-first
+ */
+
+const Model = require('../orm/Model');
+const Audit = require('../orm/Audit');
+const { ModelNotFoundException } = require('../orm/Errors');
+const { make, load } = require('./helpers');
+
+// Chainable stand-in for Audit.query()
+function fakeAuditQuery({ first, get } = {}) {
+  const q = {
+    where: jest.fn().mockReturnThis(),
+    orderBy: jest.fn().mockReturnThis(),
+    insert: jest.fn().mockResolvedValue([1]),
+    first: jest.fn().mockResolvedValue(first),
+    get: jest.fn().mockResolvedValue(get || []),
+  };
+  return q;
+}
+
+class Post extends Model {}
+Post.table = 'posts';
+Post.fillable = ['title', 'body'];
+Post.timestamps = false;
+Post.auditable = true;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Audit.resolveActorUsing(null);
+});
+
+describe('Audit.record()', () => {
+  test('stores old and new values with the resolved actor', async () => {
+    const query = fakeAuditQuery();
+    jest.spyOn(Audit, 'query').mockReturnValue(query);
+    class User extends Model {}
+    const actor = make(User, { id: 7 });
+    Audit.resolveActorUsing(async () => actor);
+
+    const post = load(Post, { id: 3, title: 'b' });
+    await Audit.record(post, 'updated', { title: 'a' }, { title: 'b' });
+
+    expect(query.insert).toHaveBeenCalledWith(expect.objectContaining({
+      auditable_type: 'Post',
+      auditable_id: '3',
+      event: 'updated',
+      old_values: '{"title":"a"}',
+      new_values: '{"title":"b"}',
+      actor_type: 'User',
+      actor_id: '7',
+    }));
+  });
+
+  test('accepts a plain actor id and records null without a resolver', async () => {
+    expect(await Audit.resolveActor()).toEqual({ type: null, id: null });
+    Audit.resolveActorUsing(() => 42);
+    expect(await Audit.resolveActor()).toEqual({ type: null, id: '42' });
+  });
+
+  test('drops timestamps, hidden and auditExclude attributes', async () => {
+    const query = fakeAuditQuery();
+    jest.spyOn(Audit, 'query').mockReturnValue(query);
+    class Account extends Model {}
+    Account.auditExclude = ['login_count'];
+    const account = make(Account, { id: 1 });
+    account.hidden = ['password'];
+
+    await Audit.record(account, 'updated',
+      { password: 'x', login_count: 1, updated_at: 1, plan: 'free' },
+      { password: 'y', login_count: 2, updated_at: 2, plan: 'pro' });
+
+    const row = query.insert.mock.calls[0][0];
+    expect(JSON.parse(row.old_values)).toEqual({ plan: 'free' });
+    expect(JSON.parse(row.new_values)).toEqual({ plan: 'pro' });
+  });
+
+  test('skips updates that only touched excluded attributes', async () => {
+    const query = fakeAuditQuery();
+    jest.spyOn(Audit, 'query').mockReturnValue(query);
+    const result = await Audit.record(load(Post, { id: 1 }), 'updated', { updated_at: 1 }, { updated_at: 2 });
+    expect(result).toBeNull();
+    expect(query.insert).not.toHaveBeenCalled();
+  });
+});
+
+describe('Recording model events', () => {
+  test('save() records the changed attributes on update', async () => {
+    const record = jest.spyOn(Audit, 'record').mockResolvedValue(null);
+    const post = load(Post, { id: 1, title: 'a', body: 'x' });
+    post.setAttribute('title', 'b');
+    await post.save();
+
+    expect(record).toHaveBeenCalledWith(post, 'updated', { title: 'a' }, { title: 'b' });
+  });
+
+  test('soft delete and restore record their own events', async () => {
+    const record = jest.spyOn(Audit, 'record').mockResolvedValue(null);
+    class Note extends Post {}
+    Note.softDeletes = true;
+    const note = load(Note, { id: 1, title: 'a', deleted_at: null });
+
+    await note.delete();
+    await note.restore();
+
+    expect(record.mock.calls.map(call => call[1])).toEqual(['deleted', 'restored']);
+    expect(record.mock.calls[0][2]).toEqual({ deleted_at: null });
+  });
+
+  test('models without auditable are not recorded', async () => {
+    const record = jest.spyOn(Audit, 'record');
+    class Plain extends Model {}
+    Plain.table = 'plain';
+    Plain.timestamps = false;
+    const plain = load(Plain, { id: 1, title: 'a' });
+    plain.setAttribute('title', 'b');
+    await plain.save();
+
+    expect(record).not.toHaveBeenCalled();
+  });
+});
+
+describe('model.revertTo()', () => {
+  test('applies old values of later audits newest-first, then saves', async () => {
+    const target = make(Audit, { id: 2 });
+    const later = [
+      make(Audit, { id: 4, old_values: '{"title":"v3"}' }),
+      make(Audit, { id: 3, old_values: '{"title":"v2","body":"b"}' }),
+    ];
+    const targetQuery = fakeAuditQuery({ first: target });
+    const laterQuery = fakeAuditQuery({ get: later });
+    jest.spyOn(Audit, 'query').mockReturnValueOnce(targetQuery).mockReturnValueOnce(laterQuery);
+    jest.spyOn(Audit, 'record').mockResolvedValue(null);
+
+    const post = load(Post, { id: 1, title: 'v4', body: 'c' });
+    const save = jest.spyOn(post, 'save').mockResolvedValue(true);
+    await post.revertTo(2);
+
+    expect(targetQuery.where).toHaveBeenCalledWith('auditable_type', 'Post');
+    expect(targetQuery.where).toHaveBeenCalledWith('auditable_id', '1');
+    expect(laterQuery.where).toHaveBeenCalledWith('id', '>', 2);
+    expect(laterQuery.orderBy).toHaveBeenCalledWith('id', 'desc');
+    expect(post.getAttribute('title')).toBe('v2');
+    expect(post.getAttribute('body')).toBe('b');
+    expect(post.getDirty()).toEqual({ title: 'v2', body: 'b' });
+    expect(save).toHaveBeenCalled();
+  });
+
+  test('throws ModelNotFoundException for an audit of another model', async () => {
+    jest.spyOn(Audit, 'query').mockReturnValue(fakeAuditQuery({ first: null }));
+    const post = load(Post, { id: 1, title: 'a' });
+    await expect(post.revertTo(99)).rejects.toBeInstanceOf(ModelNotFoundException);
+  });
+});
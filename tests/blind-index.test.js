@@ -0,0 +1,136 @@
+/**
+ * Tests for searchable encrypted attributes:
+ * - 'encrypted:searchable' keeps an HMAC blind index in a sibling column
+ * - whereEncrypted() / orWhereEncrypted() query the index column
+ * - key rotation rewrites the index with the re-encrypted value
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Database = require('../database/connection');
+const Encrypter = require('../orm/Encrypter');
+const { EncryptedCast } = require('../orm/CustomCasts');
+const { _rotateEncryptedColumns: rotateEncryptedColumns } = require('../cli/ilana');
+const { make, useCompiledQueries } = require('./helpers');
+
+const appKey = Encrypter.generateKey();
+const indexKey = Encrypter.generateKey();
+
+class User extends Model {
+  static table = 'users';
+  casts = {
+    email: 'encrypted:searchable',
+    phone: new EncryptedCast().searchable('phone_lookup'),
+    notes: 'encrypted',
+  };
+}
+
+const hash = (value) => new Encrypter(appKey, [], indexKey).hash(value);
+
+useCompiledQueries();
+
+beforeEach(() => {
+  Database.config = { encryption: { key: appKey, indexKey } };
+});
+
+afterAll(() => {
+  delete Database.config;
+});
+
+describe('blind index', () => {
+  test('is written next to the encrypted value whenever the attribute is set', () => {
+    const user = make(User, { email: 'ada@example.com', phone: '555-0100', notes: 'vip' });
+
+    expect(user.getAttribute('email')).toBe('ada@example.com');
+    expect(user.attributes.email_index).toBe(hash('ada@example.com'));
+    expect(user.attributes.phone_lookup).toBe(hash('555-0100'));
+    expect(user.attributes).not.toHaveProperty('notes_index');
+  });
+
+  test('is deterministic, unlike the encrypted value', () => {
+    const first = make(User, { email: 'ada@example.com' });
+    const second = make(User, { email: 'ada@example.com' });
+
+    expect(first.attributes.email).not.toBe(second.attributes.email);
+    expect(first.attributes.email_index).toBe(second.attributes.email_index);
+    expect(first.attributes.email_index).not.toBe(make(User, { email: 'bob@example.com' }).attributes.email_index);
+  });
+
+  test('marks the index dirty with the attribute on loaded models', () => {
+    const user = new User({ id: 1, email: new Encrypter(appKey).encrypt('ada@example.com'), email_index: hash('ada@example.com') });
+    user.exists = true;
+    user._initialize();
+    expect(user.attributes.email_index).toBe(hash('ada@example.com'));
+
+    user.setAttribute('email', 'grace@example.com');
+
+    expect(user.getDirty()).toEqual({
+      email: user.attributes.email,
+      email_index: hash('grace@example.com'),
+    });
+  });
+
+  test('is cleared with the value', () => {
+    const user = make(User, { email: null });
+
+    expect(user.attributes.email_index).toBeNull();
+  });
+
+  test('is keyed by a key derived from the app key when no indexKey is set', () => {
+    Database.config = { encryption: { key: appKey } };
+    const user = make(User, { email: 'ada@example.com' });
+
+    expect(user.attributes.email_index).toBe(new Encrypter(appKey).hash('ada@example.com'));
+    expect(user.attributes.email_index).not.toBe(hash('ada@example.com'));
+  });
+});
+
+describe('whereEncrypted()', () => {
+  test('compares the hashed value with the index column', () => {
+    const query = User.query().whereEncrypted('email', 'ada@example.com').toKnex().toSQL();
+
+    expect(query.sql).toBe('select * from `users` where `email_index` = ?');
+    expect(query.bindings).toEqual([hash('ada@example.com')]);
+  });
+
+  test('uses custom index columns, table prefixes, value lists and null', () => {
+    const query = User.query()
+      .whereEncrypted('users.phone', ['555-0100', '555-0101'])
+      .orWhereEncrypted('email', null)
+      .toKnex().toSQL();
+
+    expect(query.sql).toBe('select * from `users` where `users`.`phone_lookup` in (?, ?) or `email_index` is null');
+    expect(query.bindings).toEqual([hash('555-0100'), hash('555-0101')]);
+  });
+
+  test('throws for attributes without a searchable encrypted cast', () => {
+    expect(() => User.query().whereEncrypted('notes', 'vip')).toThrow("User.notes is not a searchable encrypted attribute");
+    expect(() => User.query().whereEncrypted('name', 'Ada')).toThrow("User.name is not a searchable encrypted attribute");
+  });
+});
+
+describe('key rotation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rewrites the blind index of re-encrypted searchable values', async () => {
+    const oldKey = Encrypter.generateKey();
+    Database.config = { encryption: { key: appKey, previousKeys: [oldKey] } };
+    const old = new Encrypter(oldKey);
+    let chunks = [[{ id: 1, email: old.encrypt('ada@example.com'), phone: null, notes: old.encrypt('vip') }]];
+    const writes = [];
+    jest.spyOn(QueryBuilder.prototype, 'values').mockImplementation(() => Promise.resolve(chunks.shift() || []));
+    jest.spyOn(QueryBuilder.prototype, 'update').mockImplementation((data) => {
+      writes.push(data);
+      return Promise.resolve(1);
+    });
+
+    expect(await rotateEncryptedColumns(User)).toBe(2);
+
+    const current = new Encrypter(appKey);
+    expect(Object.keys(writes[0])).toEqual(['email', 'email_index', 'notes']);
+    expect(current.decrypt(writes[0].email)).toBe('ada@example.com');
+    expect(writes[0].email_index).toBe(current.hash('ada@example.com'));
+  });
+});
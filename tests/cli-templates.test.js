@@ -1,5 +1,5 @@
 /**
- * Tests for CLI-generated templates (model, factory, seeder, migration).
+ * Tests for CLI-generated templates (model, factory, seeder, migration, audits table).
  * Verifies the output is correct and matches the actual system API.
  */
 
@@ -75,6 +75,42 @@ describe('Migration template — alter table', () => {
   });
 });
 
+describe('Migration template — audits table', () => {
+  let runner;
+
+  beforeEach(() => {
+    runner = new MigrationRunner();
+    runner.isTypeScriptProject = () => false;
+  });
+
+  test('creates the columns Audit.record() writes', () => {
+    const out = runner.getAuditsMigrationTemplate();
+    expect(out).toContain("schema.createTable('audits'");
+    expect(out).toContain("table.increments('id')");
+    expect(out).toContain("table.string('auditable_type')");
+    expect(out).toContain("table.string('auditable_id', 36)");
+    expect(out).toContain("table.string('event', 32)");
+    expect(out).toContain("table.json('old_values').nullable()");
+    expect(out).toContain("table.json('new_values').nullable()");
+    expect(out).toContain("table.string('actor_type').nullable()");
+    expect(out).toContain("table.string('actor_id', 36).nullable()");
+    expect(out).toContain("table.timestamp('created_at')");
+    expect(out).toContain("table.index(['auditable_type', 'auditable_id'])");
+  });
+
+  test('generates down() with dropTable', () => {
+    expect(runner.getAuditsMigrationTemplate()).toContain("schema.dropTable('audits')");
+  });
+
+  test('exports the class for CJS and TypeScript projects', () => {
+    expect(runner.getAuditsMigrationTemplate()).toContain('module.exports = CreateAuditsTable;');
+    runner.isTypeScriptProject = () => true;
+    const out = runner.getAuditsMigrationTemplate();
+    expect(out).toContain('export default class CreateAuditsTable {');
+    expect(out).not.toContain('module.exports');
+  });
+});
+
 // ── Model templates ───────────────────────────────────────────────────────────
 
 describe('Model template', () => {
@@ -140,6 +176,20 @@ describe('Model template', () => {
 
     expect(out).toContain('static fillable');
   });
+
+  test('pivot template extends Pivot', () => {
+    const { getPivotModelTemplate } = require('../cli/ilana.js')._templates;
+    const fs = require('fs');
+    const origExists = fs.existsSync;
+    fs.existsSync = () => false;
+
+    const out = getPivotModelTemplate('RoleUser', 'role_user');
+    fs.existsSync = origExists;
+
+    expect(out).toContain("require('ilana-orm/orm/Pivot')");
+    expect(out).toContain('class RoleUser extends Pivot');
+    expect(out).toContain("static table = 'role_user'");
+  });
 });
 
 // ── Factory template correctness ──────────────────────────────────────────────
@@ -0,0 +1,97 @@
+/**
+ * Tests for the ES module DB facade (database/DB.mjs), which
+ * `import DB from 'ilana-orm/database/DB'` resolves to:
+ * - it forwards to the same Database methods as database/DB.js
+ *
+ * The facade runs in a child Node process: ES modules bypass jest's
+ * module registry, so the mocked connection would not apply anyway.
+ */
+
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const os = require('os');
+const path = require('path');
+
+const url = (file) => pathToFileURL(path.join(__dirname, '..', 'database', file)).href;
+
+// Stubs the named Database methods, runs `body` against DB.mjs and returns
+// the recorded [method, ...args] calls plus the body's result
+function runFacade(methods, body) {
+  const source = `
+    import Database from '${url('connection.mjs')}';
+    import DB from '${url('DB.mjs')}';
+    const calls = [];
+    for (const name of ${JSON.stringify(methods)}) {
+      Database[name] = (...args) => {
+        calls.push([name, ...args.map(a => typeof a === 'function' ? 'fn' : a)]);
+        return name;
+      };
+    }
+    const result = await (async () => { ${body} })();
+    process.stdout.write(JSON.stringify({ calls, result }));
+  `;
+  const output = execFileSync(process.execPath, ['--input-type=module', '-e', source], {
+    cwd: os.tmpdir(),
+    encoding: 'utf8',
+    timeout: 20000,
+  });
+  return JSON.parse(output);
+}
+
+describe('DB.mjs transactions', () => {
+  test('forwards transaction() with its attempts and connection', () => {
+    const { calls } = runFacade(['transaction'], `
+      await DB.transaction(() => {});
+      await DB.transaction(() => {}, 3, 'tenant');
+    `);
+
+    expect(calls).toEqual([['transaction', 'fn', 1, null], ['transaction', 'fn', 3, 'tenant']]);
+  });
+
+  test('exposes afterCommit() and afterRollback()', () => {
+    const { calls, result } = runFacade(['afterCommit', 'afterRollback'], `
+      return [await DB.afterCommit(() => {}), DB.afterRollback(() => {})];
+    `);
+
+    expect(calls).toEqual([['afterCommit', 'fn'], ['afterRollback', 'fn']]);
+    expect(result).toEqual(['afterCommit', 'afterRollback']);
+  });
+});
+
+describe('DB.mjs read/write connections', () => {
+  test('exposes scope()', () => {
+    const { calls, result } = runFacade(['scope'], 'return DB.scope(() => {});');
+
+    expect(calls).toEqual([['scope', 'fn']]);
+    expect(result).toBe('scope');
+  });
+});
+
+describe('DB.mjs query events', () => {
+  test('forwards listen(), on() and expectQueryCount()', () => {
+    const { calls } = runFacade(['listen', 'on', 'expectQueryCount'], `
+      DB.listen(() => {});
+      DB.on('slow-query', () => {});
+      await DB.expectQueryCount(2, async () => {});
+    `);
+
+    expect(calls).toEqual([['listen', 'fn'], ['on', 'slow-query', 'fn'], ['expectQueryCount', 2, 'fn']]);
+  });
+});
+
+describe('DB.mjs query log', () => {
+  test('records queries reported to Database', () => {
+    const { result } = runFacade([], `
+      DB.enableQueryLog();
+      Database._queryFinished('main', {}, { __knexQueryUid: 'q1', sql: 'select 1', bindings: [] }, new Map());
+      const recorded = DB.getQueryLog().map(({ sql, connection }) => ({ sql, connection }));
+      DB.flushQueryLog();
+      const flushed = DB.getQueryLog().length;
+      DB.disableQueryLog();
+      Database._queryFinished('main', {}, { __knexQueryUid: 'q2', sql: 'select 2', bindings: [] }, new Map());
+      return { recorded, flushed, disabled: DB.getQueryLog().length };
+    `);
+
+    expect(result).toEqual({ recorded: [{ sql: 'select 1', connection: 'main' }], flushed: 0, disabled: 0 });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for eager-load constraints:
+ * - with() accepts constraint objects keyed by a relation path at any depth
+ * - nested loads and their constraints are handed down to the child query
+ * - morphWith() picks the eager loads for each morph type
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const { make, useCompiledQueries } = require('./helpers');
+
+class User extends Model {
+  static table = 'users';
+  posts() { return this.hasMany('Post', 'user_id'); }
+}
+class Post extends Model {
+  static table = 'posts';
+  comments() { return this.hasMany('Comment', 'post_id'); }
+}
+class Video extends Model {
+  static table = 'videos';
+}
+class Comment extends Model {
+  static table = 'comments';
+  commentable() { return this.morphTo('commentable'); }
+}
+[User, Post, Video, Comment].forEach(model => model.register());
+
+useCompiledQueries();
+
+// Record every eager-load query instead of running it
+let queries;
+beforeEach(() => {
+  queries = [];
+  jest.spyOn(QueryBuilder.prototype, 'get').mockImplementation(function () {
+    queries.push(this);
+    return Promise.resolve([]);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Model.morphMap({}, false);
+});
+
+describe('nested eager-load constraints', () => {
+  test('with() registers constraints from objects and flattens arrays', () => {
+    const approved = q => q.where('approved', true);
+    const qb = new QueryBuilder('users', User).with(['posts'], { 'posts.comments': approved });
+    expect(qb.eagerLoad).toEqual(['posts', 'posts.comments']);
+    expect(qb.eagerLoadConstraints['posts.comments']).toBe(approved);
+  });
+
+  test('loads each top-level relation once and passes nested constraints down', async () => {
+    const approved = q => q.where('approved', true);
+    const qb = new QueryBuilder('users', User).with('posts', { 'posts.comments': approved }, 'posts.comments');
+
+    await qb.loadRelations([make(User, { id: 1 })]);
+
+    expect(queries).toHaveLength(1);
+    const [posts] = queries;
+    expect(posts.query.toSQL().sql).toBe('select * from `posts` where `user_id` in (?)');
+    expect(posts.eagerLoad).toEqual(['comments']);
+    expect(posts.eagerLoadConstraints).toEqual({ comments: approved });
+  });
+
+  test('constraints apply at the depth they name', async () => {
+    const qb = new QueryBuilder('users', User)
+      .with({ posts: q => q.where('published', true), 'posts.comments': q => q.where('approved', true) });
+
+    await qb.loadRelations([make(User, { id: 1 })]);
+
+    expect(queries[0].query.toSQL().sql).toBe('select * from `posts` where `user_id` in (?) and `published` = ?');
+    const comments = new QueryBuilder('comments', Comment);
+    queries[0].eagerLoadConstraints.comments(comments);
+    expect(comments.query.toSQL().sql).toBe('select * from `comments` where `approved` = ?');
+  });
+});
+
+describe('morphWith()', () => {
+  test('adds the eager loads listed for the query model', () => {
+    const loads = { Post: ['comments'], Video: 'channel' };
+    expect(new QueryBuilder('posts', Post).morphWith(loads).eagerLoad).toEqual(['comments']);
+    expect(new QueryBuilder('videos', Video).morphWith(loads).eagerLoad).toEqual(['channel']);
+    expect(new QueryBuilder('users', User).morphWith(loads).eagerLoad).toEqual([]);
+  });
+
+  test('accepts morph map aliases', () => {
+    Model.morphMap({ video: Video });
+    expect(new QueryBuilder('videos', Video).morphWith({ video: ['channel'] }).eagerLoad).toEqual(['channel']);
+  });
+
+  test('morphTo eager loading runs the constraint on each type query', async () => {
+    const comments = [
+      make(Comment, { id: 1, commentable_type: 'Post', commentable_id: 5 }),
+      make(Comment, { id: 2, commentable_type: 'Post', commentable_id: 5 }),
+      make(Comment, { id: 3, commentable_type: 'Video', commentable_id: 7 }),
+    ];
+    const qb = new QueryBuilder('comments', Comment)
+      .with({ commentable: q => q.morphWith({ Post: ['comments'], Video: ['channel'] }) });
+
+    await qb.loadRelations(comments);
+
+    expect(queries.map(q => [q.modelClass.name, q.eagerLoad])).toEqual([['Post', ['comments']], ['Video', ['channel']]]);
+    expect(queries[0].query.toSQL().bindings).toEqual([5]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for eager-load limits per parent:
+ * - limit()/offset() in a with() constraint are applied to each parent via ROW_NUMBER()
+ * - the window is partitioned by the key that links rows to their parent and
+ *   ordered by the constraint's orders, raw ones included
+ * - queries outside eager loading keep their plain limit
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Database = require('../database/connection');
+const { make, useCompiledQueries } = require('./helpers');
+
+class Post extends Model {
+  static table = 'posts';
+  comments() { return this.hasMany('Comment', 'post_id'); }
+  author() { return this.belongsTo('User', 'user_id'); }
+  tags() { return this.belongsToMany('Tag', 'post_tag', 'post_id', 'tag_id'); }
+}
+class Comment extends Model {
+  static table = 'comments';
+}
+class Tag extends Model {
+  static table = 'tags';
+}
+class User extends Model {
+  static table = 'users';
+}
+[Post, Comment, Tag, User].forEach(model => model.register());
+
+useCompiledQueries();
+
+// Record every eager-load query instead of running it
+let queries;
+beforeEach(() => {
+  queries = [];
+  jest.spyOn(Database, 'forRead').mockImplementation(query => query);
+  jest.spyOn(QueryBuilder.prototype, 'get').mockImplementation(function () {
+    queries.push(this._readQuery().toSQL());
+    return Promise.resolve([]);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const posts = () => [make(Post, { id: 1 }), make(Post, { id: 2 })];
+
+describe('eager limit per parent', () => {
+  test('hasMany limits rows per parent in the constraint order', async () => {
+    await new QueryBuilder('posts', Post)
+      .with({ comments: q => q.orderBy('created_at', 'desc').limit(3) })
+      .loadRelations(posts());
+
+    expect(queries[0].sql).toBe(
+      'select * from (select `comments`.*, row_number() over (partition by `comments`.`post_id` order by `created_at` desc) as `_ilana_row` '
+      + 'from `comments` where `post_id` in (?, ?)) as `_ilana_ranked` where `_ilana_row` > ? and `_ilana_row` <= ? order by `_ilana_row` asc'
+    );
+    expect(queries[0].bindings).toEqual([1, 2, 0, 3]);
+  });
+
+  test('raw orders are written into the window', async () => {
+    await new QueryBuilder('posts', Post)
+      .with({ comments: q => q.orderBy('pinned', 'desc').inRandomOrder().limit(2) })
+      .loadRelations(posts());
+
+    expect(queries[0].sql).toBe(
+      'select * from (select `comments`.*, row_number() over (partition by `comments`.`post_id` order by `pinned` desc, RANDOM()) as `_ilana_row` '
+      + 'from `comments` where `post_id` in (?, ?)) as `_ilana_ranked` where `_ilana_row` > ? and `_ilana_row` <= ? order by `_ilana_row` asc'
+    );
+    expect(queries[0].bindings).toEqual([1, 2, 0, 2]);
+  });
+
+  test('offset without limit skips rows per parent and orders by primary key', async () => {
+    await new QueryBuilder('posts', Post)
+      .with({ comments: q => q.offset(2) })
+      .loadRelations(posts());
+
+    expect(queries[0].sql).toContain('row_number() over (partition by `comments`.`post_id` order by `comments`.`id`)');
+    expect(queries[0].sql).toMatch(/where `_ilana_row` > \? order by `_ilana_row` asc$/);
+    expect(queries[0].bindings).toEqual([1, 2, 2]);
+  });
+
+  test('belongsToMany partitions by the parent pivot key', async () => {
+    await new QueryBuilder('posts', Post)
+      .with({ tags: q => q.limit(2) })
+      .loadRelations(posts());
+
+    expect(queries[0].sql).toContain('row_number() over (partition by `post_tag`.`post_id` order by `tags`.`id`)');
+    expect(queries[0].sql).toContain('from `tags` inner join `post_tag`');
+  });
+
+  test('belongsTo and unconstrained loads are left alone', async () => {
+    await new QueryBuilder('posts', Post)
+      .with({ author: q => q.limit(1) }, 'comments')
+      .loadRelations([make(Post, { id: 1, user_id: 4 })]);
+
+    expect(queries.map(q => q.sql)).toEqual([
+      'select * from `users` where `id` in (?) limit ?',
+      'select * from `comments` where `post_id` in (?)',
+    ]);
+  });
+
+  test('top-level queries keep a plain limit', () => {
+    const qb = new QueryBuilder('comments', Comment).limit(3);
+    expect(qb._readQuery().toSQL().sql).toBe('select * from `comments` limit ?');
+  });
+});
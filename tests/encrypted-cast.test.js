@@ -0,0 +1,205 @@
+/**
+ * Tests for authenticated encryption:
+ * - Encrypter: AES-256-GCM round trips, tamper detection and previous keys
+ * - EncryptedCast / EncryptedJsonCast on model attributes
+ * - key rotation re-encrypting stored values in chunks
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Database = require('../database/connection');
+const Encrypter = require('../orm/Encrypter');
+const { EncryptedCast, EncryptedJsonCast } = require('../orm/CustomCasts');
+const { DecryptException } = require('../orm/Errors');
+const { _rotateEncryptedColumns: rotateEncryptedColumns } = require('../cli/ilana');
+const { make, load, useCompiledQueries } = require('./helpers');
+
+const oldKey = Encrypter.generateKey();
+const newKey = Encrypter.generateKey();
+
+class User extends Model {
+  static table = 'users';
+  casts = {
+    secret: new EncryptedCast(),
+    settings: new EncryptedJsonCast(),
+  };
+}
+
+beforeEach(() => {
+  Database.config = { encryption: { key: newKey } };
+});
+
+afterAll(() => {
+  delete Database.config;
+});
+
+describe('Encrypter', () => {
+  test('round trips values and uses a fresh IV for every payload', () => {
+    const encrypter = new Encrypter(newKey);
+    const first = encrypter.encrypt('hunter2');
+    const second = encrypter.encrypt('hunter2');
+
+    expect(first).not.toBe(second);
+    expect(first).not.toContain('hunter2');
+    expect(encrypter.decrypt(first)).toBe('hunter2');
+    expect(encrypter.decrypt(second)).toBe('hunter2');
+  });
+
+  test('rejects tampered payloads and payloads from unknown keys', () => {
+    const encrypter = new Encrypter(newKey);
+    const bytes = Buffer.from(encrypter.encrypt('hunter2'), 'base64');
+    bytes[bytes.length - 1] ^= 1;
+
+    expect(() => encrypter.decrypt(bytes.toString('base64'))).toThrow(DecryptException);
+    expect(() => encrypter.decrypt(new Encrypter(oldKey).encrypt('x'))).toThrow(DecryptException);
+    expect(() => encrypter.decrypt(Buffer.from('hunter2').toString('base64'))).toThrow(DecryptException);
+  });
+
+  test('decrypts with previous keys but only counts the current key as current', () => {
+    const payload = new Encrypter(oldKey).encrypt('hunter2');
+    const encrypter = new Encrypter(newKey, [oldKey]);
+
+    expect(encrypter.decrypt(payload)).toBe('hunter2');
+    expect(encrypter.isEncrypted(payload)).toBe(true);
+    expect(encrypter.isCurrent(payload)).toBe(false);
+    expect(encrypter.isCurrent(encrypter.encrypt('hunter2'))).toBe(true);
+  });
+
+  test('accepts base64: keys and raw 32-byte keys, and rejects other lengths', () => {
+    expect(Encrypter.parseKey(newKey)).toHaveLength(32);
+    expect(Encrypter.parseKey('0123456789abcdef0123456789abcdef')).toHaveLength(32);
+    expect(() => new Encrypter('too-short')).toThrow('32 bytes');
+  });
+
+  test('fromConfig() requires a configured key', () => {
+    Database.config = {};
+    expect(() => Encrypter.fromConfig()).toThrow('No encryption key configured');
+  });
+});
+
+describe('EncryptedCast', () => {
+  test('stores ciphertext and reads back plaintext', () => {
+    const user = make(User, { secret: 'hunter2' });
+
+    expect(user.attributes.secret).not.toBe('hunter2');
+    expect(new Encrypter(newKey).decrypt(user.attributes.secret)).toBe('hunter2');
+    expect(user.getAttribute('secret')).toBe('hunter2');
+    expect(user.toJSON().secret).toBe('hunter2');
+  });
+
+  test('keeps stored ciphertext as is when hydrating and replicating', () => {
+    const stored = new Encrypter(newKey).encrypt('hunter2');
+    const user = load(User, { id: 1, secret: stored });
+
+    expect(user.attributes.secret).toBe(stored);
+    expect(user.getAttribute('secret')).toBe('hunter2');
+    expect(user.replicate().getAttribute('secret')).toBe('hunter2');
+  });
+
+  test('reads values encrypted with a previous key', () => {
+    Database.config = { encryption: { key: newKey, previousKeys: [oldKey] } };
+    const user = load(User, { id: 1, secret: new Encrypter(oldKey).encrypt('hunter2') });
+
+    expect(user.getAttribute('secret')).toBe('hunter2');
+  });
+
+  test('throws DecryptException instead of returning undecryptable values', () => {
+    const user = load(User, { id: 1, secret: new Encrypter(oldKey).encrypt('hunter2') });
+
+    expect(() => user.getAttribute('secret')).toThrow(DecryptException);
+  });
+
+  test('leaves null values unencrypted', () => {
+    const user = make(User, { secret: null });
+
+    expect(user.attributes.secret).toBeNull();
+    expect(user.getAttribute('secret')).toBeNull();
+  });
+
+  test('uses a key passed to the constructor instead of the configured one', () => {
+    const cast = new EncryptedCast(oldKey);
+    const payload = cast.set('hunter2');
+
+    expect(new Encrypter(oldKey).decrypt(payload)).toBe('hunter2');
+    expect(cast.get(payload)).toBe('hunter2');
+  });
+
+  test('EncryptedJsonCast encrypts JSON-encoded values', () => {
+    const user = make(User, { settings: { theme: 'dark', beta: true } });
+
+    expect(user.attributes.settings).not.toContain('dark');
+    expect(new Encrypter(newKey).decrypt(user.attributes.settings)).toBe('{"theme":"dark","beta":true}');
+    expect(user.getAttribute('settings')).toEqual({ theme: 'dark', beta: true });
+  });
+});
+
+describe('key rotation', () => {
+  let chunks;
+  let reads;
+  let writes;
+
+  useCompiledQueries();
+
+  beforeEach(() => {
+    Database.config = { encryption: { key: newKey, previousKeys: [oldKey] } };
+    reads = [];
+    writes = [];
+    jest.spyOn(QueryBuilder.prototype, 'values').mockImplementation(function () {
+      reads.push(this.query.toSQL());
+      return Promise.resolve(chunks.shift() || []);
+    });
+    jest.spyOn(QueryBuilder.prototype, 'update').mockImplementation(function (data) {
+      writes.push({ sql: this.query.clone().update(data).toSQL(), data });
+      return Promise.resolve(1);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('walks the table by primary key and re-encrypts values on previous keys', async () => {
+    const old = new Encrypter(oldKey);
+    const current = new Encrypter(newKey);
+    chunks = [
+      [{ id: 1, secret: old.encrypt('a'), settings: old.encrypt('{"n":1}') }, { id: 2, secret: current.encrypt('b'), settings: null }],
+      [{ id: 3, secret: old.encrypt('c'), settings: null }],
+    ];
+
+    const rotated = await rotateEncryptedColumns(User, { chunkSize: 2 });
+
+    expect(rotated).toBe(3);
+    expect(reads.map(r => r.sql)).toEqual([
+      'select `id`, `secret`, `settings` from `users` order by `id` asc limit ?',
+      'select `id`, `secret`, `settings` from `users` where `id` > ? order by `id` asc limit ?',
+    ]);
+    expect(reads[1].bindings).toEqual([2, 2]);
+
+    expect(writes.map(w => w.sql.bindings[w.sql.bindings.length - 1])).toEqual([1, 3]);
+    expect(Object.keys(writes[0].data)).toEqual(['secret', 'settings']);
+    expect(current.isCurrent(writes[0].data.secret)).toBe(true);
+    expect(current.decrypt(writes[0].data.secret)).toBe('a');
+    expect(current.decrypt(writes[0].data.settings)).toBe('{"n":1}');
+    expect(current.decrypt(writes[1].data.secret)).toBe('c');
+  });
+
+  test('stops on values no key can decrypt unless legacy base64 is allowed', async () => {
+    const legacy = Buffer.from('old secret').toString('base64');
+    chunks = [[{ id: 1, secret: legacy, settings: null }]];
+
+    await expect(rotateEncryptedColumns(User, { chunkSize: 2 })).rejects.toThrow(DecryptException);
+    expect(writes).toHaveLength(0);
+
+    chunks = [[{ id: 1, secret: legacy, settings: null }]];
+    await rotateEncryptedColumns(User, { chunkSize: 2, legacy: true });
+
+    expect(new Encrypter(newKey).decrypt(writes[0].data.secret)).toBe('old secret');
+  });
+
+  test('skips models without encrypted casts', async () => {
+    class Post extends Model { static table = 'posts'; }
+
+    expect(await rotateEncryptedColumns(Post)).toBe(0);
+    expect(reads).toHaveLength(0);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Tests for Enum:
+ * - string and integer backed enums defined with Enum.define()
+ * - enum casts hydrate to cases and reject unknown values
+ * - query builder binds cases as their values, in filters and write payloads
+ * - npx ilana types reads the enum definition
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Model = require('../orm/Model');
+const Enum = require('../orm/Enum');
+const { EnumCast } = require('../orm/CustomCasts');
+const { _types: types } = require('../cli/ilana');
+const { make, load, useCompiledQueries } = require('./helpers');
+
+const OrderStatus = Enum.define('OrderStatus', {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  PAID: 'paid',
+}, {
+  label() {
+    return this.name.charAt(0) + this.name.slice(1).toLowerCase().replace('_', ' ');
+  },
+});
+
+const Priority = Enum.define('Priority', { LOW: 1, NORMAL: 2, HIGH: 3 });
+
+class Order extends Model {
+  static table = 'orders';
+  static fillable = ['status', 'priority'];
+  static enums = { status: OrderStatus };
+  casts = {
+    status: OrderStatus,
+    priority: new EnumCast(Priority),
+  };
+}
+
+useCompiledQueries();
+
+describe('Enum.define', () => {
+  test('creates one frozen case per value', () => {
+    expect(OrderStatus.PAID).toBeInstanceOf(OrderStatus);
+    expect(OrderStatus.PAID).toBeInstanceOf(Enum);
+    expect(OrderStatus.PAID.name).toBe('PAID');
+    expect(OrderStatus.PAID.value).toBe('paid');
+    expect(Object.isFrozen(OrderStatus.PAID)).toBe(true);
+    expect(OrderStatus.cases()).toEqual([OrderStatus.PENDING, OrderStatus.IN_PROGRESS, OrderStatus.PAID]);
+    expect(OrderStatus.values()).toEqual(['pending', 'in_progress', 'paid']);
+    expect(OrderStatus.backing).toBe('string');
+    expect(Priority.backing).toBe('int');
+  });
+
+  test('looks cases up by value', () => {
+    expect(OrderStatus.from('paid')).toBe(OrderStatus.PAID);
+    expect(OrderStatus.from(OrderStatus.PAID)).toBe(OrderStatus.PAID);
+    expect(OrderStatus.tryFrom('refunded')).toBeNull();
+    expect(OrderStatus.has('pending')).toBe(true);
+    expect(() => OrderStatus.from('refunded')).toThrow('"refunded" is not a valid OrderStatus value.');
+    expect(() => OrderStatus.from(Priority.LOW)).toThrow('is not a valid OrderStatus value');
+  });
+
+  test('accepts numeric strings for integer enums', () => {
+    expect(Priority.from('3')).toBe(Priority.HIGH);
+    expect(Priority.tryFrom('3.5')).toBeNull();
+    expect(OrderStatus.tryFrom(1)).toBeNull();
+  });
+
+  test('adds methods to every case', () => {
+    expect(OrderStatus.IN_PROGRESS.label()).toBe('In progress');
+    expect(OrderStatus.PAID.is('paid')).toBe(true);
+    expect(OrderStatus.PAID.is(OrderStatus.PENDING)).toBe(false);
+  });
+
+  test('serializes cases as their values', () => {
+    expect(String(Priority.HIGH)).toBe('3');
+    expect(JSON.stringify({ status: OrderStatus.PAID, priority: Priority.LOW })).toBe('{"status":"paid","priority":1}');
+  });
+
+  test('names the cases of an array after their values', () => {
+    const Role = Enum.define('Role', ['user', 'super-admin']);
+
+    expect(Role.USER.value).toBe('user');
+    expect(Role.SUPER_ADMIN.value).toBe('super-admin');
+  });
+
+  test('rejects mixed, duplicate and reserved cases', () => {
+    expect(() => Enum.define('Mixed', { A: 'a', B: 1 })).toThrow('must be backed by strings or by integers');
+    expect(() => Enum.define('Fractional', { A: 1.5 })).toThrow('must be backed by strings or by integers');
+    expect(() => Enum.define('Twice', { A: 'a', B: 'a' })).toThrow('defines the value "a" twice');
+    expect(() => Enum.define('Reserved', { from: 'a' })).toThrow("from can't be used as a case name of Reserved");
+    expect(() => Enum.define('Empty', {})).toThrow('needs at least one case');
+  });
+});
+
+describe('enum casts', () => {
+  test('hydrate stored values to cases', () => {
+    const order = load(Order, { id: 1, status: 'paid', priority: '3' });
+
+    expect(order.status).toBe(OrderStatus.PAID);
+    expect(order.priority).toBe(Priority.HIGH);
+    expect(order.isDirty()).toBe(false);
+    expect(JSON.parse(JSON.stringify(order))).toEqual({ id: 1, status: 'paid', priority: 3 });
+  });
+
+  test('store cases and raw values as values', () => {
+    const order = make(Order, { status: OrderStatus.PENDING, priority: 2 });
+
+    expect(order.attributes).toEqual({ status: 'pending', priority: 2 });
+    expect(order.priority).toBe(Priority.NORMAL);
+  });
+
+  test('throw on values the enum does not define', () => {
+    const order = make(Order, {});
+
+    expect(() => { order.status = 'refunded'; }).toThrow('"refunded" is not a valid OrderStatus value.');
+    expect(() => order.setAttribute('priority', 5)).toThrow('5 is not a valid Priority value.');
+    expect(order.attributes).toEqual({});
+  });
+
+  test('keep null', () => {
+    const order = make(Order, { status: null });
+
+    expect(order.status).toBeNull();
+    expect(order.attributes.status).toBeNull();
+  });
+
+  test('drive the static enums helpers', () => {
+    const order = load(Order, { id: 1, status: 'in_progress' });
+
+    expect(order.isInProgress()).toBe(true);
+    expect(order.isPaid()).toBe(false);
+  });
+});
+
+describe('querying by enum', () => {
+  test('binds cases as their values', () => {
+    const query = Order.query()
+      .where('status', OrderStatus.PAID)
+      .orWhere('priority', '>=', Priority.HIGH)
+      .whereIn('status', [OrderStatus.PENDING, OrderStatus.IN_PROGRESS])
+      .whereNotIn('priority', [Priority.LOW])
+      .orWhere({ status: OrderStatus.PENDING })
+      .toKnex()
+      .toSQL();
+
+    expect(query.bindings).toEqual(['paid', 3, 'pending', 'in_progress', 1, 'pending']);
+  });
+
+  test('binds cases in insert, update and upsert payloads as their values', async () => {
+    // Record the compiled write instead of running it
+    const run = (query) => {
+      const written = [];
+      jest.spyOn(query.toKnex(), 'then').mockImplementation(function (resolve) {
+        written.push(this.toSQL().bindings);
+        return Promise.resolve(1).then(resolve);
+      });
+      return written;
+    };
+
+    let query = Order.query();
+    let written = run(query);
+    await query.insert([{ status: OrderStatus.PENDING, priority: Priority.LOW }]);
+    expect(written).toEqual([[1, 'pending']]);
+
+    query = Order.query().where('id', 1);
+    written = run(query);
+    await query.update({ status: OrderStatus.PAID, priority: Priority.HIGH });
+    expect(written).toEqual([['paid', 3, 1]]);
+
+    query = Order.query();
+    written = run(query);
+    await query.upsert({ id: 1, status: OrderStatus.PAID }, 'id', { status: OrderStatus.IN_PROGRESS });
+    expect(written).toEqual([[1, 'paid', 'in_progress']]);
+  });
+});
+
+describe('npx ilana types', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ilana-enum-'));
+    fs.mkdirSync(path.join(dir, 'enums'));
+    fs.writeFileSync(path.join(dir, 'enums', 'OrderStatus.ts'), `
+import { Enum } from 'ilana-orm';
+export const OrderStatus = Enum.define('OrderStatus', { PENDING: 'pending', PAID: 'paid' });
+export default OrderStatus;
+`);
+    fs.writeFileSync(path.join(dir, 'enums', 'priority.js'), `
+const { Enum } = require('ilana-orm');
+const Priority = Enum.define('Priority', [1, 2, 3]);
+module.exports = Priority;
+`);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('types enum casts with the values of the enum', () => {
+    const content = `
+import { Model } from 'ilana-orm';
+import Status from './enums/OrderStatus';
+const Level = require('./enums/priority');
+const Kind = Enum.define('Kind', ['a', 'b']);
+
+export default class Order extends Model {
+  static table = 'orders';
+  casts = {
+    status: Status,
+    level: Level,
+    kind: Kind,
+    total: 'number',
+  };
+}
+`;
+    const model = types.parseModelFile(content, 'Order.ts');
+    const enumTypes = types.findEnumDefinitions(content, path.join(dir, 'Order.ts'));
+    const dts = types.generateModelTypes(model, { status: { type: 'string', nullable: true } }, enumTypes);
+
+    expect(dts).toContain("import { Model, Enum } from 'ilana-orm';");
+    expect(dts).toContain("  status?: Enum<'pending' | 'paid'>;");
+    expect(dts).toContain('  level?: Enum<1 | 2 | 3>;');
+    expect(dts).toContain("  kind?: Enum<'a' | 'b'>;");
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for hasOneThrough:
+ * - default keys and the single-result query
+ * - eager loading assigns one model or null per parent
+ * - withCount / whereHas join through the intermediate table
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Database = require('../database/connection');
+const { HasOneThrough } = require('../orm/Relation');
+const { sql, make, useCompiledQueries } = require('./helpers');
+
+class Mechanic extends Model {
+  static table = 'mechanics';
+  carOwner() { return this.hasOneThrough('Owner', 'Car'); }
+}
+class Car extends Model {
+  static table = 'cars';
+}
+class Owner extends Model {
+  static table = 'owners';
+}
+Mechanic.register();
+Car.register();
+Owner.register();
+
+useCompiledQueries();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hasOneThrough()', () => {
+  test('defaults the keys from the parent and intermediate model names', () => {
+    const rel = make(Mechanic, { id: 1 }).carOwner();
+    expect(rel).toBeInstanceOf(HasOneThrough);
+    expect(rel).toMatchObject({ firstKey: 'mechanic_id', secondKey: 'car_id', localKey: 'id', secondLocalKey: 'id' });
+  });
+
+  test('getResults() joins the intermediate table and returns the first match', async () => {
+    const owner = make(Owner, { id: 9 });
+    let query;
+    jest.spyOn(QueryBuilder.prototype, 'first').mockImplementation(function () {
+      query = this.query.toSQL();
+      return Promise.resolve(owner);
+    });
+
+    expect(await make(Mechanic, { id: 1 }).carOwner().getResults()).toBe(owner);
+    expect(query.sql).toBe('select `owners`.* from `owners` inner join `cars` on `owners`.`car_id` = `cars`.`id` where `cars`.`mechanic_id` = ?');
+    expect(query.bindings).toEqual([1]);
+  });
+
+  test('eager loading assigns one model or null per parent', async () => {
+    jest.spyOn(QueryBuilder.prototype, 'get').mockResolvedValue([
+      make(Owner, { id: 1, name: 'a', _hmt_parent_id: 10 }),
+      make(Owner, { id: 2, name: 'b', _hmt_parent_id: 10 }),
+    ]);
+    const mechanics = [make(Mechanic, { id: 10 }), make(Mechanic, { id: 11 })];
+
+    await new QueryBuilder('mechanics', Mechanic).loadRelation(mechanics, 'carOwner');
+
+    expect(mechanics[0].relations.carOwner.getAttribute('name')).toBe('a');
+    expect(mechanics[0].relations.carOwner.getAttribute('_hmt_parent_id')).toBeUndefined();
+    expect(mechanics[1].relations.carOwner).toBeNull();
+  });
+
+  test('whereHas() correlates through the intermediate table', () => {
+    const query = new QueryBuilder('mechanics', Mechanic).whereHas('carOwner').query.toSQL();
+    expect(query.sql).toBe(
+      'select * from `mechanics` where exists (select * from `owners` inner join `cars` on `owners`.`car_id` = `cars`.`id` ' +
+      'where cars.mechanic_id = mechanics.id)'
+    );
+  });
+
+  test('withCount() counts through the intermediate table', () => {
+    jest.spyOn(Database, 'raw').mockImplementation((raw, bindings) => sql.raw(raw, bindings));
+    const query = new QueryBuilder('mechanics', Mechanic).withCount('carOwner').query.toSQL();
+    expect(query.sql).toBe(
+      'select `mechanics`.*, (select count(*) from `owners` inner join `cars` on `owners`.`car_id` = `cars`.`id` ' +
+      'where cars.mechanic_id = mechanics.id) as `carOwner_count` from `mechanics`'
+    );
+  });
+});
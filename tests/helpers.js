@@ -0,0 +1,35 @@
+// Shared helpers for the test suite
+
+const knex = require('knex');
+const Database = require('../database/connection');
+
+// Compile-only knex: builds SQL without opening a connection
+const sql = knex({ client: 'sqlite3', useNullAsDefault: true });
+
+// A new, unsaved model
+function make(ModelClass, attributes) {
+  const model = new ModelClass(attributes);
+  model._initialize();
+  return model;
+}
+
+// A model hydrated from a stored row, the way QueryBuilder loads it
+function load(ModelClass, row) {
+  const model = new ModelClass(row);
+  model.exists = true;
+  model._initialize();
+  return model;
+}
+
+// Route Database.table() through the compile-only knex for the enclosing describe (or file)
+function useCompiledQueries() {
+  beforeEach(() => {
+    Database.table.mockImplementation((table) => sql(table));
+  });
+
+  afterAll(() => {
+    Database.table.mockReset();
+  });
+}
+
+module.exports = { sql, make, load, useCompiledQueries };
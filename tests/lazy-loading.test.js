@@ -0,0 +1,125 @@
+/**
+ * Tests for the N+1 lazy-loading detector:
+ * - reports once per relation when siblings from one get() lazy load it,
+ *   through getResults() or get()/first() on the chained relation
+ * - names the relation, the call site and a with() suggestion
+ * - stays silent for single models and when disabled
+ */
+
+const Model = require('../orm/Model');
+const { Relation } = require('../orm/Relation');
+const LazyLoadDetector = require('../orm/LazyLoadDetector');
+const { LazyLoadingViolationException } = require('../orm/Errors');
+const { make } = require('./helpers');
+
+class StubRelation extends Relation {
+  async getResults() {
+    return [];
+  }
+}
+
+// Forwards get()/first() to a query stub; getResults() runs get() like belongsToMany
+class ChainedStubRelation extends Relation {
+  getQuery() {
+    return { get: async () => [], first: async () => null };
+  }
+
+  async getResults() {
+    return this.get();
+  }
+}
+
+class Post extends Model {
+  comments() {
+    return new StubRelation(this, 'Comment', 'post_id');
+  }
+
+  tags() {
+    return new ChainedStubRelation(this, 'Tag', 'post_id');
+  }
+}
+
+function batchOf(count, root, path) {
+  const models = Array.from({ length: count }, (_, i) => make(Post, { id: i + 1 }));
+  LazyLoadDetector.tagBatch(models, root || 'Post', path);
+  return models;
+}
+
+let violations;
+
+beforeEach(() => {
+  violations = [];
+  LazyLoadDetector.enable(violation => violations.push(violation));
+});
+
+afterAll(() => {
+  LazyLoadDetector.disable();
+});
+
+describe('LazyLoadDetector', () => {
+  test('reports a relation lazily loaded on two siblings', async () => {
+    const posts = batchOf(3);
+    for (const post of posts) await post.comments().getResults();
+
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({
+      model: 'Post',
+      relation: 'comments',
+      batchSize: 3,
+      suggestion: "Post.query().with('comments')",
+    });
+    expect(violations[0].callSite).toContain('lazy-loading.test.js');
+  });
+
+  test('does not report a single lazy load', async () => {
+    const posts = batchOf(3);
+    await posts[0].comments().getResults();
+    expect(violations).toHaveLength(0);
+  });
+
+  test('ignores models that were not loaded together', async () => {
+    const post = make(Post, { id: 1 });
+    await post.comments().getResults();
+    await post.comments().getResults();
+    expect(violations).toHaveLength(0);
+  });
+
+  test('reports get() and first() on the chained relation', async () => {
+    const posts = batchOf(3);
+    await posts[0].tags().get();
+    await posts[1].tags().first();
+
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ relation: 'tags', suggestion: "Post.query().with('tags')" });
+    expect(violations[0].callSite).toContain('lazy-loading.test.js');
+  });
+
+  test('counts getResults() that runs get() as one lazy load', async () => {
+    const posts = batchOf(3);
+    await posts[0].tags().getResults();
+    expect(violations).toHaveLength(0);
+    await posts[1].tags().getResults();
+    expect(violations).toHaveLength(1);
+  });
+
+  test('suggests the nested path for eager-loaded models', async () => {
+    const posts = batchOf(2, 'User', 'posts');
+    for (const post of posts) await post.comments().getResults();
+    expect(violations[0].suggestion).toBe("User.query().with('posts.comments')");
+  });
+
+  test("'throw' mode throws LazyLoadingViolationException", async () => {
+    LazyLoadDetector.enable('throw');
+    const posts = batchOf(2);
+    await posts[0].comments().getResults();
+    expect(() => posts[1].comments().getResults()).toThrow(LazyLoadingViolationException);
+  });
+
+  test('does nothing when disabled', async () => {
+    LazyLoadDetector.disable();
+    const posts = batchOf(2);
+    for (const post of posts) await post.comments().getResults();
+    expect(posts[0]._loadBatch).toBeUndefined();
+    expect(violations).toHaveLength(0);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for the Money value object:
+ * - exact parsing, arithmetic, allocation and formatting in minor units
+ * - MoneyCast on one column or an amount/currency column pair
+ * - Collection money aggregates
+ */
+
+const Model = require('../orm/Model');
+const Collection = require('../orm/Collection');
+const Money = require('../orm/Money');
+const { MoneyCast } = require('../orm/CustomCasts');
+const { make, load } = require('./helpers');
+
+class Invoice extends Model {
+  static table = 'invoices';
+  casts = {
+    total: new MoneyCast({ currencyColumn: 'currency' }),
+    shipping: new MoneyCast('EUR'),
+  };
+}
+
+const usd = (amount) => Money.of(amount, 'USD');
+
+describe('Money', () => {
+  test('parses major units exactly using the currency exponent', () => {
+    expect(usd('12.34').minor).toBe(1234n);
+    expect(usd('-0.05').minor).toBe(-5n);
+    expect(usd(7).minor).toBe(700n);
+    expect(Money.of('1500', 'jpy')).toEqual(Money.ofMinor(1500, 'JPY'));
+    expect(Money.of('1.5', 'KWD').minor).toBe(1500n);
+    expect(Money.of('1.50', 'USD').currency).toBe('USD');
+  });
+
+  test('rejects amounts it cannot represent exactly', () => {
+    expect(() => usd('1.234')).toThrow('more decimals than USD allows');
+    expect(() => Money.of('1.5', 'JPY')).toThrow('more decimals than JPY allows');
+    expect(() => usd('12,34')).toThrow('Invalid money amount');
+    expect(() => Money.ofMinor(1.5, 'USD')).toThrow('Minor units must be an integer');
+    expect(() => usd('1').plus(Money.of('1', 'EUR'))).toThrow('Currency mismatch: USD and EUR');
+  });
+
+  test('adds and subtracts without floating point errors', () => {
+    expect(usd('0.1').plus(usd('0.2')).equals(usd('0.3'))).toBe(true);
+    expect(usd('10').minus(usd('10.01')).toDecimal()).toBe('-0.01');
+    expect(Money.ofMinor(9007199254740993n, 'USD').plus(usd('0.01')).minor).toBe(9007199254740994n);
+  });
+
+  test('allocate() distributes the remainder and never loses a minor unit', () => {
+    expect(usd('10').allocate(1, 1, 1).map(String)).toEqual(['3.34 USD', '3.33 USD', '3.33 USD']);
+    expect(usd('0.05').allocate([70, 30]).map(String)).toEqual(['0.04 USD', '0.01 USD']);
+    expect(usd('-10').allocate(1, 1, 1).map(String)).toEqual(['-3.34 USD', '-3.33 USD', '-3.33 USD']);
+    expect(usd('1').allocate(0, 1, 1).map(String)).toEqual(['0.00 USD', '0.50 USD', '0.50 USD']);
+    expect(() => usd('1').allocate(0, 0)).toThrow('positive total');
+  });
+
+  test('compares amounts of the same currency', () => {
+    expect(usd('1').compare(usd('2'))).toBe(-1);
+    expect(usd('2').compare(usd('2.00'))).toBe(0);
+    expect(usd('0').isZero()).toBe(true);
+    expect(usd('-1').isNegative()).toBe(true);
+    expect(usd('1').equals(Money.of('1', 'EUR'))).toBe(false);
+  });
+
+  test('formats with the currency exponent', () => {
+    expect(usd('1234.5').toDecimal()).toBe('1234.50');
+    expect(usd('1234.5').format()).toBe('$1,234.50');
+    expect(Money.of('1500', 'JPY').toString()).toBe('1500 JPY');
+    expect(Money.of('0.005', 'KWD').toDecimal()).toBe('0.005');
+    expect(JSON.stringify(usd('9.99'))).toBe('{"amount":"9.99","currency":"USD"}');
+  });
+
+  test('defineCurrency() registers exponents for other currencies', () => {
+    Money.defineCurrency('BTC', 8);
+
+    expect(Money.of('0.00000001', 'BTC').minor).toBe(1n);
+    expect(Money.ofMinor(150000000, 'BTC').toDecimal()).toBe('1.50000000');
+  });
+});
+
+describe('MoneyCast', () => {
+  test('stores minor units in a fixed currency', () => {
+    const invoice = make(Invoice, { shipping: Money.of('4.50', 'EUR') });
+
+    expect(invoice.attributes.shipping).toBe(450);
+    expect(invoice.getAttribute('shipping').equals(Money.of('4.5', 'EUR'))).toBe(true);
+  });
+
+  test('reads numbers and strings as major units of the cast currency', () => {
+    expect(make(Invoice, { shipping: 4.5 }).attributes.shipping).toBe(450);
+    expect(make(Invoice, { shipping: '0.99' }).attributes.shipping).toBe(99);
+  });
+
+  test('throws when a fixed-currency column is given another currency', () => {
+    expect(() => make(Invoice, { shipping: usd('1') })).toThrow('Currency mismatch: shipping is stored in EUR, got USD');
+  });
+
+  test('writes the amount and currency columns of a column pair', () => {
+    const invoice = make(Invoice, { total: Money.of('1500', 'JPY') });
+
+    expect(invoice.attributes).toMatchObject({ total: 1500, currency: 'JPY' });
+    expect(invoice.getAttribute('total').equals(Money.of('1500', 'JPY'))).toBe(true);
+  });
+
+  test('hydrates stored minor units with the stored currency', () => {
+    const invoice = load(Invoice, { id: 1, total: '123456789012345678', currency: 'GBP', shipping: 450 });
+
+    expect(invoice.getAttribute('total').minor).toBe(123456789012345678n);
+    expect(invoice.getAttribute('total').currency).toBe('GBP');
+    expect(invoice.getAttribute('shipping').toString()).toBe('4.50 EUR');
+  });
+
+  test('marks both columns dirty and stores unsafe integers as strings', () => {
+    const invoice = load(Invoice, { id: 1, total: 100, currency: 'USD' });
+
+    invoice.setAttribute('total', Money.ofMinor(2n ** 60n, 'EUR'));
+
+    expect(invoice.getDirty()).toEqual({ total: '1152921504606846976', currency: 'EUR' });
+  });
+
+  test('serializes money attributes as amount and currency', () => {
+    const invoice = load(Invoice, { id: 1, total: 1999, currency: 'USD', shipping: null });
+
+    expect(JSON.parse(JSON.stringify(invoice))).toMatchObject({ total: { amount: '19.99', currency: 'USD' }, shipping: null });
+  });
+});
+
+describe('Collection money aggregates', () => {
+  const invoices = new Collection([
+    load(Invoice, { id: 1, total: 1000, currency: 'USD', shipping: 100 }),
+    load(Invoice, { id: 2, total: 2001, currency: 'USD', shipping: null }),
+    load(Invoice, { id: 3, total: 5, currency: 'USD', shipping: 300 }),
+  ]);
+
+  test('sumMoney() adds the Money attribute of every item', () => {
+    expect(invoices.sumMoney('total').toString()).toBe('30.06 USD');
+    expect(invoices.sumMoney('shipping').toString()).toBe('4.00 EUR');
+    expect(new Collection([usd('1'), usd('2')]).sumMoney().toString()).toBe('3.00 USD');
+  });
+
+  test('avgMoney(), minMoney() and maxMoney()', () => {
+    expect(invoices.avgMoney('total').toString()).toBe('10.02 USD');
+    expect(new Collection([usd('0.01'), usd('0.02')]).avgMoney().toString()).toBe('0.02 USD');
+    expect(invoices.minMoney('total').toString()).toBe('0.05 USD');
+    expect(invoices.maxMoney('total').toString()).toBe('20.01 USD');
+  });
+
+  test('empty collections return zero in the given currency, or null', () => {
+    expect(new Collection([]).sumMoney('total', 'USD').equals(Money.zero('USD'))).toBe(true);
+    expect(new Collection([]).sumMoney('total')).toBeNull();
+    expect(new Collection([]).maxMoney('total')).toBeNull();
+  });
+
+  test('refuse to mix currencies or non-Money values', () => {
+    expect(() => new Collection([usd('1'), Money.of('1', 'EUR')]).sumMoney()).toThrow('Currency mismatch');
+    expect(() => new Collection([1, 2]).sumMoney()).toThrow('Expected Money values');
+  });
+});
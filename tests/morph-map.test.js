@@ -0,0 +1,120 @@
+/**
+ * Tests for the morph map:
+ * - aliases are written to *_type columns and resolved back to models
+ * - enforceMorphMap() throws for models without an alias
+ * - MorphTo (lazy and eager), morph relations and factories use the map
+ */
+
+const Model = require('../orm/Model');
+const ModelRegistry = require('../orm/ModelRegistry');
+const QueryBuilder = require('../orm/QueryBuilder');
+const { defineFactory } = require('../orm/Factory');
+const { ClassMorphViolationException } = require('../orm/Errors');
+const { make, useCompiledQueries } = require('./helpers');
+
+class Comment extends Model {
+  static table = 'comments';
+  static fillable = ['body', 'commentable_type', 'commentable_id'];
+  commentable() { return this.morphTo('commentable'); }
+}
+class Post extends Model {
+  static table = 'posts';
+  static fillable = ['title'];
+  comments() { return this.morphMany('Comment', 'commentable'); }
+}
+class Video extends Model {
+  static table = 'videos';
+  comments() { return this.morphMany('Comment', 'commentable'); }
+}
+class Tag extends Model {
+  static table = 'tags';
+  posts() { return this.morphedByMany('Post', 'taggable'); }
+}
+[Comment, Post, Video, Tag].forEach(model => model.register());
+
+useCompiledQueries();
+
+beforeEach(() => {
+  Model.morphMap({ post: Post, video: 'Video' }, false);
+  ModelRegistry.enforceMorphMap = false;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Model.morphMap()', () => {
+  test('getMorphClass() returns the alias, or the class name when unmapped', () => {
+    expect(Post.getMorphClass()).toBe('post');
+    expect(make(Video, {}).getMorphClass()).toBe('video');
+    expect(Tag.getMorphClass()).toBe('Tag');
+  });
+
+  test('getMorphedModel() resolves aliases and registered class names', () => {
+    expect(Model.getMorphedModel('post')).toBe(Post);
+    expect(Model.getMorphedModel('video')).toBe(Video);
+    expect(Model.getMorphedModel('Tag')).toBe(Tag);
+    expect(Model.getMorphedModel('missing')).toBeUndefined();
+  });
+
+  test('merges by default and replaces with merge = false', () => {
+    Model.morphMap({ tag: Tag });
+    expect(Object.keys(Model.morphMap())).toEqual(['post', 'video', 'tag']);
+    Model.morphMap({ tag: Tag }, false);
+    expect(Object.keys(Model.morphMap())).toEqual(['tag']);
+  });
+
+  test('enforceMorphMap() throws for unmapped models', () => {
+    Model.enforceMorphMap({ post: Post }, false);
+    expect(Post.getMorphClass()).toBe('post');
+    expect(() => Tag.getMorphClass()).toThrow(ClassMorphViolationException);
+    expect(() => make(Video, { id: 1 }).comments()).toThrow(/No morph map alias defined for model Video/);
+  });
+});
+
+describe('morph relations', () => {
+  test('morphMany() and morphedByMany() store the alias', () => {
+    expect(make(Post, { id: 1 }).comments().morphClass).toBe('post');
+    expect(make(Tag, { id: 1 }).posts().morphClass).toBe('post');
+  });
+
+  test('MorphTo resolves the alias when lazy loading', async () => {
+    let table;
+    jest.spyOn(QueryBuilder.prototype, 'first').mockImplementation(function () {
+      table = this.query._single?.table;
+      return Promise.resolve(null);
+    });
+    await make(Comment, { commentable_type: 'video', commentable_id: 3 }).commentable().getResults();
+    expect(table).toBe('videos');
+  });
+
+  test('MorphTo eager loading groups by alias', async () => {
+    jest.spyOn(QueryBuilder.prototype, 'get').mockImplementation(function () {
+      const ModelClass = this.modelClass;
+      return Promise.resolve([make(ModelClass, { id: 3 })]);
+    });
+    const comments = [
+      make(Comment, { id: 1, commentable_type: 'post', commentable_id: 3 }),
+      make(Comment, { id: 2, commentable_type: 'video', commentable_id: 3 }),
+    ];
+
+    await new QueryBuilder('comments', Comment).loadRelation(comments, 'commentable');
+
+    expect(comments[0].relations.commentable).toBeInstanceOf(Post);
+    expect(comments[1].relations.commentable).toBeInstanceOf(Video);
+  });
+
+  test('factory for() sets the morph type of the parent', async () => {
+    let nextId = 1;
+    jest.spyOn(Model.prototype, 'save').mockImplementation(async function () {
+      this.attributes.id = nextId++;
+      return this;
+    });
+    const comment = await defineFactory(Comment, () => ({ body: 'hi' }))
+      .for('commentable', defineFactory(Post, () => ({ title: 'x' })))
+      .create();
+
+    expect(comment.getAttribute('commentable_type')).toBe('post');
+    expect(comment.getAttribute('commentable_id')).toBe(1);
+  });
+});
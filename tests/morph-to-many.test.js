@@ -0,0 +1,104 @@
+/**
+ * Tests for polymorphic many-to-many relations:
+ * - morphToMany / morphedByMany pivot key defaults
+ * - pivot reads and writes are scoped to the morph type
+ * - eager loading and whereHas() join through the pivot table
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const { MorphToMany } = require('../orm/Relation');
+const { make, useCompiledQueries } = require('./helpers');
+
+class Tag extends Model {
+  static table = 'tags';
+  posts() { return this.morphedByMany('Post', 'taggable'); }
+}
+class Post extends Model {
+  static table = 'posts';
+  tags() { return this.morphToMany('Tag', 'taggable').withPivot('weight'); }
+}
+class Video extends Model {
+  static table = 'videos';
+  tags() { return this.morphToMany(Tag, 'taggable'); }
+}
+Tag.register();
+Post.register();
+Video.register();
+
+useCompiledQueries();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('morphToMany()', () => {
+  test('defaults to the <name>s pivot table keyed by the morph columns', () => {
+    const rel = make(Post, { id: 1 }).tags();
+    expect(rel).toBeInstanceOf(MorphToMany);
+    expect(rel).toMatchObject({
+      pivotTable: 'taggables',
+      parentPivotKey: 'taggable_id',
+      relatedPivotKey: 'tag_id',
+      morphType: 'taggable_type',
+      morphClass: 'Post',
+    });
+  });
+
+  test('morphedByMany() swaps the pivot keys and uses the related model as type', () => {
+    const rel = make(Tag, { id: 3 }).posts();
+    expect(rel).toMatchObject({
+      pivotTable: 'taggables',
+      parentPivotKey: 'tag_id',
+      relatedPivotKey: 'taggable_id',
+      morphClass: 'Post',
+    });
+  });
+
+  test('attach() writes the morph type', async () => {
+    const insert = jest.spyOn(QueryBuilder.prototype, 'insert').mockResolvedValue([1]);
+    await make(Video, { id: 7 }).tags().attach(2);
+    expect(insert).toHaveBeenCalledWith({ taggable_id: 7, tag_id: 2, taggable_type: 'Video' });
+  });
+
+  test('detach() only touches rows of the parent type', () => {
+    const query = make(Video, { id: 7 }).tags().newPivotQuery().where('tag_id', 2).query.toSQL();
+    expect(query.sql).toBe('select * from `taggables` where `taggable_id` = ? and `taggable_type` = ? and `tag_id` = ?');
+    expect(query.bindings).toEqual([7, 'Video', 2]);
+  });
+
+  test('eager loading groups related models by parent and extracts pivot columns', async () => {
+    let eagerSql;
+    jest.spyOn(QueryBuilder.prototype, 'get').mockImplementation(function () {
+      eagerSql = this.query.toSQL();
+      return Promise.resolve([
+        make(Tag, { id: 1, name: 'js', _pivot_parent_id: 10, pivot_weight: 5 }),
+        make(Tag, { id: 2, name: 'db', _pivot_parent_id: 11, pivot_weight: 1 }),
+      ]);
+    });
+    const posts = [make(Post, { id: 10 }), make(Post, { id: 11 }), make(Post, { id: 12 })];
+
+    await new QueryBuilder('posts', Post).loadRelation(posts, 'tags');
+
+    expect(eagerSql.sql).toContain('inner join `taggables` on `tags`.`id` = `taggables`.`tag_id`');
+    expect(eagerSql.sql).toContain('`taggables`.`taggable_type` = ?');
+    expect(eagerSql.bindings).toEqual([10, 11, 12, 'Post']);
+    expect(posts.map(p => p.relations.tags.map(t => t.getAttribute('name')))).toEqual([['js'], ['db'], []]);
+    expect(posts[0].relations.tags[0].pivot).toEqual({ weight: 5 });
+  });
+
+  test('whereHas() correlates through the pivot table', () => {
+    const query = new QueryBuilder('posts', Post).whereHas('tags', q => q.where('name', 'js')).query.toSQL();
+    expect(query.sql).toBe(
+      'select * from `posts` where exists (select * from `tags` inner join `taggables` on `tags`.`id` = `taggables`.`tag_id` ' +
+      'where taggables.taggable_id = posts.id and `taggables`.`taggable_type` = ? and `name` = ?)'
+    );
+    expect(query.bindings).toEqual(['Post', 'js']);
+  });
+
+  test('has() with a count compares the pivot subquery', () => {
+    const query = new QueryBuilder('tags', Tag).has('posts', '>=', 2).query.toSQL();
+    expect(query.sql).toContain('(select count(*) from `posts` inner join `taggables` on `posts`.`id` = `taggables`.`taggable_id`');
+    expect(query.bindings).toEqual(['Post', 2]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for one-of-many relations:
+ * - latestOfMany / oldestOfMany / ofMany join the chosen row per parent
+ * - eager loading uses one grouped subquery for all parents
+ * - whereHas only matches the chosen row
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const { make, useCompiledQueries } = require('./helpers');
+
+class User extends Model {
+  static table = 'users';
+  latestOrder() { return this.hasOne('Order', 'user_id').latestOfMany(); }
+  oldestOrder() { return this.hasOne('Order', 'user_id').oldestOfMany('created_at'); }
+  largestPaidOrder() { return this.hasOne('Order', 'user_id').ofMany('total', 'max', q => q.where('paid', true)); }
+}
+class Order extends Model {
+  static table = 'orders';
+}
+[User, Order].forEach(model => model.register());
+
+useCompiledQueries();
+
+let queries;
+beforeEach(() => {
+  queries = [];
+  jest.spyOn(QueryBuilder.prototype, 'get').mockImplementation(function () {
+    queries.push(this.query.toSQL());
+    return Promise.resolve([]);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('one-of-many relations', () => {
+  test('latestOfMany() defaults to the greatest primary key', () => {
+    const { sql: query, bindings } = make(User, { id: 1 }).latestOrder().getQuery().query.toSQL();
+    expect(query).toBe(
+      'select `orders`.* from `orders` inner join (select `orders`.`user_id`, max(`orders`.`id`) as `aggregate` from `orders` '
+      + 'group by `orders`.`user_id`) as `_ilana_one_of_many` on `orders`.`id` = `_ilana_one_of_many`.`aggregate` '
+      + 'where `orders`.`user_id` = ?'
+    );
+    expect(bindings).toEqual([1]);
+  });
+
+  test('other columns break ties on the primary key', () => {
+    const { sql: query } = make(User, { id: 1 }).oldestOrder().getQuery().query.toSQL();
+    expect(query).toBe(
+      'select `orders`.* from `orders` inner join (select `orders`.`user_id`, max(`orders`.`id`) as `aggregate_key` from `orders` '
+      + 'inner join (select `orders`.`user_id`, min(`orders`.`created_at`) as `aggregate` from `orders` group by `orders`.`user_id`) '
+      + 'as `_ilana_one_of_many_aggregate` on `orders`.`user_id` = `_ilana_one_of_many_aggregate`.`user_id` '
+      + 'and `orders`.`created_at` = `_ilana_one_of_many_aggregate`.`aggregate` group by `orders`.`user_id`) '
+      + 'as `_ilana_one_of_many` on `orders`.`id` = `_ilana_one_of_many`.`aggregate_key` where `orders`.`user_id` = ?'
+    );
+  });
+
+  test('ofMany() constraints apply to the candidate rows', () => {
+    const { sql: query, bindings } = make(User, { id: 1 }).largestPaidOrder().getQuery().query.toSQL();
+    expect(query.match(/where `paid` = \?/g)).toHaveLength(2);
+    expect(bindings).toEqual([true, true, 1]);
+  });
+
+  test('rejects aggregates other than max and min', () => {
+    expect(() => make(User, { id: 1 }).latestOrder().ofMany('total', 'sum')).toThrow("must be 'max' or 'min'");
+  });
+
+  test('eager loading joins the pick once for all parents', async () => {
+    await new QueryBuilder('users', User).with('latestOrder').loadRelations([make(User, { id: 1 }), make(User, { id: 2 })]);
+
+    expect(queries).toHaveLength(1);
+    expect(queries[0].sql).toMatch(/^select `orders`\.\* from `orders` inner join \(select .+\) as `_ilana_one_of_many`/);
+    expect(queries[0].sql).toMatch(/where `orders`\.`user_id` in \(\?, \?\)$/);
+  });
+
+  test('whereHas() constrains the chosen row only', () => {
+    const query = new QueryBuilder('users', User).whereHas('latestOrder', q => q.where('orders.total', '>', 100));
+    expect(query.query.toSQL().sql).toBe(
+      'select * from `users` where exists (select * from `orders` inner join (select `orders`.`user_id`, max(`orders`.`id`) as `aggregate` '
+      + 'from `orders` group by `orders`.`user_id`) as `_ilana_one_of_many` on `orders`.`id` = `_ilana_one_of_many`.`aggregate` '
+      + 'where orders.user_id = users.id and `orders`.`total` > ?)'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for optimistic locking (static optimisticLock):
+ * - save() constrains the update by the loaded version and increments it
+ * - StaleModelException when no row was updated
+ */
+
+const Model = require('../orm/Model');
+const Database = require('../database/connection');
+const { StaleModelException } = require('../orm/Errors');
+const { load } = require('./helpers');
+
+function mockTable(affected) {
+  const query = {
+    where: jest.fn().mockReturnThis(),
+    whereNull: jest.fn().mockReturnThis(),
+    update: jest.fn().mockResolvedValue(affected),
+  };
+  Database.table.mockReturnValueOnce(query);
+  return query;
+}
+
+class Doc extends Model {}
+Doc.table = 'docs';
+Doc.fillable = ['title'];
+Doc.timestamps = false;
+Doc.optimisticLock = 'version';
+
+describe('StaleModelException', () => {
+  test('carries model, id and version', () => {
+    const err = new StaleModelException('Doc', 7, 3);
+    expect(err.name).toBe('StaleModelException');
+    expect(err.model).toBe('Doc');
+    expect(err.id).toBe(7);
+    expect(err.version).toBe(3);
+    expect(err instanceof Error).toBe(true);
+  });
+
+  test('toResponse() returns 409', () => {
+    const err = new StaleModelException('Doc', 7, 3);
+    expect(err.toResponse()).toEqual({ status: 409, message: err.message });
+  });
+});
+
+describe('Optimistic locking on save()', () => {
+  test('adds WHERE version = ? and increments the column', async () => {
+    const doc = load(Doc, { id: 1, title: 'a', version: 4 });
+    const query = mockTable(1);
+    doc.setAttribute('title', 'b');
+    await doc.save();
+
+    expect(query.where).toHaveBeenCalledWith('id', 1);
+    expect(query.where).toHaveBeenCalledWith('version', 4);
+    expect(query.update).toHaveBeenCalledWith({ title: 'b', version: 5 });
+    expect(doc.getAttribute('version')).toBe(5);
+    expect(doc.isDirty()).toBe(false);
+  });
+
+  test('throws StaleModelException when zero rows were affected', async () => {
+    const doc = load(Doc, { id: 1, title: 'a', version: 4 });
+    mockTable(0);
+    doc.setAttribute('title', 'b');
+
+    await expect(doc.save()).rejects.toBeInstanceOf(StaleModelException);
+    expect(doc.getAttribute('version')).toBe(4);
+    expect(doc.isDirty('title')).toBe(true);
+  });
+
+  test('matches a NULL version with whereNull', async () => {
+    const doc = load(Doc, { id: 1, title: 'a', version: null });
+    const query = mockTable(1);
+    doc.setAttribute('title', 'b');
+    await doc.save();
+
+    expect(query.whereNull).toHaveBeenCalledWith('version');
+    expect(query.update).toHaveBeenCalledWith({ title: 'b', version: 1 });
+  });
+
+  test('optimisticLock = true uses the version column', () => {
+    class Note extends Model {}
+    Note.optimisticLock = true;
+    expect(Note._lockColumn()).toBe('version');
+    expect(Model._lockColumn()).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for pivot model classes:
+ * - belongsToMany(...).using(PivotClass) hydrates model.pivot with casts
+ * - attach / detach / updateExistingPivot go through the pivot model and fire its events
+ * - pivot rows are matched by the two keys they link
+ */
+
+const Model = require('../orm/Model');
+const Pivot = require('../orm/Pivot');
+const QueryBuilder = require('../orm/QueryBuilder');
+const { make, useCompiledQueries } = require('./helpers');
+
+class RoleUser extends Pivot {
+  static table = 'role_user';
+  static casts = { meta: 'json', active: 'boolean' };
+}
+class User extends Model {
+  static table = 'users';
+  roles() { return this.belongsToMany('Role', 'role_user', 'user_id', 'role_id').using(RoleUser).withPivot('meta', 'active'); }
+  plainRoles() { return this.belongsToMany('Role', 'role_user', 'user_id', 'role_id').withPivot('meta'); }
+}
+class Role extends Model {
+  static table = 'roles';
+}
+[User, Role, RoleUser].forEach(model => model.register());
+
+useCompiledQueries();
+
+// Compiled SQL of every write, in order
+let writes;
+let rows;
+beforeEach(() => {
+  writes = [];
+  rows = [];
+  jest.spyOn(QueryBuilder.prototype, 'get').mockImplementation(function () {
+    return Promise.resolve(rows.map(row => {
+      const model = new this.modelClass(row);
+      model.exists = true;
+      model._initialize();
+      return model;
+    }));
+  });
+  for (const method of ['insert', 'update', 'delete']) {
+    jest.spyOn(QueryBuilder.prototype, method).mockImplementation(function (data) {
+      writes.push(this.query.clone()[method === 'delete' ? 'del' : method](data).toSQL());
+      return Promise.resolve(1);
+    });
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  RoleUser.events = {};
+});
+
+describe('pivot model classes', () => {
+  test('getResults() hydrates model.pivot as the using() class with casts', async () => {
+    rows = [{ id: 3, name: 'admin', pivot_meta: '{"level":2}', pivot_active: 1 }];
+    const [role] = await make(User, { id: 1 }).roles().getResults();
+
+    expect(role.pivot).toBeInstanceOf(RoleUser);
+    expect(role.pivot.exists).toBe(true);
+    expect(role.pivot.getAttribute('meta')).toEqual({ level: 2 });
+    expect(role.pivot.getAttribute('active')).toBe(true);
+    expect(role.pivot.attributes).toMatchObject({ user_id: 1, role_id: 3 });
+    expect(role.attributes).toEqual({ id: 3, name: 'admin' });
+  });
+
+  test('relations without using() keep plain pivot objects', async () => {
+    rows = [{ id: 3, pivot_meta: 'x' }];
+    const [role] = await make(User, { id: 1 }).plainRoles().getResults();
+    expect(role.pivot).toEqual({ meta: 'x' });
+  });
+
+  test('eager loading ties each pivot to its own parent', async () => {
+    rows = [{ id: 3, _pivot_parent_id: 2, pivot_meta: null, pivot_active: 0 }];
+    const users = [make(User, { id: 1 }), make(User, { id: 2 })];
+
+    await new QueryBuilder('users', User).with('roles').loadRelations(users);
+
+    const [role] = users[1].relations.roles;
+    expect(role.pivot.pivotParent).toBe(users[1]);
+    expect(role.pivot.getAttribute('user_id')).toBe(2);
+    expect(role.pivot.getAttribute('active')).toBe(false);
+  });
+
+  test('attach() saves through the pivot model and fires its events', async () => {
+    const events = [];
+    RoleUser.creating(pivot => { events.push(['creating', pivot.getAttribute('role_id')]); });
+    RoleUser.created(pivot => { events.push(['created', pivot.getAttribute('role_id')]); });
+
+    await make(User, { id: 1 }).roles().attach(4, { meta: { level: 1 } });
+
+    expect(events).toEqual([['creating', 4], ['created', 4]]);
+    expect(writes[0].sql).toBe('insert into `role_user` (`meta`, `role_id`, `user_id`) values (?, ?, ?)');
+    expect(writes[0].bindings).toEqual(['{"level":1}', 4, 1]);
+  });
+
+  test('a creating listener returning false cancels the attach', async () => {
+    RoleUser.creating(() => false);
+    await make(User, { id: 1 }).roles().attach(4);
+    expect(writes).toHaveLength(0);
+  });
+
+  test('detach() deletes each pivot row by its keys and fires deleting', async () => {
+    const deleting = jest.fn();
+    RoleUser.deleting(deleting);
+    rows = [{ user_id: 1, role_id: 4 }, { user_id: 1, role_id: 5 }];
+
+    expect(await make(User, { id: 1 }).roles().detach()).toBe(2);
+
+    expect(deleting).toHaveBeenCalledTimes(2);
+    expect(writes.map(w => [w.sql, w.bindings])).toEqual([
+      ['delete from `role_user` where `user_id` = ? and `role_id` = ?', [1, 4]],
+      ['delete from `role_user` where `user_id` = ? and `role_id` = ?', [1, 5]],
+    ]);
+  });
+
+  test('updateExistingPivot() saves the changed columns', async () => {
+    const updated = jest.fn();
+    RoleUser.updated(updated);
+    rows = [{ user_id: 1, role_id: 4, active: 0 }];
+
+    await make(User, { id: 1 }).roles().updateExistingPivot(4, { active: true });
+
+    expect(updated).toHaveBeenCalledTimes(1);
+    expect(writes[0].sql).toBe('update `role_user` set `active` = ? where `user_id` = ? and `role_id` = ?');
+  });
+});
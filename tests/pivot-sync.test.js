@@ -0,0 +1,106 @@
+/**
+ * Tests for diff-based sync on belongsToMany:
+ * - sync() only inserts missing rows, updates given pivot attributes and deletes the rest
+ * - syncWithoutDetaching() and syncWithPivotValues()
+ * - the whole sync runs inside one transaction
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Database = require('../database/connection');
+const { make, useCompiledQueries } = require('./helpers');
+
+class User extends Model {
+  static table = 'users';
+  roles() { return this.belongsToMany('Role', 'role_user', 'user_id', 'role_id'); }
+}
+class Role extends Model {
+  static table = 'roles';
+}
+[User, Role].forEach(model => model.register());
+
+useCompiledQueries();
+
+// Role ids currently attached, and the compiled SQL of every write
+let current;
+let writes;
+beforeEach(() => {
+  current = [];
+  writes = [];
+  Database.transaction = jest.fn(callback => callback());
+  jest.spyOn(QueryBuilder.prototype, 'pluck').mockImplementation(() => Promise.resolve(current));
+  for (const method of ['insert', 'update', 'delete']) {
+    jest.spyOn(QueryBuilder.prototype, method).mockImplementation(function (data) {
+      writes.push(this.query.clone()[method === 'delete' ? 'del' : method](data).toSQL());
+      return Promise.resolve(1);
+    });
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  delete Database.transaction;
+});
+
+describe('sync()', () => {
+  test('attaches missing ids in one insert and detaches the rest in one delete', async () => {
+    current = [1, 2];
+
+    const changes = await make(User, { id: 9 }).roles().sync([2, 3, 4]);
+
+    expect(changes).toEqual({ attached: [3, 4], detached: [1], updated: [] });
+    expect(Database.transaction).toHaveBeenCalledTimes(1);
+    expect(writes.map(w => w.sql)).toEqual([
+      'delete from `role_user` where `user_id` = ? and `role_id` in (?)',
+      'insert into `role_user` (`role_id`, `user_id`) select ? as `role_id`, ? as `user_id` union all select ? as `role_id`, ? as `user_id`',
+    ]);
+    expect(writes[1].bindings).toEqual([3, 9, 4, 9]);
+  });
+
+  test('leaves matching rows alone', async () => {
+    current = [1, 2];
+    expect(await make(User, { id: 9 }).roles().sync([1, 2])).toEqual({ attached: [], detached: [], updated: [] });
+    expect(writes).toEqual([]);
+  });
+
+  test('object form updates pivot attributes of existing rows', async () => {
+    current = [1];
+
+    const changes = await make(User, { id: 9 }).roles().sync({ 1: { level: 'admin' }, 5: { level: 'guest' } });
+
+    expect(changes).toEqual({ attached: [5], detached: [], updated: [1] });
+    expect(writes.map(w => [w.sql, w.bindings])).toEqual([
+      ['insert into `role_user` (`level`, `role_id`, `user_id`) values (?, ?, ?)', ['guest', 5, 9]],
+      ['update `role_user` set `level` = ? where `user_id` = ? and `role_id` = ?', ['admin', 9, 1]],
+    ]);
+  });
+
+  test('compares ids by value regardless of type', async () => {
+    current = ['1', '2'];
+    expect(await make(User, { id: 9 }).roles().sync([1, 2])).toEqual({ attached: [], detached: [], updated: [] });
+  });
+});
+
+describe('syncWithoutDetaching() and syncWithPivotValues()', () => {
+  test('syncWithoutDetaching() keeps ids that are not listed', async () => {
+    current = [1, 2];
+    expect(await make(User, { id: 9 }).roles().syncWithoutDetaching([3])).toEqual({ attached: [3], detached: [], updated: [] });
+    expect(writes).toHaveLength(1);
+  });
+
+  test('syncWithPivotValues() gives every id the same pivot attributes', async () => {
+    current = [1, 2];
+
+    const changes = await make(User, { id: 9 }).roles().syncWithPivotValues([2, 3], { active: true });
+
+    expect(changes).toEqual({ attached: [3], detached: [1], updated: [2] });
+    expect(writes.map(w => w.sql)).toEqual([
+      'delete from `role_user` where `user_id` = ? and `role_id` in (?)',
+      'insert into `role_user` (`active`, `role_id`, `user_id`) values (?, ?, ?)',
+      'update `role_user` set `active` = ? where `user_id` = ? and `role_id` = ?',
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for query result caching:
+ * - MemoryStore LRU eviction and TTL expiry
+ * - QueryCache tag versions invalidate entries on flush
+ * - QueryBuilder.remember() caches reads and writes flush the table tag
+ */
+
+const { QueryCache, MemoryStore } = require('../database/QueryCache');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Database = require('../database/connection');
+
+beforeEach(() => {
+  QueryCache.useStore(new MemoryStore());
+});
+
+describe('MemoryStore', () => {
+  test('evicts the least recently used entry', async () => {
+    const store = new MemoryStore(2);
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('c')).toBe(3);
+  });
+
+  test('expires entries after their ttl', async () => {
+    const store = new MemoryStore();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await store.set('a', 1, 10);
+    now.mockReturnValue(10999);
+    expect(await store.get('a')).toBe(1);
+    now.mockReturnValue(11000);
+    expect(await store.get('a')).toBeUndefined();
+    now.mockRestore();
+  });
+});
+
+describe('QueryCache', () => {
+  test('remember() runs the callback once per key', async () => {
+    const callback = jest.fn().mockResolvedValue([{ id: 1 }]);
+    expect(await QueryCache.remember('k', 60, ['posts'], callback)).toEqual([{ id: 1 }]);
+    expect(await QueryCache.remember('k', 60, ['posts'], callback)).toEqual([{ id: 1 }]);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('flushTags() invalidates entries tagged with the table only', async () => {
+    const posts = jest.fn().mockResolvedValue('posts');
+    const users = jest.fn().mockResolvedValue('users');
+    await QueryCache.remember('p', 60, ['posts'], posts);
+    await QueryCache.remember('u', 60, ['users'], users);
+
+    await QueryCache.flushTags('posts');
+    await QueryCache.remember('p', 60, ['posts'], posts);
+    await QueryCache.remember('u', 60, ['users'], users);
+
+    expect(posts).toHaveBeenCalledTimes(2);
+    expect(users).toHaveBeenCalledTimes(1);
+  });
+
+  test('an evicted tag version never revalidates old entries', async () => {
+    const callback = jest.fn().mockResolvedValue(1);
+    await QueryCache.remember('k', 60, ['posts'], callback);
+    await QueryCache.store.delete('ilana:tag:posts');
+    await QueryCache.remember('k', 60, ['posts'], callback);
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('QueryBuilder.remember()', () => {
+  let executions;
+
+  // Thenable knex stand-in that counts executions
+  function fakeQuery(rows, statements = []) {
+    const query = {
+      _single: { table: 'posts' },
+      _statements: statements,
+      clone: jest.fn(() => query),
+      first: jest.fn(() => query),
+      count: jest.fn(() => query),
+      toSQL: () => ({ sql: 'select * from `posts`', bindings: [] }),
+      update: jest.fn().mockResolvedValue(1),
+      then: (resolve, reject) => {
+        executions++;
+        return Promise.resolve(rows).then(resolve, reject);
+      },
+    };
+    return query;
+  }
+
+  function builderFor(query) {
+    Database.table.mockReturnValueOnce(query);
+    return new QueryBuilder('posts', null, null);
+  }
+
+  beforeEach(() => {
+    executions = 0;
+  });
+
+  test('serves repeated reads from the cache', async () => {
+    const query = fakeQuery([{ id: 1 }]);
+    const qb = () => builderFor(query).remember(60);
+    const rowsOf = (b) => b._remember('get', b._readQuery());
+
+    expect(await rowsOf(qb())).toEqual([{ id: 1 }]);
+    expect(await rowsOf(qb())).toEqual([{ id: 1 }]);
+    expect(executions).toBe(1);
+  });
+
+  test('without remember() every read hits the database', async () => {
+    const query = fakeQuery([{ id: 1 }]);
+    const b = builderFor(query);
+    await b._remember('get', b._readQuery());
+    await b._remember('get', b._readQuery());
+    expect(executions).toBe(2);
+  });
+
+  test('update() flushes the table tag', async () => {
+    const query = fakeQuery([{ id: 1 }]);
+    const read = () => {
+      const b = builderFor(query).remember(60, 'all-posts');
+      return b._remember('get', b._readQuery());
+    };
+
+    await read();
+    await builderFor(query).update({ title: 'x' });
+    await read();
+    expect(executions).toBe(2);
+  });
+
+  test('tags include joined tables without aliases', () => {
+    const query = fakeQuery([], [
+      { grouping: 'join', table: 'users as u' },
+      { grouping: 'where' },
+    ]);
+    expect(builderFor(query)._cacheTags()).toEqual(['posts', 'users']);
+  });
+
+  test('reads inside a transaction bypass the cache', async () => {
+    const query = fakeQuery([{ id: 1 }]);
+    Database.transactionFor.mockReturnValueOnce(() => {});
+    const b = builderFor(query).remember(60);
+    expect(b._remember('get', query)).toBe(query);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for query events:
+ * - Database.listen() receives per-query timing keyed by the knex query uid
+ * - slowQueryThreshold emits 'slow-query', optionally with an EXPLAIN plan run on
+ *   the query's transaction when it has one
+ */
+
+const Database = jest.requireActual('../database/connection');
+const MockedDatabase = require('../database/connection');
+const QueryBuilder = require('../orm/QueryBuilder');
+const { sql } = require('./helpers');
+
+function fakeKnex(client = 'pg', plan = [{ 'QUERY PLAN': 'Seq Scan on users' }]) {
+  const raw = jest.fn(() => ({ queryContext: jest.fn().mockResolvedValue({ rows: plan }) }));
+  return { client: { config: { client } }, raw };
+}
+
+const query = (uid, sql = 'select * from users where id = ?', extra = {}) => ({
+  __knexQueryUid: uid,
+  sql,
+  bindings: [1],
+  ...extra,
+});
+
+let unsubscribe = [];
+
+beforeEach(() => {
+  Database.slowQueryThreshold = null;
+  Database.explainSlowQueries = false;
+});
+
+afterEach(() => {
+  unsubscribe.forEach(off => off());
+  unsubscribe = [];
+  jest.restoreAllMocks();
+});
+
+describe('Database.listen()', () => {
+  test('reports sql, bindings, duration, connection and model', () => {
+    const events = [];
+    unsubscribe.push(Database.listen(event => events.push(event)));
+    jest.spyOn(performance, 'now').mockReturnValue(112.5);
+    const started = new Map([['q1', 100]]);
+
+    Database._queryFinished('main', fakeKnex(), query('q1', undefined, { queryContext: { model: 'User' } }), started);
+
+    expect(events).toEqual([{
+      sql: 'select * from users where id = ?',
+      bindings: [1],
+      durationMs: 12.5,
+      connection: 'main',
+      model: 'User',
+    }]);
+    expect(started.size).toBe(0);
+  });
+
+  test('times concurrent queries independently', () => {
+    const durations = {};
+    unsubscribe.push(Database.listen(event => { durations[event.sql] = event.durationMs; }));
+    const started = new Map([['slow', 0], ['fast', 90]]);
+    jest.spyOn(performance, 'now').mockReturnValue(100);
+
+    Database._queryFinished('main', fakeKnex(), query('fast', 'fast'), started);
+    Database._queryFinished('main', fakeKnex(), query('slow', 'slow'), started);
+
+    expect(durations).toEqual({ fast: 10, slow: 100 });
+  });
+
+  test('includes the error of a failed query', () => {
+    const events = [];
+    unsubscribe.push(Database.listen(event => events.push(event)));
+    const error = new Error('no such table');
+    Database._queryFinished('main', fakeKnex(), query('q1'), new Map(), error);
+    expect(events[0].error).toBe(error);
+    expect(events[0].model).toBeNull();
+  });
+
+  test('unsubscribe stops delivery and listener errors are contained', () => {
+    const listener = jest.fn();
+    const off = Database.listen(listener);
+    unsubscribe.push(Database.listen(() => { throw new Error('boom'); }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    off();
+    expect(() => Database._queryFinished('main', fakeKnex(), query('q1'), new Map())).not.toThrow();
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('slow queries', () => {
+  test("emits 'slow-query' at or above the threshold", async () => {
+    Database.slowQueryThreshold = 50;
+    const slow = [];
+    unsubscribe.push(Database.on('slow-query', event => slow.push(event)));
+    jest.spyOn(performance, 'now').mockReturnValue(100);
+
+    Database._queryFinished('main', fakeKnex(), query('fast'), new Map([['fast', 60]]));
+    Database._queryFinished('main', fakeKnex(), query('slow'), new Map([['slow', 50]]));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(slow).toHaveLength(1);
+    expect(slow[0].durationMs).toBe(50);
+    expect(slow[0].plan).toBeUndefined();
+  });
+
+  test('attaches the EXPLAIN plan of slow selects', async () => {
+    Database.slowQueryThreshold = 0;
+    Database.explainSlowQueries = true;
+    const knex = fakeKnex('pg');
+    const slow = [];
+    unsubscribe.push(Database.on('slow-query', event => slow.push(event)));
+
+    Database._queryFinished('main', knex, query('q1'), new Map());
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(knex.raw).toHaveBeenCalledWith('EXPLAIN select * from users where id = ?', [1]);
+    expect(slow[0].plan).toEqual([{ 'QUERY PLAN': 'Seq Scan on users' }]);
+  });
+
+  test('uses EXPLAIN QUERY PLAN on SQLite and skips writes', async () => {
+    Database.slowQueryThreshold = 0;
+    Database.explainSlowQueries = true;
+    const knex = fakeKnex('sqlite3');
+
+    Database._queryFinished('main', knex, query('q1', 'select 1'), new Map());
+    Database._queryFinished('main', knex, query('q2', 'update users set name = ?'), new Map());
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(knex.raw).toHaveBeenCalledTimes(1);
+    expect(knex.raw).toHaveBeenCalledWith('EXPLAIN QUERY PLAN select 1', [1]);
+  });
+
+  test('explains queries inside a transaction on that transaction', async () => {
+    Database.slowQueryThreshold = 0;
+    Database.explainSlowQueries = true;
+    const knex = fakeKnex('sqlite3');
+    const trx = { ...fakeKnex('sqlite3'), isCompleted: () => false };
+    const slow = [];
+    unsubscribe.push(Database.on('slow-query', event => slow.push(event)));
+
+    Database._transactions.run({ trx, connection: 'main' }, () => {
+      Database._queryFinished('main', knex, query('q1', 'select 1', { __knexTxId: 'trx1' }), new Map());
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(knex.raw).not.toHaveBeenCalled();
+    expect(trx.raw).toHaveBeenCalledWith('EXPLAIN QUERY PLAN select 1', [1]);
+    expect(slow[0].plan).toEqual([{ 'QUERY PLAN': 'Seq Scan on users' }]);
+  });
+
+  test('skips EXPLAIN for a transaction it cannot run on', async () => {
+    Database.slowQueryThreshold = 0;
+    Database.explainSlowQueries = true;
+    const knex = fakeKnex('sqlite3');
+    const slow = [];
+    unsubscribe.push(Database.on('slow-query', event => slow.push(event)));
+
+    Database._queryFinished('main', knex, query('q1', 'select 1', { __knexTxId: 'trx1' }), new Map());
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(knex.raw).not.toHaveBeenCalled();
+    expect(slow[0].plan).toBeNull();
+  });
+
+  test('internal EXPLAIN statements are not reported', () => {
+    Database.slowQueryThreshold = 0;
+    const listener = jest.fn();
+    unsubscribe.push(Database.listen(listener));
+    unsubscribe.push(Database.on('slow-query', listener));
+
+    Database._queryFinished('main', fakeKnex(), query('q1', 'EXPLAIN select 1', { queryContext: { explain: true } }), new Map());
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('QueryBuilder model context', () => {
+  test('is merged into the query context set on the connection', () => {
+    MockedDatabase.table.mockReturnValueOnce(sql('users').queryContext({ tenant: 't1' }));
+    class User {}
+
+    const builder = new QueryBuilder('users', User);
+
+    expect(builder.toKnex().queryContext()).toEqual({ tenant: 't1', model: 'User' });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the query log:
+ * - enableQueryLog / getQueryLog / flushQueryLog / disableQueryLog
+ * - expectQueryCount counts only queries from its own async call chain
+ */
+
+const Database = jest.requireActual('../database/connection');
+
+const knex = { client: { config: { client: 'sqlite3' } } };
+let uid = 0;
+
+function run(sql) {
+  Database._queryFinished('main', knex, { __knexQueryUid: `q${++uid}`, sql, bindings: [1] }, new Map());
+}
+
+afterEach(() => {
+  Database.disableQueryLog();
+});
+
+describe('query log', () => {
+  test('is empty until enabled', () => {
+    run('select 1');
+    expect(Database.getQueryLog()).toEqual([]);
+  });
+
+  test('records executed statements with bindings and timing', () => {
+    Database.enableQueryLog();
+    run('select * from users where id = ?');
+
+    const log = Database.getQueryLog();
+    expect(log).toHaveLength(1);
+    expect(log[0]).toMatchObject({ sql: 'select * from users where id = ?', bindings: [1], connection: 'main' });
+    expect(typeof log[0].durationMs).toBe('number');
+  });
+
+  test('flushQueryLog() clears entries and keeps recording', () => {
+    Database.enableQueryLog();
+    run('select 1');
+    Database.flushQueryLog();
+    expect(Database.getQueryLog()).toEqual([]);
+    run('select 2');
+    expect(Database.getQueryLog().map(q => q.sql)).toEqual(['select 2']);
+  });
+
+  test('getQueryLog() returns a copy', () => {
+    Database.enableQueryLog();
+    Database.getQueryLog().push({ sql: 'fake' });
+    expect(Database.getQueryLog()).toEqual([]);
+  });
+});
+
+describe('expectQueryCount()', () => {
+  test('returns the callback result when within the limit', async () => {
+    const result = await Database.expectQueryCount(2, async () => {
+      run('select 1');
+      run('select 2');
+      return 'done';
+    });
+    expect(result).toBe('done');
+  });
+
+  test('throws with the executed statements when over the limit', async () => {
+    await expect(Database.expectQueryCount(1, async () => {
+      run('select * from posts');
+      await Promise.resolve();
+      run('select * from comments where post_id = ?');
+    })).rejects.toThrow(/at most 1 queries, but 2 were executed:\n {2}1\. select \* from posts\n {2}2\. select \* from comments/);
+  });
+
+  test('ignores queries from concurrent work', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const other = gate.then(() => { run('select noise'); run('select noise'); });
+
+    await Database.expectQueryCount(1, async () => {
+      release();
+      await other;
+      run('select 1');
+    });
+  });
+
+  test('nested blocks count towards the outer limit', async () => {
+    await expect(Database.expectQueryCount(2, async () => {
+      run('select 1');
+      await Database.expectQueryCount(2, async () => {
+        run('select 2');
+        run('select 3');
+      });
+    })).rejects.toThrow(/but 3 were executed/);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for read/write connection splitting:
+ * - configure() builds a primary and one knex instance per read host
+ * - readConnection() picks a replica, or the primary inside transactions and
+ *   after a sticky write in the current scope
+ */
+
+const Database = jest.requireActual('../database/connection');
+
+function fakeKnex(label) {
+  const instance = () => ({});
+  instance.label = label;
+  instance.client = { label };
+  instance.on = jest.fn();
+  return instance;
+}
+
+function configureSplit(sticky) {
+  Database.connections.clear();
+  Database.readConnections.clear();
+  Database.defaultConnection = 'pg';
+  Database.connections.set('pg', fakeKnex('primary'));
+  Database.readConnections.set('pg', {
+    replicas: [fakeKnex('replica')],
+    sticky,
+  });
+  Database.instance = Database.connections.get('pg');
+}
+
+afterAll(() => {
+  Database.connections.clear();
+  Database.readConnections.clear();
+  Database.instance = undefined;
+});
+
+describe('configure() with read/write hosts', () => {
+  test('merges read and write hosts over the shared connection config', () => {
+    const created = [];
+    const spy = jest.spyOn(Database, '_createKnex').mockImplementation((name, connConfig) => {
+      created.push(connConfig.connection);
+      return fakeKnex(connConfig.connection.host);
+    });
+    Database.configure({
+      default: 'pg',
+      connections: {
+        pg: {
+          client: 'pg',
+          connection: { user: 'app', database: 'shop' },
+          write: { host: 'primary.db' },
+          read: [{ host: 'replica-1.db' }, { host: 'replica-2.db' }],
+          sticky: true,
+        },
+      },
+    });
+    spy.mockRestore();
+
+    expect(created).toEqual([
+      { user: 'app', database: 'shop', host: 'primary.db' },
+      { user: 'app', database: 'shop', host: 'replica-1.db' },
+      { user: 'app', database: 'shop', host: 'replica-2.db' },
+    ]);
+    expect(Database.connection('pg').label).toBe('primary.db');
+    expect(Database.readConnections.get('pg').replicas).toHaveLength(2);
+    expect(Database.readConnections.get('pg').sticky).toBe(true);
+  });
+});
+
+describe('Database.readConnection()', () => {
+  test('routes reads to a replica', () => {
+    configureSplit(false);
+    expect(Database.readConnection().label).toBe('replica');
+  });
+
+  test('uses the primary for connections without read hosts', () => {
+    configureSplit(false);
+    Database.connections.set('mysql', fakeKnex('mysql'));
+    expect(Database.readConnection('mysql').label).toBe('mysql');
+  });
+
+  test('uses the primary inside a transaction', async () => {
+    configureSplit(false);
+    const trx = () => ({});
+    trx.isCompleted = () => false;
+    await Database._transactions.run({ trx, connection: 'pg' }, async () => {
+      expect(Database.readConnection().label).toBe('primary');
+    });
+  });
+
+  test('sticky: reads stay on the primary after a write in the same scope', async () => {
+    configureSplit(true);
+    await Database.scope(async () => {
+      expect(Database.readConnection().label).toBe('replica');
+      Database._recordWrite('pg');
+      expect(Database.readConnection().label).toBe('primary');
+    });
+    expect(Database.readConnection().label).toBe('replica');
+  });
+
+  test('non-sticky: reads go to replicas even after a write', async () => {
+    configureSplit(false);
+    await Database.scope(async () => {
+      Database._recordWrite('pg');
+      expect(Database.readConnection().label).toBe('replica');
+    });
+  });
+});
+
+describe('Database.forRead()', () => {
+  test('rebinds a query builder to the replica client', () => {
+    configureSplit(false);
+    const builder = { client: Database.connection().client };
+    expect(Database.forRead(builder).client.label).toBe('replica');
+  });
+
+  test('leaves transaction-bound builders alone', () => {
+    configureSplit(false);
+    const builder = { client: { transacting: true, label: 'trx' } };
+    expect(Database.forRead(builder).client.label).toBe('trx');
+  });
+});
+
+describe('Database._isWriteQuery()', () => {
+  test.each([
+    [{ method: 'insert' }, true],
+    [{ method: 'update' }, true],
+    [{ method: 'del' }, true],
+    [{ method: 'select' }, false],
+    [{ method: 'first' }, false],
+    [{ method: 'raw', sql: 'select 1' }, false],
+    [{ method: 'raw', sql: 'UPDATE users SET name = ?' }, true],
+  ])('%o → %s', (query, expected) => {
+    expect(Database._isWriteQuery(query)).toBe(expected);
+  });
+});
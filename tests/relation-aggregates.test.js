@@ -0,0 +1,109 @@
+/**
+ * Tests for relationship aggregates:
+ * - withSum / withAvg / withMin / withMax / withExists subselects and their names
+ * - aliases and constraint callbacks
+ * - pivot and through relations are correlated through their join table
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Database = require('../database/connection');
+const { sql, useCompiledQueries } = require('./helpers');
+
+class User extends Model {
+  static table = 'users';
+  orders() { return this.hasMany('Order', 'user_id'); }
+  roles() { return this.belongsToMany('Role', 'role_user', 'user_id', 'role_id'); }
+  subscription() { return this.hasOne('Subscription', 'user_id'); }
+}
+class Order extends Model { static table = 'orders'; }
+class Role extends Model { static table = 'roles'; }
+class Subscription extends Model { static table = 'subscriptions'; }
+class Country extends Model {
+  static table = 'countries';
+  orders() { return this.hasManyThrough('Order', 'User', 'country_id', 'user_id'); }
+}
+[User, Order, Role, Subscription, Country].forEach(model => model.register());
+
+const compile = (qb) => qb.query.toSQL().sql;
+
+useCompiledQueries();
+
+beforeEach(() => {
+  jest.spyOn(Database, 'raw').mockImplementation((raw, bindings) => sql.raw(raw, bindings));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('relationship aggregates', () => {
+  test.each([
+    ['withSum', 'sum'],
+    ['withAvg', 'avg'],
+    ['withMin', 'min'],
+    ['withMax', 'max'],
+  ])('%s() adds a <relation>_%s_<column> subselect', (method, fn) => {
+    const qb = new QueryBuilder('users', User)[method]('orders', 'total');
+    expect(compile(qb)).toBe(
+      `select \`users\`.*, (select ${fn}(\`orders\`.\`total\`) from \`orders\` where orders.user_id = users.id) ` +
+      `as \`orders_${fn}_total\` from \`users\``
+    );
+  });
+
+  test('accepts aliases and constraint callbacks', () => {
+    const qb = new QueryBuilder('users', User)
+      .withSum({ 'orders as paid_total': q => q.where('paid', true) }, 'total');
+    const query = qb.query.toSQL();
+    expect(query.sql).toBe(
+      'select `users`.*, (select sum(`orders`.`total`) from `orders` where orders.user_id = users.id and `paid` = ?) ' +
+      'as `paid_total` from `users`'
+    );
+    expect(query.bindings).toEqual([true]);
+  });
+
+  test('withCount() shares the alias and constraint support', () => {
+    const qb = new QueryBuilder('users', User).withCount('orders as order_total', { orders: q => q.where('paid', false) });
+    expect(compile(qb)).toContain('(select count(*) from `orders` where orders.user_id = users.id) as `order_total`');
+    expect(compile(qb)).toContain('and `paid` = ?) as `orders_count`');
+  });
+
+  test('keeps an explicit select instead of adding table.*', () => {
+    const qb = new QueryBuilder('users', User).select('id').withMax('orders', 'total');
+    expect(compile(qb)).toMatch(/^select `id`, \(select max/);
+  });
+
+  test('correlates belongsToMany through the pivot table', () => {
+    const qb = new QueryBuilder('users', User).withMax('roles', 'level');
+    expect(compile(qb)).toContain(
+      '(select max(`roles`.`level`) from `roles` inner join `role_user` on `roles`.`id` = `role_user`.`role_id` ' +
+      'where role_user.user_id = users.id) as `roles_max_level`'
+    );
+  });
+
+  test('correlates hasManyThrough through the intermediate table', () => {
+    const qb = new QueryBuilder('countries', Country).withSum('orders', 'total');
+    expect(compile(qb)).toContain(
+      '(select sum(`orders`.`total`) from `orders` inner join `users` on `orders`.`user_id` = `users`.`id` ' +
+      'where users.country_id = countries.id) as `orders_sum_total`'
+    );
+  });
+});
+
+describe('withExists()', () => {
+  test('adds an exists subselect named <relation>_exists', () => {
+    const qb = new QueryBuilder('users', User).withExists('subscription', 'roles as has_roles');
+    expect(compile(qb)).toBe(
+      'select `users`.*, exists (select * from `subscriptions` where subscriptions.user_id = users.id) as `subscription_exists`, ' +
+      'exists (select * from `roles` inner join `role_user` on `roles`.`id` = `role_user`.`role_id` ' +
+      'where role_user.user_id = users.id) as `has_roles` from `users`'
+    );
+  });
+
+  test('casts 0/1 results to booleans', () => {
+    const qb = new QueryBuilder('users', User).withExists('subscription');
+    expect(qb._castAggregates({ id: 1, subscription_exists: 1 })).toEqual({ id: 1, subscription_exists: true });
+    expect(qb._castAggregates({ id: 2, subscription_exists: 0 })).toEqual({ id: 2, subscription_exists: false });
+    expect(qb._castAggregates({ id: 3, subscription_exists: true })).toEqual({ id: 3, subscription_exists: true });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Tests for relation chaining and relation writers:
+ * - query builder methods and scopes on a relation run against its constrained query
+ * - aggregates on a relation run without its select list
+ * - create / createMany / save / saveMany fill in the parent's keys
+ * - associate / dissociate on belongsTo and morphTo, keeping a loaded belongsTo in sync
+ */
+
+const knex = require('knex');
+const Model = require('../orm/Model');
+const Database = require('../database/connection');
+const QueryBuilder = require('../orm/QueryBuilder');
+const { HasMany } = require('../orm/Relation');
+const { make, useCompiledQueries } = require('./helpers');
+
+class User extends Model {
+  static table = 'users';
+  posts() { return this.hasMany('Post', 'user_id'); }
+  roles() { return this.belongsToMany('Role', 'role_user', 'user_id', 'role_id'); }
+  tags() { return this.morphToMany('Tag', 'taggable').withPivot('weight'); }
+  latestPost() { return this.hasOne('Post', 'user_id').latestOfMany(); }
+  avatar() { return this.morphOne('Image', 'imageable'); }
+}
+class Post extends Model {
+  static table = 'posts';
+  static scopePublished(query) { query.where('published', true); }
+  author() { return this.belongsTo('User', 'user_id'); }
+}
+class Role extends Model {
+  static table = 'roles';
+}
+class Tag extends Model {
+  static table = 'tags';
+}
+class Country extends Model {
+  static table = 'countries';
+  posts() { return this.hasManyThrough('Post', 'User', 'country_id', 'user_id'); }
+  firstPost() { return this.hasOneThrough('Post', 'User', 'country_id', 'user_id'); }
+}
+class Image extends Model {
+  static table = 'images';
+  imageable() { return this.morphTo('imageable'); }
+}
+[User, Post, Role, Tag, Country, Image].forEach(model => model.register());
+
+useCompiledQueries();
+
+let queries;
+beforeEach(() => {
+  queries = [];
+  jest.spyOn(QueryBuilder.prototype, 'get').mockImplementation(function () {
+    queries.push(this.query.toSQL());
+    return Promise.resolve([]);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('relation chaining', () => {
+  test('builder calls return the relation and run against the constrained query', async () => {
+    const posts = make(User, { id: 1 }).posts();
+    const chained = posts.where('title', 'like', 'A%').orderBy('id', 'desc');
+
+    expect(chained).toBe(posts);
+    expect(chained).toBeInstanceOf(HasMany);
+    await chained.get();
+    expect(queries[0].sql).toBe('select * from `posts` where `user_id` = ? and `title` like ? order by `id` desc');
+    expect(queries[0].bindings).toEqual([1, 'A%']);
+  });
+
+  test('getResults() includes chained constraints', async () => {
+    await make(User, { id: 1 }).posts().where('published', true).getResults();
+    expect(queries[0].sql).toBe('select * from `posts` where `user_id` = ? and `published` = ?');
+  });
+
+  test('forwards scopes of the related model', async () => {
+    await make(User, { id: 2 }).posts().published().get();
+    expect(queries[0].sql).toBe('select * from `posts` where `user_id` = ? and `published` = ?');
+    expect(queries[0].bindings).toEqual([2, true]);
+  });
+
+  test('belongsToMany chains on the pivot join', async () => {
+    await make(User, { id: 1 }).roles().where('roles.name', 'admin').get();
+    expect(queries[0].sql).toBe(
+      'select `roles`.* from `roles` inner join `role_user` on `roles`.`id` = `role_user`.`role_id` '
+      + 'where `role_user`.`user_id` = ? and `roles`.`name` = ?'
+    );
+  });
+
+  test('unknown properties stay undefined', () => {
+    const posts = make(User, { id: 1 }).posts();
+    expect(posts.then).toBeUndefined();
+    expect(posts.notAScope).toBeUndefined();
+  });
+
+  test('belongsToMany get() and first() hydrate the pivot', async () => {
+    const role = () => {
+      const model = make(Role, { id: 3, name: 'r', pivot_meta: 'x' });
+      model.exists = true;
+      return model;
+    };
+    QueryBuilder.prototype.get.mockImplementation(() => Promise.resolve([role()]));
+    jest.spyOn(QueryBuilder.prototype, 'first').mockImplementation(() => Promise.resolve(role()));
+    const user = make(User, { id: 1 });
+
+    const [fromGet] = await user.roles().withPivot('meta').where('roles.name', 'r').get();
+    const fromFirst = await user.roles().withPivot('meta').where('roles.name', 'r').first();
+
+    for (const model of [fromGet, fromFirst]) {
+      expect(model.pivot).toEqual({ meta: 'x' });
+      expect(model.attributes).not.toHaveProperty('pivot_meta');
+    }
+  });
+
+  test('inspecting a morphTo with an unmapped type does not throw', async () => {
+    const imageable = make(Image, { imageable_type: 'Nope', imageable_id: 1 }).imageable();
+
+    expect(imageable.then).toBeUndefined();
+    expect(imageable.notAScope).toBeUndefined();
+    await expect(Promise.resolve(imageable)).resolves.toBe(imageable);
+  });
+});
+
+describe('aggregates on relations', () => {
+  const pg = knex({ client: 'pg' });
+  let aggregates;
+
+  beforeEach(() => {
+    aggregates = [];
+    Database.table.mockImplementation((table) => (table ? pg(table) : pg.queryBuilder()));
+    // Record the compiled aggregate instead of running it
+    Database.forRead.mockImplementation((builder) => new Proxy(builder, {
+      get(target, prop) {
+        if (!['count', 'sum', 'avg', 'min', 'max'].includes(prop)) return target[prop];
+        return (...args) => {
+          aggregates.push(target[prop](...args).toSQL().sql);
+          return Promise.resolve([{ [prop]: '2' }]);
+        };
+      },
+    }));
+  });
+
+  afterEach(() => {
+    Database.forRead.mockImplementation((builder) => builder);
+  });
+
+  test('belongsToMany and morphToMany drop the related and pivot columns', async () => {
+    const user = make(User, { id: 1 });
+
+    expect(await user.roles().count()).toBe(2);
+    await user.tags().sum('weight');
+
+    expect(aggregates).toEqual([
+      'select count(*) from "roles" inner join "role_user" on "roles"."id" = "role_user"."role_id" where "role_user"."user_id" = ?',
+      'select sum("weight") from "tags" inner join "taggables" on "tags"."id" = "taggables"."tag_id" ' +
+        'where "taggables"."taggable_id" = ? and "taggables"."taggable_type" = ?',
+    ]);
+  });
+
+  test('hasManyThrough and hasOneThrough drop the related columns', async () => {
+    const country = make(Country, { id: 1 });
+
+    await country.posts().avg('likes');
+    await country.firstPost().max('likes');
+
+    expect(aggregates).toEqual([
+      'select avg("likes") from "posts" inner join "users" on "posts"."user_id" = "users"."id" where "users"."country_id" = ?',
+      'select max("likes") from "posts" inner join "users" on "posts"."user_id" = "users"."id" where "users"."country_id" = ?',
+    ]);
+  });
+
+  test('hasOne ofMany keeps its join but drops the related columns', async () => {
+    await make(User, { id: 1 }).latestPost().min('likes');
+
+    expect(aggregates[0]).toMatch(/^select min\("likes"\) from "posts" inner join \(select /);
+  });
+
+  test('the relation query keeps its columns for get()', async () => {
+    const tags = make(User, { id: 1 }).tags();
+    await tags.count();
+    await tags.get();
+
+    expect(queries[0].sql).toMatch(/^select "tags"\.\*, "taggables"\."weight" as "pivot_weight"/);
+  });
+});
+
+describe('relation writers', () => {
+  const saved = () => jest.spyOn(Model.prototype, 'save').mockResolvedValue(true);
+
+  test('create() and createMany() set the foreign key', async () => {
+    const save = saved();
+    const user = make(User, { id: 5 });
+
+    const post = await user.posts().create({ title: 'Hello' });
+    const many = await user.posts().createMany([{ title: 'A' }, { title: 'B' }]);
+
+    expect(post).toBeInstanceOf(Post);
+    expect(post.getAttribute('user_id')).toBe(5);
+    expect(many.map(p => [p.getAttribute('title'), p.getAttribute('user_id')])).toEqual([['A', 5], ['B', 5]]);
+    expect(save).toHaveBeenCalledTimes(3);
+  });
+
+  test('save() and saveMany() attach existing models', async () => {
+    saved();
+    const user = make(User, { id: 5 });
+    const posts = [make(Post, { id: 1, user_id: 9 }), make(Post, { id: 2 })];
+
+    expect(await user.posts().saveMany(posts)).toBe(posts);
+    expect(posts.map(p => p.getAttribute('user_id'))).toEqual([5, 5]);
+  });
+
+  test('morphOne writers also set the morph type', async () => {
+    saved();
+    const image = await make(User, { id: 3 }).avatar().create({ url: 'a.png' });
+    expect(image.getAttribute('imageable_id')).toBe(3);
+    expect(image.getAttribute('imageable_type')).toBe('User');
+  });
+
+  test('belongsToMany create() saves then attaches with pivot attributes', async () => {
+    saved();
+    const roles = make(User, { id: 5 }).roles();
+    const attach = jest.spyOn(roles, 'attach').mockResolvedValue();
+
+    const role = await roles.create({ id: 7, name: 'admin' }, { level: 'high' });
+
+    expect(role).toBeInstanceOf(Role);
+    expect(attach).toHaveBeenCalledWith(7, { level: 'high' });
+  });
+
+  test('associate() and dissociate() set the belongsTo foreign key', () => {
+    const post = make(Post, { id: 1 });
+
+    expect(post.author().associate(make(User, { id: 4 }))).toBe(post);
+    expect(post.getAttribute('user_id')).toBe(4);
+    post.author().associate(8);
+    expect(post.getAttribute('user_id')).toBe(8);
+    post.author().dissociate();
+    expect(post.getAttribute('user_id')).toBeNull();
+  });
+
+  test('associate() and dissociate() keep the loaded belongsTo relation in sync', () => {
+    const post = make(Post, { id: 1 });
+    const user = make(User, { id: 4 });
+
+    post.author().associate(user);
+    expect(post.getRelation('author')).toBe(user);
+    post.author().associate(8);
+    expect(post.relationLoaded('author')).toBe(false);
+    post.author().associate(user);
+    post.author().dissociate();
+    expect(post.relationLoaded('author')).toBe(true);
+    expect(post.getRelation('author')).toBeNull();
+  });
+
+  test('belongsTo() takes the relation name when it is not the calling method', () => {
+    const post = make(Post, { id: 1 });
+    const user = make(User, { id: 4 });
+
+    post.belongsTo('User', 'user_id', 'id', 'writer').associate(user);
+    expect(post.getRelation('writer')).toBe(user);
+  });
+
+  test('morphTo associate() sets the id and morph class', () => {
+    const image = make(Image, {});
+    image.imageable().associate(make(Post, { id: 6 }));
+    expect(image.attributes).toMatchObject({ imageable_id: 6, imageable_type: 'Post' });
+    image.imageable().dissociate();
+    expect(image.attributes).toMatchObject({ imageable_id: null, imageable_type: null });
+  });
+});
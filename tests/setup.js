@@ -23,6 +23,8 @@ jest.mock('../database/connection', () => {
     getDefaultConnection: jest.fn().mockReturnValue('default'),
     hasConnection: jest.fn().mockReturnValue(false),
     getCurrentTransaction: jest.fn().mockReturnValue(null),
+    transactionFor: jest.fn().mockReturnValue(null),
+    forRead: jest.fn((builder) => builder),
     enableLogging: jest.fn(),
     disableLogging: jest.fn(),
     _logging: false,
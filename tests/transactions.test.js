@@ -0,0 +1,228 @@
+/**
+ * Tests for async-context-scoped transactions:
+ * - AsyncContext isolates stores per async call chain
+ * - Database.transactionFor / getCurrentTransaction only see the trx of the
+ *   current call chain, on the matching connection
+ */
+
+const AsyncContext = require('../database/AsyncContext');
+const Database = jest.requireActual('../database/connection');
+
+function fakeTrx(label) {
+  const trx = (table) => ({ trx: label, table });
+  trx.label = label;
+  trx.completed = false;
+  trx.isCompleted = () => trx.completed;
+  trx.raw = jest.fn();
+  return trx;
+}
+
+// ── AsyncContext ──────────────────────────────────────────────────────────────
+
+describe('AsyncContext', () => {
+  test('get() returns undefined outside run()', () => {
+    const ctx = new AsyncContext();
+    expect(ctx.get()).toBeUndefined();
+  });
+
+  test('store is visible across awaits inside run()', async () => {
+    const ctx = new AsyncContext();
+    await ctx.run({ id: 1 }, async () => {
+      await new Promise(r => setTimeout(r, 1));
+      expect(ctx.get()).toEqual({ id: 1 });
+    });
+    expect(ctx.get()).toBeUndefined();
+  });
+
+  test('concurrent call chains do not see each other', async () => {
+    const ctx = new AsyncContext();
+    const seen = [];
+    await Promise.all([1, 2, 3].map(id => ctx.run({ id }, async () => {
+      await new Promise(r => setTimeout(r, 5 - id));
+      seen.push([id, ctx.get().id]);
+    })));
+    for (const [expected, actual] of seen) expect(actual).toBe(expected);
+  });
+
+  test('uses AsyncLocalStorage on Node.js', () => {
+    expect(new AsyncContext().isolated).toBe(true);
+  });
+});
+
+// ── Database transaction scoping ──────────────────────────────────────────────
+
+describe('Database.transactionFor()', () => {
+  beforeEach(() => {
+    Database.defaultConnection = 'main';
+  });
+
+  test('returns null outside a transaction', () => {
+    expect(Database.transactionFor()).toBeNull();
+    expect(Database.getCurrentTransaction()).toBeNull();
+  });
+
+  test('returns the trx of the current call chain', async () => {
+    const trx = fakeTrx('a');
+    await Database._transactions.run({ trx, connection: 'main' }, async () => {
+      expect(Database.transactionFor()).toBe(trx);
+      expect(Database.transactionFor('main')).toBe(trx);
+      expect(Database.getCurrentTransaction()).toBe(trx);
+    });
+  });
+
+  test('ignores a trx opened on another connection', async () => {
+    const trx = fakeTrx('a');
+    await Database._transactions.run({ trx, connection: 'analytics' }, async () => {
+      expect(Database.transactionFor()).toBeNull();
+      expect(Database.transactionFor('analytics')).toBe(trx);
+    });
+  });
+
+  test('ignores a completed trx', async () => {
+    const trx = fakeTrx('a');
+    await Database._transactions.run({ trx, connection: 'main' }, async () => {
+      trx.completed = true;
+      expect(Database.transactionFor()).toBeNull();
+    });
+  });
+
+  test('Database.table() binds to the current trx', async () => {
+    const trx = fakeTrx('a');
+    await Database._transactions.run({ trx, connection: 'main' }, async () => {
+      expect(Database.table('users')).toEqual({ trx: 'a', table: 'users' });
+    });
+  });
+
+  test('concurrent transactions stay isolated', async () => {
+    const a = fakeTrx('a');
+    const b = fakeTrx('b');
+    const results = await Promise.all([
+      Database._transactions.run({ trx: a, connection: 'main' }, async () => {
+        await new Promise(r => setTimeout(r, 5));
+        return Database.table('users').trx;
+      }),
+      Database._transactions.run({ trx: b, connection: 'main' }, async () => {
+        await new Promise(r => setTimeout(r, 1));
+        return Database.table('users').trx;
+      }),
+    ]);
+    expect(results).toEqual(['a', 'b']);
+  });
+});
+
+// ── Nested transactions and commit/rollback callbacks ────────────────────────
+
+describe('Database.transaction() nesting', () => {
+  // Minimal knex stand-in: transaction() runs the handler and marks the
+  // trx completed, recording whether it was a savepoint on a parent trx.
+  function fakeDb(events, label = 'root') {
+    return {
+      transaction: async (handler) => {
+        const trx = fakeTrx(label);
+        trx.transaction = fakeDb(events, `${label}>sp`).transaction;
+        events.push(`begin ${label}`);
+        try {
+          const result = await handler(trx);
+          events.push(`commit ${label}`);
+          return result;
+        } catch (error) {
+          events.push(`rollback ${label}`);
+          throw error;
+        } finally {
+          trx.completed = true;
+        }
+      },
+    };
+  }
+
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    Database.defaultConnection = 'main';
+    Database.connections.set('main', fakeDb(events));
+    Database.instance = Database.connections.get('main');
+  });
+
+  afterAll(() => {
+    Database.connections.clear();
+    Database.instance = undefined;
+  });
+
+  test('nested call creates a savepoint on the outer trx', async () => {
+    await Database.transaction(async () => {
+      await Database.transaction(async (trx) => {
+        expect(trx.label).toBe('root>sp');
+      });
+    });
+    expect(events).toEqual(['begin root', 'begin root>sp', 'commit root>sp', 'commit root']);
+  });
+
+  test('failing savepoint rolls back without aborting the outer trx', async () => {
+    await Database.transaction(async () => {
+      await expect(Database.transaction(async () => { throw new Error('inner'); })).rejects.toThrow('inner');
+    });
+    expect(events).toEqual(['begin root', 'begin root>sp', 'rollback root>sp', 'commit root']);
+  });
+
+  test('afterCommit runs only after the outermost commit', async () => {
+    const order = [];
+    await Database.transaction(async () => {
+      await Database.transaction(async () => {
+        Database.afterCommit(() => order.push('callback'));
+      });
+      order.push('outer body done');
+    });
+    expect(order).toEqual(['outer body done', 'callback']);
+  });
+
+  test('afterCommit runs immediately outside a transaction', async () => {
+    const fn = jest.fn();
+    await Database.afterCommit(fn);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('afterCommit callbacks of a rolled-back savepoint are discarded', async () => {
+    const committed = jest.fn();
+    const rolledBack = jest.fn();
+    await Database.transaction(async () => {
+      await Database.transaction(async () => {
+        Database.afterCommit(committed);
+        Database.afterRollback(rolledBack);
+        throw new Error('inner');
+      }).catch(() => {});
+    });
+    expect(committed).not.toHaveBeenCalled();
+    expect(rolledBack).toHaveBeenCalledTimes(1);
+  });
+
+  test('afterRollback runs when the outer transaction rolls back', async () => {
+    const committed = jest.fn();
+    const rolledBack = jest.fn();
+    await expect(Database.transaction(async () => {
+      await Database.transaction(async () => {
+        Database.afterCommit(committed);
+        Database.afterRollback(rolledBack);
+      });
+      throw new Error('outer');
+    })).rejects.toThrow('outer');
+    expect(committed).not.toHaveBeenCalled();
+    expect(rolledBack).toHaveBeenCalledTimes(1);
+  });
+  test('a throwing afterCommit callback does not retry the committed transaction', async () => {
+    const body = jest.fn(async () => {
+      Database.afterCommit(() => { throw new Error('mailer down'); });
+    });
+
+    await expect(Database.transaction(body, 3)).rejects.toThrow('mailer down');
+    expect(body).toHaveBeenCalledTimes(1);
+    expect(events).toEqual(['begin root', 'commit root']);
+  });
+
+  test('a throwing afterRollback callback keeps the rollback error', async () => {
+    await expect(Database.transaction(async () => {
+      Database.afterRollback(() => { throw new Error('cleanup failed'); });
+      throw new Error('outer');
+    })).rejects.toThrow('outer');
+  });
+});
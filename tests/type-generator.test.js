@@ -3,6 +3,7 @@
  * - parseModelFile: extracts class metadata from model source
  * - parseMigrationsForTable: extracts column types from migration source
  * - generateModelTypes: produces correct .d.ts output
+ * - the CLI's own parser and generator type hasOneThrough relations
  */
 
 // Pull the functions out of the CLI file by requiring it and exposing internals.
@@ -482,3 +483,41 @@ describe('generateModelTypes', () => {
     expect(out).toContain('  uuid: string;');
   });
 });
+
+// ── CLI functions ────────────────────────────────────────────────────────────
+
+describe('ilana types — hasOneThrough', () => {
+  const { _types: cli } = require('../cli/ilana');
+
+  const source = `
+const { Model } = require('ilana-orm');
+
+class Mechanic extends Model {
+  static table = 'mechanics';
+
+  carOwner() {
+    return this.hasOneThrough('Owner', 'Car');
+  }
+
+  cars() {
+    return this.hasMany('Car');
+  }
+}
+
+module.exports = Mechanic;
+`;
+
+  it('is parsed with its related model', () => {
+    expect(cli.parseModelFile(source, 'Mechanic.js').relations).toEqual([
+      { methodName: 'carOwner', relationType: 'hasOneThrough', relatedModel: 'Owner' },
+      { methodName: 'cars', relationType: 'hasMany', relatedModel: 'Car' },
+    ]);
+  });
+
+  it('types the attribute as a single model and the method as HasOneThrough', () => {
+    const out = cli.generateModelTypes(cli.parseModelFile(source, 'Mechanic.js'), {});
+    expect(out).toContain(`import { Model, HasOneThrough, HasMany } from 'ilana-orm';`);
+    expect(out).toContain('  carOwner?: Owner | null;');
+    expect(out).toContain('  carOwner(): HasOneThrough;');
+  });
+});
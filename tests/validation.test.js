@@ -0,0 +1,209 @@
+/**
+ * Tests for attribute validation (static rules):
+ * - Validator rule parsing and built-in rules
+ * - unique / exists go through the model's connection
+ * - save() throws ValidationException before creating/updating fire
+ */
+
+const Model = require('../orm/Model');
+const Validator = require('../orm/Validator');
+const Database = require('../database/connection');
+const Encrypter = require('../orm/Encrypter');
+const { ValidationException } = require('../orm/Errors');
+const { make, load } = require('./helpers');
+
+function mockLookup(row) {
+  const query = {
+    where: jest.fn().mockReturnThis(),
+    whereNot: jest.fn().mockReturnThis(),
+    first: jest.fn().mockResolvedValue(row),
+  };
+  Database.table.mockReturnValueOnce(query);
+  return query;
+}
+
+function makeModel(rules, attrs, { exists = false, connection = null } = {}) {
+  class User extends Model {}
+  User.table = 'users';
+  User.timestamps = false;
+  User.connection = connection;
+  User.rules = rules;
+  return exists ? load(User, attrs) : make(User, attrs);
+}
+
+describe('ValidationException', () => {
+  test('carries the error bag and returns 422', () => {
+    const errors = { email: ['The email field is required.'], age: ['The age must be an integer.'] };
+    const err = new ValidationException('User', errors);
+    expect(err.name).toBe('ValidationException');
+    expect(err.errors).toBe(errors);
+    expect(err.message).toBe('User validation failed: The email field is required. (and 1 more field)');
+    expect(err.toResponse()).toEqual({ status: 422, message: err.message, errors });
+  });
+});
+
+describe('Validator.parse()', () => {
+  test('splits pipes and arguments', () => {
+    expect(Validator.parse('required|between:1,5|in:a,b')).toEqual([
+      { name: 'required', args: [] },
+      { name: 'between', args: ['1', '5'] },
+      { name: 'in', args: ['a', 'b'] },
+    ]);
+  });
+
+  test('keeps commas inside regex patterns', () => {
+    expect(Validator.parse(['regex:/^\\d{2,4}$/'])).toEqual([{ name: 'regex', args: ['/^\\d{2,4}$/'] }]);
+  });
+});
+
+describe('Validator.validate()', () => {
+  const check = (rules, attrs) => Validator.validate(makeModel(rules, attrs), rules);
+
+  test('returns an empty bag for valid attributes', async () => {
+    const errors = await check(
+      { email: 'required|email', age: 'integer|min:18', role: 'in:admin,user' },
+      { email: 'a@b.co', age: 21, role: 'user' }
+    );
+    expect(errors).toEqual({});
+  });
+
+  test('required stops further rules on an empty value', async () => {
+    const errors = await check({ email: 'required|email' }, { email: '' });
+    expect(errors).toEqual({ email: ['The email field is required.'] });
+  });
+
+  test('skips non-required rules for empty values', async () => {
+    expect(await check({ nickname: 'nullable|string|min:3' }, { nickname: null })).toEqual({});
+  });
+
+  test('min/max compare numbers for numeric rules and lengths for strings', async () => {
+    expect(await check({ age: 'integer|min:18' }, { age: 12 })).toEqual({ age: ['The age must be at least 18.'] });
+    expect(await check({ name: 'string|max:3' }, { name: 'abcd' }))
+      .toEqual({ name: ['The name may not be greater than 3 characters.'] });
+  });
+
+  test('supports function rules and custom rules', async () => {
+    Validator.extend('even', (value) => value % 2 === 0 || 'Must be even.');
+    const errors = await check(
+      { count: 'even', slug: [(value) => !value.includes(' ') || 'No spaces.'] },
+      { count: 3, slug: 'a b' }
+    );
+    expect(errors).toEqual({ count: ['Must be even.'], slug: ['No spaces.'] });
+  });
+
+  test('throws on an unknown rule', async () => {
+    await expect(check({ a: 'nope' }, { a: 1 })).rejects.toThrow("Validation rule 'nope' is not defined.");
+  });
+});
+
+describe('Database-backed rules', () => {
+  test('unique queries the table on the model connection', async () => {
+    const query = mockLookup({ id: 2 });
+    const rules = { email: 'unique:users' };
+    const errors = await Validator.validate(makeModel(rules, { email: 'a@b.co' }, { connection: 'tenant' }), rules);
+
+    expect(Database.table).toHaveBeenLastCalledWith('users', 'tenant');
+    expect(query.where).toHaveBeenCalledWith('email', 'a@b.co');
+    expect(query.whereNot).not.toHaveBeenCalled();
+    expect(errors).toEqual({ email: ['The email has already been taken.'] });
+  });
+
+  test('unique ignores the model own row on update', async () => {
+    const query = mockLookup(undefined);
+    const rules = { email: 'unique:users,email_address' };
+    const errors = await Validator.validate(makeModel(rules, { id: 5, email: 'a@b.co' }, { exists: true }), rules);
+
+    expect(query.where).toHaveBeenCalledWith('email_address', 'a@b.co');
+    expect(query.whereNot).toHaveBeenCalledWith('id', 5);
+    expect(errors).toEqual({});
+  });
+
+  test('exists fails when no row matches', async () => {
+    const query = mockLookup(undefined);
+    const rules = { team_id: 'exists:teams,id' };
+    const errors = await Validator.validate(makeModel(rules, { team_id: 9 }), rules);
+
+    expect(Database.table).toHaveBeenLastCalledWith('teams', null);
+    expect(query.where).toHaveBeenCalledWith('id', 9);
+    expect(errors).toEqual({ team_id: ['The selected team id is invalid.'] });
+  });
+});
+
+describe('Cast attributes', () => {
+  const appKey = Encrypter.generateKey();
+
+  class Member extends Model {
+    static timestamps = false;
+    casts = { email: 'encrypted', phone: 'encrypted:searchable', tags: 'array', settings: 'json' };
+  }
+
+  function member(rules, attrs) {
+    Member.rules = rules;
+    return make(Member, attrs);
+  }
+
+  beforeAll(() => {
+    Database.config = { encryption: { key: appKey } };
+  });
+
+  afterAll(() => {
+    delete Database.config;
+  });
+
+  test('validate the assigned value rather than the stored form', async () => {
+    const rules = { email: 'required|email', tags: 'array|min:2', settings: 'required' };
+    const model = member(rules, { email: 'ada@example.com', tags: ['a', 'b'], settings: { theme: 'dark' } });
+
+    expect(model.attributes.email).not.toBe('ada@example.com');
+    expect(await Validator.validate(model, rules)).toEqual({});
+    expect(await Validator.validate(member(rules, { email: 'nope', tags: ['a'] }), rules)).toEqual({
+      email: ['The email must be a valid email address.'],
+      tags: ['The tags must be at least 2 items.'],
+      settings: ['The settings field is required.'],
+    });
+  });
+
+  test('unique falls back to the table name derived from the class', async () => {
+    const query = mockLookup(undefined);
+    const rules = { name: 'unique' };
+    await Validator.validate(member(rules, { name: 'Ada' }), rules);
+
+    expect(Database.table).toHaveBeenLastCalledWith('members', undefined);
+    expect(query.where).toHaveBeenCalledWith('name', 'Ada');
+  });
+
+  test('unique compares searchable encrypted columns by their blind index', async () => {
+    const query = mockLookup({ id: 2 });
+    const rules = { phone: 'unique' };
+    const model = member(rules, { phone: '555-0100' });
+    const errors = await Validator.validate(model, rules);
+
+    expect(query.where).toHaveBeenCalledWith('phone_index', model.attributes.phone_index);
+    expect(errors).toEqual({ phone: ['The phone has already been taken.'] });
+  });
+
+  test('unique rejects encrypted columns without a blind index', async () => {
+    const rules = { email: 'unique' };
+    await expect(Validator.validate(member(rules, { email: 'ada@example.com' }), rules))
+      .rejects.toThrow("The unique rule can't check Member.email: encrypted values differ on every write.");
+  });
+});
+
+describe('Model.save() validation', () => {
+  test('throws before the creating event fires', async () => {
+    const user = makeModel({ email: 'required|email' }, { email: 'nope' });
+    const creating = jest.fn();
+    user.constructor.creating(creating);
+
+    await expect(user.save()).rejects.toBeInstanceOf(ValidationException);
+    expect(creating).not.toHaveBeenCalled();
+    expect(user.exists).toBe(false);
+  });
+
+  test('validates only dirty attributes on update', async () => {
+    const user = makeModel({ email: 'required|email', age: 'integer' }, { id: 1, email: 'legacy', age: 20 }, { exists: true });
+    user.setAttribute('age', 'x');
+
+    await expect(user.save()).rejects.toMatchObject({ errors: { age: ['The age must be an integer.'] } });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for multi-column value object casts:
+ * - one attribute composed from several columns and written back to them
+ * - changes made inside the value object are detected and saved
+ * - cast classes usable directly in `casts`
+ */
+
+const Model = require('../orm/Model');
+const QueryBuilder = require('../orm/QueryBuilder');
+const Money = require('../orm/Money');
+const { MoneyCast } = require('../orm/CustomCasts');
+const { load } = require('./helpers');
+
+class Address {
+  constructor(line1, city, zip) {
+    this.line1 = line1;
+    this.city = city;
+    this.zip = zip;
+  }
+}
+
+class AddressCast {
+  isMultiColumn = true;
+
+  get(value, attributes) {
+    if (attributes.address_line1 == null) return null;
+    return new Address(attributes.address_line1, attributes.address_city, attributes.address_zip);
+  }
+
+  set(address) {
+    return {
+      address_line1: address?.line1 ?? null,
+      address_city: address?.city ?? null,
+      address_zip: address?.zip ?? null,
+    };
+  }
+}
+
+class User extends Model {
+  static table = 'users';
+  static timestamps = false;
+  static fillable = ['name', 'address'];
+  casts = {
+    address: AddressCast,
+    balance: new MoneyCast({ currencyColumn: 'currency' }),
+  };
+}
+
+const row = {
+  id: 1,
+  name: 'Ada',
+  address_line1: '1 Main St',
+  address_city: 'Paris',
+  address_zip: '75001',
+  balance: '500',
+  currency: 'EUR',
+};
+
+let updates;
+let inserts;
+beforeEach(() => {
+  updates = [];
+  inserts = [];
+  jest.spyOn(QueryBuilder.prototype, 'update').mockImplementation((data) => {
+    updates.push(data);
+    return Promise.resolve(1);
+  });
+  jest.spyOn(QueryBuilder.prototype, 'insertGetId').mockImplementation((data) => {
+    inserts.push({ ...data });
+    return Promise.resolve(7);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('multi-column casts', () => {
+  test('compose a value object from several columns', () => {
+    const user = load(User, row);
+
+    expect(user.address).toEqual(new Address('1 Main St', 'Paris', '75001'));
+    expect(user.address).toBe(user.getAttribute('address'));
+    expect(user.attributes).not.toHaveProperty('address');
+  });
+
+  test('write every column of an assigned value object on insert', async () => {
+    const user = new User({ name: 'Ada', address: new Address('1 Main St', 'Paris', '75001') });
+    await user.save();
+
+    expect(inserts[0]).toEqual({
+      name: 'Ada',
+      address_line1: '1 Main St',
+      address_city: 'Paris',
+      address_zip: '75001',
+    });
+  });
+
+  test('save changes made inside the value object', async () => {
+    const user = load(User, row);
+    expect(user.isDirty()).toBe(false);
+
+    user.address.city = 'Lyon';
+
+    expect(user.isDirty()).toBe(true);
+    expect(user.isDirty('address')).toBe(true);
+    expect(user.isDirty('name')).toBe(false);
+    expect(user.getDirty()).toEqual({ address_city: 'Lyon' });
+
+    await user.save();
+
+    expect(updates).toEqual([{ address_city: 'Lyon' }]);
+    expect(user.isDirty()).toBe(false);
+  });
+
+  test('track objects assigned before they are mutated', async () => {
+    const user = load(User, row);
+    const address = new Address('2 Side St', 'Nice', '06000');
+    user.address = address;
+    address.zip = '06100';
+
+    await user.save();
+
+    expect(updates).toEqual([{ address_line1: '2 Side St', address_city: 'Nice', address_zip: '06100' }]);
+  });
+
+  test('clear every column when set to null', () => {
+    const user = load(User, row);
+    user.address = null;
+
+    expect(user.getDirty()).toEqual({ address_line1: null, address_city: null, address_zip: null });
+    expect(user.address).toBeNull();
+  });
+
+  test('rebuild the value object when one of its columns is set directly', () => {
+    const user = load(User, row);
+    user.address.zip = '75002';
+
+    user.setAttribute('address_city', 'Lyon');
+
+    expect(user.address).toEqual(new Address('1 Main St', 'Lyon', '75002'));
+    expect(user.getDirty()).toEqual({ address_zip: '75002', address_city: 'Lyon' });
+  });
+
+  test('do not report unchanged values loaded as strings as dirty', () => {
+    const user = load(User, row);
+
+    expect(user.balance.equals(Money.of('5', 'EUR'))).toBe(true);
+    expect(user.isDirty()).toBe(false);
+  });
+
+  test('serialize the value object next to its columns', () => {
+    const user = load(User, row);
+    user.makeHidden(['address_line1', 'address_city', 'address_zip']);
+
+    expect(JSON.parse(JSON.stringify(user))).toEqual({
+      id: 1,
+      name: 'Ada',
+      balance: { amount: '5.00', currency: 'EUR' },
+      currency: 'EUR',
+      address: { line1: '1 Main St', city: 'Paris', zip: '75001' },
+    });
+  });
+
+  test('share one instance of a cast class between models', () => {
+    expect(load(User, row).getCast('address')).toBe(load(User, row).getCast('address'));
+    expect(load(User, row).getCast('address')).toBeInstanceOf(AddressCast);
+  });
+});